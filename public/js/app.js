@@ -247,7 +247,7 @@ function AncestryChain({ ancestry }) {
 
 // Add a StatsDisplay component
 function StatsDisplay({ stats, size = "small" }) {
-  const { hp = 0, attack = 0, defense = 0 } = stats || {};
+  const { hp = 0, attack = 0, defense = 0, speed, charisma, actionPoints, maxActionPoints, cooldowns = {}, coins } = stats || {};
   
   if (size === "small") {
     return (
@@ -282,7 +282,36 @@ function StatsDisplay({ stats, size = "small" }) {
           <div className="text-sm text-gray-400">Defense</div>
           <div className="text-xl">🛡️ {defense}</div>
         </div>
+        {speed !== undefined && (
+          <div className="bg-gray-800 rounded p-2">
+            <div className="text-sm text-gray-400">Speed</div>
+            <div className="text-xl">💨 {speed}</div>
+          </div>
+        )}
+        {charisma !== undefined && (
+          <div className="bg-gray-800 rounded p-2">
+            <div className="text-sm text-gray-400">Charisma</div>
+            <div className="text-xl">🗣️ {charisma}</div>
+          </div>
+        )}
       </div>
+      {coins !== undefined && (
+        <div className="bg-gray-800 rounded p-2 text-center">
+          <div className="text-sm text-gray-400">Coins</div>
+          <div className="text-xl">🪙 {coins}</div>
+        </div>
+      )}
+      {maxActionPoints > 0 && (
+        <div className="bg-gray-800 rounded p-2 text-center">
+          <div className="text-sm text-gray-400">Action Points</div>
+          <div className="text-xl">⚡ {actionPoints} / {maxActionPoints}</div>
+          {Object.entries(cooldowns).map(([command, readyAt]) => (
+            <div key={command} className="text-xs text-gray-400">
+              ⏳ !{command} ready at {new Date(readyAt).toLocaleTimeString()}
+            </div>
+          ))}
+        </div>
+      )}
     </div>
   );
 }
@@ -423,6 +452,23 @@ function AvatarDetailModal({ avatar, onClose }) {
               <h3 className="text-xl font-bold mb-4">Stats</h3>
               <StatsDisplay stats={avatar.stats} size="large" />
             </div>
+
+            {avatar.party && (
+              <div className="bg-gray-700 rounded-lg p-4">
+                <h3 className="text-xl font-bold mb-4">Party</h3>
+                <div className="space-y-2">
+                  {avatar.party.members.map(member => (
+                    <div key={member._id} className="flex items-center gap-2">
+                      {member.imageUrl && (
+                        <img src={member.imageUrl} alt={member.name} className="w-8 h-8 rounded-full object-cover" />
+                      )}
+                      <span>{member.emoji} {member.name}</span>
+                      {member.leader && <span className="text-xs text-yellow-400">👑 leader</span>}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
           </div>
 
           {/* Right columns: Description and Activity Feed */}
@@ -740,6 +786,101 @@ function ViewToggle({ currentView, onViewChange }) {
       >
         Tribes
       </button>
+      <button
+        className={`px-4 py-2 rounded ${
+          currentView === 'economy' ? 'bg-yellow-600 text-white' : 'bg-gray-700 text-gray-300'
+        }`}
+        onClick={() => onViewChange('economy')}
+      >
+        Economy
+      </button>
+    </div>
+  );
+}
+
+const TRADE_VERBS = { buy: 'bought from', sell: 'sold to', pay: 'paid', trade: 'traded coins to' };
+
+function EconomyView({ onAvatarSelect }) {
+  const [economy, setEconomy] = useState({ richest: [], trades: [] });
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchEconomy = async () => {
+      try {
+        const response = await fetch('/api/economy');
+        const data = await response.json();
+        setEconomy({ richest: data.richest || [], trades: data.trades || [] });
+      } catch (error) {
+        console.error('Error fetching economy:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchEconomy();
+    const interval = setInterval(fetchEconomy, 30000);
+    return () => clearInterval(interval);
+  }, []);
+
+  if (loading) {
+    return (
+      <div className="text-center py-4">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-white mx-auto"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="grid gap-6 md:grid-cols-2 max-w-5xl mx-auto">
+      <div className="bg-gray-800 rounded-lg p-4">
+        <h2 className="text-2xl font-bold mb-4">Richest Avatars</h2>
+        <div className="space-y-2">
+          {economy.richest.map((avatar, index) => (
+            <div
+              key={avatar._id}
+              onClick={() => onAvatarSelect(avatar)}
+              className="flex items-center justify-between bg-gray-700 rounded p-2 cursor-pointer hover:bg-gray-600"
+            >
+              <div className="flex items-center gap-3">
+                <span className="text-gray-400 w-6 text-right">{index + 1}</span>
+                <img
+                  src={avatar.thumbnailUrl || avatar.imageUrl}
+                  alt={avatar.name}
+                  className="w-10 h-10 rounded-full object-cover"
+                />
+                <span>{avatar.emoji} {avatar.name}</span>
+              </div>
+              <span className="text-yellow-400">🪙 {avatar.coins}</span>
+            </div>
+          ))}
+          {economy.richest.length === 0 && (
+            <div className="text-center py-4 text-gray-500">Nobody has any coins yet</div>
+          )}
+        </div>
+      </div>
+
+      <div className="bg-gray-800 rounded-lg p-4">
+        <h2 className="text-2xl font-bold mb-4">Recent Trades</h2>
+        <div className="space-y-2">
+          {economy.trades.map(trade => (
+            <div key={trade._id} className="bg-gray-700 rounded p-2 text-sm">
+              <div>
+                {trade.type === 'sell'
+                  ? <>{trade.toName} {TRADE_VERBS.sell} {trade.fromName}</>
+                  : <>{trade.fromName} {TRADE_VERBS[trade.type]} {trade.toName}</>}
+                {trade.itemKey && <span className="text-gray-400"> ({trade.itemKey.replace(/_/g, ' ')})</span>}
+                <span className="text-yellow-400"> 🪙 {trade.amount}</span>
+              </div>
+              <div className="text-xs text-gray-500 text-right">
+                {new Date(trade.timestamp).toLocaleString()}
+              </div>
+            </div>
+          ))}
+          {economy.trades.length === 0 && (
+            <div className="text-center py-4 text-gray-500">No trades yet</div>
+          )}
+        </div>
+      </div>
     </div>
   );
 }
@@ -1103,6 +1244,8 @@ function App() {
         </>
       ) : currentView === 'combat' ? (
         <CombatLog onAvatarSelect={handleAvatarSelect} />
+      ) : currentView === 'economy' ? (
+        <EconomyView onAvatarSelect={handleAvatarSelect} />
       ) : (
         <TribesView onAvatarSelect={handleAvatarSelect} />
       )}
@@ -5,6 +5,7 @@ import models from '../src/models.config.mjs';
 import avatarRoutes from './routes/avatars.mjs';
 import familyRoutes from './routes/families.mjs'
 import { generateThumbnail } from './routes/avatars.mjs';
+import { describeActionPoints } from '../src/services/dungeon/ActionPointService.mjs';
 
 const app = express();
 const port = process.env.PORT || 3080;
@@ -80,8 +81,9 @@ async function initializeIndexes(db) {
     // Indexes for dungeon_log collection
     await db.collection('dungeon_log').createIndexes([
       { key: { timestamp: -1 }, background: true },
-      { key: { actor: 1 }, background: true },
-      { key: { target: 1 }, background: true }
+      { key: { actorId: 1, timestamp: -1 }, background: true },
+      { key: { targetId: 1, timestamp: -1 }, background: true },
+      { key: { correlationId: 1 }, background: true }
     ]);
 
     console.log('Database indexes created successfully');
@@ -237,7 +239,9 @@ app.get('/api/leaderboard', async (req, res) => {
         messageCount: result.messageCount,
         lastMessage: result.lastMessage,
         recentMessages: result.recentMessages.filter(m => m !== null).slice(0, 5),
-        stats: stats || { attack: 0, defense: 0, hp: 0 }
+        stats: stats || { attack: 0, defense: 0, hp: 0 },
+        level: stats?.level || 1,
+        xp: stats?.xp || 0
       };
     }));
 
@@ -367,8 +371,8 @@ app.get('/api/avatar/:id/dungeon-actions', async (req, res) => {
     const actions = await db.collection('dungeon_log')
       .find({
         $or: [
-          { actor: avatar.name },
-          { target: avatar.name }
+          { actorId: avatarId },
+          { targetId: avatarId }
         ]
       })
       .sort({ timestamp: -1 })
@@ -382,6 +386,25 @@ app.get('/api/avatar/:id/dungeon-actions', async (req, res) => {
 });
 
 // Add new search endpoint before the combat log endpoint
+app.get('/api/avatar/:id/inventory', async (req, res) => {
+  try {
+    const avatarId = new ObjectId(req.params.id);
+    const inventory = await db.collection('inventories')
+      .find({ ownerId: avatarId, quantity: { $gt: 0 } })
+      .toArray();
+    const items = await db.collection('items')
+      .find({ key: { $in: inventory.map(entry => entry.itemKey) } })
+      .toArray();
+
+    res.json(inventory.map(entry => ({
+      ...entry,
+      item: items.find(item => item.key === entry.itemKey) || null
+    })));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 app.get('/api/avatars/search', async (req, res) => {
   try {
     const { name } = req.query;
@@ -415,52 +438,45 @@ app.get('/api/dungeon/log', async (req, res) => {
   try {
     if (!db) throw new Error('Database not connected');
 
+    // Optional filters: ?correlationId= shows everything one action caused, ?locationId= one place
+    const filter = {};
+    if (req.query.correlationId) filter.correlationId = `${req.query.correlationId}`;
+    if (req.query.locationId) filter.locationId = `${req.query.locationId}`;
+
     const combatLog = await db.collection('dungeon_log')
-      .find({})
+      .find(filter)
       .sort({ timestamp: -1 })
       .limit(50)
       .toArray();
 
-    const enrichedLog = await Promise.all(combatLog.map(async (entry) => {
-      // Try exact match first, then case-insensitive
-      const [actor, target] = await Promise.all([
-        db.collection('avatars').findOne(
-          { name: entry.actor },
-          { projection: { _id: 1, name: 1, imageUrl: 1, emoji: 1 } }
-        ) || db.collection('avatars').findOne(
-          { name: { $regex: `^${escapeRegExp(entry.actor)}$`, $options: 'i' } },
-          { projection: { _id: 1, name: 1, imageUrl: 1, emoji: 1 } }
-        ),
-        entry.target ? (
-          db.collection('avatars').findOne(
-            { name: entry.target },
-            { projection: { _id: 1, name: 1, imageUrl: 1, emoji: 1 } }
-          ) || db.collection('avatars').findOne(
-            { name: { $regex: `^${escapeRegExp(entry.target)}$`, $options: 'i' } },
-            { projection: { _id: 1, name: 1, imageUrl: 1, emoji: 1 } }
-          )
-        ) : null
-      ]);
+    // Events carry actor and target IDs; look the avatars up in one go
+    const ids = combatLog
+      .flatMap(entry => [entry.actorId, entry.targetId])
+      .filter(id => id instanceof ObjectId);
+    const avatars = await db.collection('avatars')
+      .find({ _id: { $in: ids } }, { projection: { _id: 1, name: 1, imageUrl: 1, emoji: 1 } })
+      .toArray();
+    const avatarsById = new Map(await Promise.all(avatars.map(async avatar => [
+      `${avatar._id}`,
+      { ...avatar, thumbnailUrl: avatar.imageUrl ? await generateThumbnail(avatar.imageUrl) : null }
+    ])));
 
-      const [actorThumb, targetThumb] = await Promise.all([
-        actor?.imageUrl ? generateThumbnail(actor.imageUrl) : null,
-        target?.imageUrl ? generateThumbnail(target.imageUrl) : null
-      ]);
+    const enrichedLog = combatLog.map(entry => {
+      const actor = entry.actorId ? avatarsById.get(`${entry.actorId}`) : null;
+      const target = entry.targetId ? avatarsById.get(`${entry.targetId}`) : null;
 
       return {
         ...entry,
-        actorId: actor?._id || null,
-        targetId: target?._id || null,
-        actorName: actor?.name || entry.actor,
+        actorName: actor?.name || entry.actorName,
         actorEmoji: actor?.emoji || null,
         actorImageUrl: actor?.imageUrl || null,
-        actorThumbnailUrl: actorThumb,
-        targetName: target?.name || entry.target,
+        actorThumbnailUrl: actor?.thumbnailUrl || null,
+        targetName: target?.name || entry.targetName,
         targetEmoji: target?.emoji || null,
         targetImageUrl: target?.imageUrl || null,
-        targetThumbnailUrl: targetThumb,
+        targetThumbnailUrl: target?.thumbnailUrl || null,
       };
-    }));
+    });
 
     res.json(enrichedLog);
   } catch (error) {
@@ -469,6 +485,76 @@ app.get('/api/dungeon/log', async (req, res) => {
   }
 });
 
+// The richest avatars and the latest coins to change hands
+app.get('/api/economy', async (req, res) => {
+  try {
+    if (!db) throw new Error('Database not connected');
+
+    const [richest, trades] = await Promise.all([
+      db.collection('wallets').aggregate([
+        { $sort: { coins: -1 } },
+        { $lookup: { from: 'avatars', localField: 'ownerId', foreignField: '_id', as: 'avatar' } },
+        { $unwind: '$avatar' },
+        { $limit: 10 },
+        { $project: { _id: '$avatar._id', name: '$avatar.name', emoji: '$avatar.emoji', imageUrl: '$avatar.imageUrl', coins: 1 } }
+      ]).toArray(),
+      db.collection('ledger')
+        .find({ type: { $in: ['buy', 'sell', 'pay', 'trade'] } })
+        .sort({ timestamp: -1 })
+        .limit(20)
+        .toArray()
+    ]);
+
+    const thumbnails = await Promise.all(richest.map(avatar => avatar.imageUrl ? generateThumbnail(avatar.imageUrl) : null));
+    res.json({
+      richest: richest.map((avatar, i) => ({ ...avatar, thumbnailUrl: thumbnails[i] })),
+      trades
+    });
+  } catch (error) {
+    console.error('Error fetching economy:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Arena tournaments, newest first; ?status= narrows to signup, running, finished or cancelled
+app.get('/api/tournaments', async (req, res) => {
+  try {
+    if (!db) throw new Error('Database not connected');
+
+    const filter = req.query.status ? { status: `${req.query.status}` } : {};
+    const tournaments = await db.collection('dungeon_tournaments')
+      .find(filter)
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(req.query.limit) || 20, 100))
+      .toArray();
+
+    res.json(tournaments);
+  } catch (error) {
+    console.error('Error fetching tournaments:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/tournaments/:id', async (req, res) => {
+  try {
+    if (!db) throw new Error('Database not connected');
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid tournament ID' });
+    }
+
+    const tournament = await db.collection('dungeon_tournaments')
+      .findOne({ _id: new ObjectId(req.params.id) });
+    if (!tournament) {
+      return res.status(404).json({ error: 'Tournament not found' });
+    }
+
+    res.json(tournament);
+  } catch (error) {
+    console.error('Error fetching tournament:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Replace family-tree endpoint with tribes endpoint
 app.get('/api/tribes', async (req, res) => {
   try {
@@ -523,6 +609,26 @@ app.get('/api/tribes', async (req, res) => {
   }
 });
 
+// Scheduled jobs with their last and next runs
+app.get('/api/scheduler/jobs', async (req, res) => {
+  try {
+    if (!db) throw new Error('Database not connected');
+
+    const jobs = await db.collection('scheduled_jobs')
+      .find({}, { projection: { data: 0 } })
+      .sort({ nextRunAt: 1 })
+      .toArray();
+
+    res.json(jobs.map(job => ({
+      ...job,
+      running: Boolean(job.lockedUntil && new Date(job.lockedUntil) > new Date())
+    })));
+  } catch (error) {
+    console.error('Scheduler jobs error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Add a health check endpoint
 app.get('/api/health', (req, res) => {
   if (!db) {
@@ -548,8 +654,8 @@ app.get('/api/avatars/:id', async (req, res) => {
       return res.status(404).json({ error: 'Avatar not found' });
     }
 
-    // Get ancestry, variants and stats in parallel
-    const [ancestry, variants, stats] = await Promise.all([
+    // Get ancestry, variants, stats, active effects, party and wallet in parallel
+    const [ancestry, variants, stats, effects, party, wallet] = await Promise.all([
       getAvatarAncestry(db, avatarId),
       db.collection('avatars')
         .find({ name: avatar.name })
@@ -560,9 +666,22 @@ app.get('/api/avatars/:id', async (req, res) => {
           { avatarId: avatarId },
           { avatarId: avatarId.toString() }
         ]
-      })
+      }),
+      db.collection('dungeon_effects')
+        .find({ avatarId, expiresAt: { $gt: Date.now() } })
+        .sort({ expiresAt: 1 })
+        .toArray(),
+      db.collection('dungeon_parties').findOne({ 'members.id': avatarId }),
+      db.collection('wallets').findOne({ ownerId: avatarId })
     ]);
 
+    // Companions get their pictures for the roster
+    const companions = party?.members.length > 1
+      ? await db.collection('avatars')
+        .find({ _id: { $in: party.members.map(member => member.id) } }, { projection: { _id: 1, name: 1, emoji: 1, imageUrl: 1 } })
+        .toArray()
+      : [];
+
     const thumbnails = await Promise.all(
       variants.map(v => generateThumbnail(v.imageUrl))
     );
@@ -570,7 +689,15 @@ app.get('/api/avatars/:id', async (req, res) => {
     res.json({
       ...avatar,
       ancestry,
-      stats: stats || { attack: 0, defense: 0, hp: 0 },
+      stats: stats
+        ? { ...stats, ...describeActionPoints(stats), coins: wallet?.coins || 0 }
+        : { attack: 0, defense: 0, hp: 0, coins: wallet?.coins || 0 },
+      effects,
+      party: companions.length ? {
+        _id: party._id,
+        leaderId: party.leaderId,
+        members: companions.map(member => ({ ...member, leader: `${member._id}` === `${party.leaderId}` }))
+      } : null,
       variants: variants.map((v, i) => ({
         ...v,
         thumbnailUrl: thumbnails[i]
@@ -602,4 +729,5 @@ app.listen(port, '0.0.0.0', () => {
   console.log('- GET /api/avatar/:id/narratives');
   console.log('- GET /api/dungeon/log');
   console.log('- GET /api/tribes');
+  console.log('- GET /api/scheduler/jobs');
 });
\ No newline at end of file
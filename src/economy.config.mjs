@@ -0,0 +1,33 @@
+// Coins: what things cost, what merchants stock and what avatars earn.
+// A location is a merchant if it is flagged `merchant` or its name has one of the keywords.
+const economy = {
+  "currency": { "name": "coins", "emoji": "🪙" },
+  // Buying price by item rarity; merchants buy back at `sellRate` of it
+  "prices": {
+    "common": 10,
+    "uncommon": 30,
+    "rare": 100,
+    "legendary": 300
+  },
+  "sellRate": 0.5,
+  // Buyers knock this much off per point of charisma above 5, up to `maxDiscount`
+  "haggle": {
+    "perCharisma": 0.02,
+    "maxDiscount": 0.2
+  },
+  "merchants": {
+    "keywords": ["market", "bazaar", "shop", "merchant", "emporium", "trading post", "smithy", "forge"],
+    "stockSize": 4,
+    // Cron schedule (server time) on which every merchant restocks
+    "restock": "0 */6 * * *"
+  },
+  "rewards": {
+    "daily": 25,
+    "knockout": 10,
+    "victory": 5,
+    "monster": 15,
+    "quest": 20
+  }
+};
+
+export default economy;
@@ -2,9 +2,8 @@
 
 import dotenv from 'dotenv';
 import winston from 'winston';
-import { MongoClient } from 'mongodb';
-// import { OllamaService as AIService } from './services/ollamaService.mjs';
-import { OpenRouterService as AIService } from './services/openrouterService.mjs';
+import { MongoClient, ObjectId } from 'mongodb';
+import { AIService } from './services/aiService.mjs';
 import { AvatarGenerationService } from './services/avatarService.mjs';
 import {
   client,
@@ -12,9 +11,14 @@ import {
   replyToMessage,
   sendAsWebhook,
   sendAvatarProfileEmbedFromObject,
+  buildAvatarProfileEmbed,
 } from './services/discordService.mjs';
+import { registerSlashCommands, getAvatarChoices } from './services/slashCommands.mjs';
 import { ChatService } from './services/chat/ChatService.mjs'; // Updated import path
 import { MessageHandler } from './services/chat/MessageHandler.mjs';
+import { SchedulerService } from './services/schedulerService.mjs';
+import { rngService } from './services/rngService.mjs';
+import { escapeRegExp } from './services/utils.mjs';
 
 // Load environment variables from .env file
 dotenv.config();
@@ -29,7 +33,7 @@ const BREEDS = [
   "Pig",
   "Grizzle"
 ];
-let BREEDING_SEASON = BREEDS[Math.floor(Math.random() * BREEDS.length)];
+let BREEDING_SEASON = rngService.pick('breeding', BREEDS);
 
 // Initialize Logger
 const logger = winston.createLogger({
@@ -117,86 +121,50 @@ async function saveMessageToDatabase(message) {
 }
 
 
-async function handleBreedCommand(message, args, commandLine) {
-  // find an avatar for each argument
-  const avatars = await avatarService.getAllAvatars();
-  const mentionedAvatars = Array.from(extractMentionedAvatars(commandLine, avatars))
-    .sort(() => Math.random() - 0.5).slice(-2);
-
+/**
+ * Breeds two avatars into a new one, enforcing the breeding rules.
+ * @param {TextChannel} channel - The channel the offspring is summoned into.
+ * @param {Object} avatar1 - The first parent.
+ * @param {Object} avatar2 - The second parent.
+ * @param {Object} requester - The user requesting the breeding ({ id, username, bot }).
+ * @returns {Promise<string>} - A message describing the outcome.
+ */
+async function breedAvatars(channel, avatar1, avatar2, requester) {
   // set the breeding season based on the day of the week
   const dayOfWeek = new Date().getDay();
   BREEDING_SEASON = BREEDS[dayOfWeek % BREEDS.length];
 
-  // if there are two avatars mentioned, reply with their names
-  if (mentionedAvatars.length === 2) {
-    const [avatar1, avatar2] = mentionedAvatars;
-
-    // Ensure both avatars are not the same
-    if (avatar1._id === avatar2._id) {
-      await replyToMessage(
-        message.channel.id,
-        message.id,
-        'Both avatars must be different to breed.'
-      );
-      return;
-    }
-
-    // both avatars must have the same channelid
-    if (avatar1.channelId !== avatar2.channelId) {
-      await replyToMessage(
-        message.channel.id,
-        message.id,
-        'Both avatars must be in the same channel to breed.'
-      );
-      return;
-    }
-
-    // check if the avatar has been bred in the last 24 hours
-    const breedingDate1 = await avatarService.getLastBredDate(avatar1._id.toString());
-
-    if (breedingDate1 && new Date() - new Date(breedingDate1) < 24 * 60 * 60 * 1000) {
-      await replyToMessage(
-        message.channel.id,
-        message.id,
-        `${avatar1.name} has already been bred in the last 24 hours.`
-      );
-      return;
-    }
+  // Ensure both avatars are not the same
+  if (avatar1._id.toString() === avatar2._id.toString()) {
+    return 'Both avatars must be different to breed.';
+  }
 
-    const breedingDate2 = await avatarService.getLastBredDate(avatar2._id.toString());
-    if (breedingDate1 && new Date() - new Date(breedingDate1) < 24 * 60 * 60 * 1000) {
-      await replyToMessage(
-        message.channel.id,
-        message.id,
-        `${avatar1.name} has already been bred in the last 24 hours.`
-      );
-      return;
-    }
+  // both avatars must have the same channelid
+  if (avatar1.channelId !== avatar2.channelId) {
+    return 'Both avatars must be in the same channel to breed.';
+  }
 
-    // Ensure both avatars have "Poozer" in their name
-    if (message.author.username !== 'noxannihilism' && !message.author.bot && (!avatar1.name.includes(BREEDING_SEASON.toLowerCase()) && !avatar2.name.toLowerCase().includes(BREEDING_SEASON.toLowerCase()))) {
-      await replyToMessage(
-        message.channel.id,
-        message.id,
-        'Both avatars must contain the correct breed in their name to be bred by humans.'
-      );
-      return;
+  // check if either avatar has been bred in the last 24 hours
+  for (const avatar of [avatar1, avatar2]) {
+    const breedingDate = await avatarService.getLastBredDate(avatar._id.toString());
+    if (breedingDate && new Date() - new Date(breedingDate) < 24 * 60 * 60 * 1000) {
+      return `${avatar.name} has already been bred in the last 24 hours.`;
     }
-    await replyToMessage(
-      message.channel.id,
-      message.id,
-      `Breeding ${avatar1.name} with ${avatar2.name}...`
-    );
+  }
 
+  // Ensure both avatars have "Poozer" in their name
+  if (requester.username !== 'noxannihilism' && !requester.bot && (!avatar1.name.includes(BREEDING_SEASON.toLowerCase()) && !avatar2.name.toLowerCase().includes(BREEDING_SEASON.toLowerCase()))) {
+    return 'Both avatars must contain the correct breed in their name to be bred by humans.';
+  }
 
-    const memories1 = (await chatService.conversationHandler.memoryService.getMemories(avatar1._id)).map(m => m.memory).join('\n');
-    const narrative1 = await chatService.conversationHandler.buildNarrativePrompt(avatar1, [...memories1]);
-    const memories2 = (await chatService.conversationHandler.memoryService.getMemories(avatar2._id)).map(m => m.memory).join('\n');
-    const narrative2 = await chatService.conversationHandler.buildNarrativePrompt(avatar2, [...memories2]);
+  const memories1 = (await chatService.conversationHandler.memoryService.getMemories(avatar1._id)).map(m => m.memory).join('\n');
+  const narrative1 = await chatService.conversationHandler.buildNarrativePrompt(avatar1, [...memories1]);
+  const memories2 = (await chatService.conversationHandler.memoryService.getMemories(avatar2._id)).map(m => m.memory).join('\n');
+  const narrative2 = await chatService.conversationHandler.buildNarrativePrompt(avatar2, [...memories2]);
 
 
-    // combine the prompt, dynamicPersonality, and description of the two avatars into a message for createAvatar
-    const prompt = `Breed the following avatars, and create a new avatar:
+  // combine the prompt, dynamicPersonality, and description of the two avatars into a message for createAvatar
+  const prompt = `Breed the following avatars, and create a new avatar:
       AVATAR 1: ${avatar1.name} - ${avatar1.prompt}
       ${avatar1.description}
       ${avatar1.personality}
@@ -208,20 +176,48 @@ async function handleBreedCommand(message, args, commandLine) {
       ${narrative2}
       `;
 
-    return await handleSummmonCommand(message, [prompt], true, { summoner: `${message.author.username}@${message.author.id}`, parents: [avatar1._id, avatar2._id] });
-  } else {
+  const { avatar } = await summonAvatar(channel, prompt, { summoner: `${requester.username}@${requester.id}`, parents: [avatar1._id, avatar2._id] }, true);
+  return `${avatar1.name} and ${avatar2.name} gave rise to ${avatar.emoji || ''} ${avatar.name}!`;
+}
+
+async function handleBreedCommand(message, args, commandLine) {
+  // find an avatar for each argument
+  const avatars = await avatarService.getAllAvatars();
+  const mentionedAvatars = rngService.shuffle('breeding', extractMentionedAvatars(commandLine, avatars)).slice(-2);
+
+  // if there are two avatars mentioned, reply with their names
+  if (mentionedAvatars.length !== 2) {
     await replyToMessage(
       message.channel.id,
       message.id,
       'Please mention two avatars to breed.'
     );
+    return;
+  }
+
+  const [avatar1, avatar2] = mentionedAvatars;
+  await replyToMessage(
+    message.channel.id,
+    message.id,
+    `Breeding ${avatar1.name} with ${avatar2.name}...`
+  );
+
+  try {
+    const result = await breedAvatars(message.channel, avatar1, avatar2, message.author);
+    await replyToMessage(message.channel.id, message.id, result);
+  } catch (error) {
+    logger.error(`Error in breed command: ${error.message}`);
+    await reactToMessage(client, message.channel.id, message.id, '❌');
   }
 }
 
 /**
  * Handles the !attack command to attack another avatar.
+ * @param {Message} message - The Discord message object.
+ * @param {Array} args - The arguments provided with the command.
+ * @param {Object} [speaker] - The avatar who sent the command; it attacks and pays the action points.
  */
-async function handleAttackCommand(message, args) {
+async function handleAttackCommand(message, args, speaker = null) {
   if (args.length < 1) {
     await replyToMessage(
       message.channel.id,
@@ -244,7 +240,10 @@ async function handleAttackCommand(message, args) {
     return;
   }
 
-  const attackResult = await chatService.dungeonService.tools.get('attack').execute(message, [targetAvatar.name], targetAvatar);
+  const actor = speaker
+    ? { channel: message.channel, author: { id: speaker._id, username: speaker.name } }
+    : message;
+  const attackResult = await chatService.dungeonService.processAction(actor, 'attack', [targetAvatar.name], speaker);
 
   await replyToMessage(
     message.channel.id,
@@ -254,116 +253,124 @@ async function handleAttackCommand(message, args) {
 }
 
 /**
- * Handles the !summon command to create a new avatar.
- * @param {Message} message - The Discord message object.
- * @param {Array} args - The arguments provided with the command.
+ * Summons an existing avatar into a channel, or creates a new one from the prompt.
+ * @param {TextChannel} channel - The channel to summon into.
+ * @param {string} prompt - The avatar name, or a description of a new avatar.
+ * @param {Object} attributes - Extra attributes for a newly created avatar.
+ * @param {boolean} breed - Whether the summon is the result of breeding.
+ * @param {Object} [picked] - An avatar already chosen, e.g. from autocomplete; skips the name lookup.
+ * @returns {Promise<{avatar: Object, existing: boolean}>} - The summoned avatar.
+ * @throws {Error} - If a new avatar could not be created.
  */
-async function handleSummmonCommand(message, args, breed = false, attributes = {}) {
-  let prompt = args.join(' ');
-  let existingAvatar = null; // Declare at the start
-
-  try {
-    // First check if this might be summoning an existing avatar
-    const avatars = await avatarService.getAllAvatars();
-    existingAvatar = await findAvatarByName(prompt, avatars);
-
-    // Update the summon existing avatar logic
-    if (existingAvatar) {
-
-      await reactToMessage(client, message.channel.id, message.id, existingAvatar.emoji || '🔮');
-
-      // Update database position
-      await chatService.dungeonService.updateAvatarPosition(existingAvatar._id, message.channel.id);
-
-      existingAvatar.channelId = message.channel.id;
-      await avatarService.updateAvatar(existingAvatar);
-
-      existingAvatar.stats = await chatService.dungeonService.getAvatarStats(existingAvatar._id);
-      await sendAvatarProfileEmbedFromObject(existingAvatar);
-      await chatService.respondAsAvatar(message.channel, existingAvatar, true);
-
-      await reactToMessage(client, message.channel.id, message.id, '✅');
-      return;
-    }
-
-    // if (message.author.username !== 'noxannihilism' && !breed && !message.author.bot) {
-    //   replyToMessage(message.channel.id, message.id, '❌ Summoning orb not found.');
-    //   await reactToMessage(client, message.channel.id, message.id, '❌');
-    //   return;
-    // }
-
-    // If no existing avatar found, proceed with creating new one
-    // If no prompt provided, check for default Arweave prompt URL in env
-    if (!prompt && process.env.DEFAULT_AVATAR_PROMPT_URL) {
-      prompt = process.env.DEFAULT_AVATAR_PROMPT_URL;
-    } else if (!prompt) {
-      prompt = 'create a new avatar, use your imagination!';
-    }
-
-    const avatarData = {
-      prompt: sanitizeInput(prompt),
-      channelId: message.channel.id,
-    };
+async function summonAvatar(channel, prompt = '', attributes = {}, breed = false, picked = null) {
+  // First check if this might be summoning an existing avatar
+  const existingAvatar = picked
+    || (breed ? null : await findAvatarByName(prompt, await avatarService.getAllAvatars()));
+
+  // Update the summon existing avatar logic
+  if (existingAvatar) {
+    // Update database position
+    await chatService.dungeonService.updateAvatarPosition(existingAvatar._id, channel.id);
+
+    existingAvatar.channelId = channel.id;
+    await avatarService.updateAvatar(existingAvatar);
+
+    existingAvatar.stats = await chatService.dungeonService.getAvatarStats(existingAvatar._id);
+    await sendAvatarProfileEmbedFromObject(existingAvatar);
+    await chatService.respondAsAvatar(channel, existingAvatar, true);
+    return { avatar: existingAvatar, existing: true };
+  }
 
-    // Check if prompt is an Arweave URL
-    if (prompt.match(/^(https:\/\/.*\.arweave\.net\/|ar:\/\/)/)) {
-      avatarData.arweave_prompt = prompt;
-    }
+  // If no existing avatar found, proceed with creating new one
+  // If no prompt provided, check for default Arweave prompt URL in env
+  if (!prompt && process.env.DEFAULT_AVATAR_PROMPT_URL) {
+    prompt = process.env.DEFAULT_AVATAR_PROMPT_URL;
+  } else if (!prompt) {
+    prompt = 'create a new avatar, use your imagination!';
+  }
 
-    const createdAvatar = await avatarService.createAvatar(avatarData);
+  const avatarData = {
+    prompt: sanitizeInput(prompt),
+    channelId: channel.id,
+  };
 
-    if (createdAvatar && createdAvatar.name) {
+  // Check if prompt is an Arweave URL
+  if (prompt.match(/^(https:\/\/.*\.arweave\.net\/|ar:\/\/)/)) {
+    avatarData.arweave_prompt = prompt;
+  }
 
-      if (!createdAvatar.model) {
-        createdAvatar.model = await aiService.selectRandomModel();
-      }
+  const createdAvatar = await avatarService.createAvatar(avatarData);
 
-      createdAvatar.stats = await chatService.dungeonService.getAvatarStats(createdAvatar._id);
-      await sendAvatarProfileEmbedFromObject(createdAvatar);
+  if (!createdAvatar || !createdAvatar.name) {
+    throw new Error(`Avatar missing required fields after creation: ${JSON.stringify(createdAvatar, null, 2)}`);
+  }
 
-      // update the avatar with the prompt
-      await avatarService.updateAvatar(createdAvatar);
+  // The rarity roll is kept with the avatar so it can be audited
+  if (!createdAvatar.model) {
+    const { model, rarity, roll, seed } = await aiService.rollModel();
+    createdAvatar.model = model;
+    createdAvatar.modelRoll = { rarity, roll, seed };
+  }
 
-      let intro = await aiService.chat([
-        {
-          role: 'system', content: `
+  // Starting stats depend on the model's rarity, so they are rolled once it is chosen.
+  // This also places the avatar in the current channel.
+  const { dungeonService } = chatService;
+  const { creation } = await dungeonService.initializeAvatar(createdAvatar._id, channel.id, createdAvatar);
+  await dungeonService.dungeonLog.logEvent({
+    type: 'summon',
+    actorId: createdAvatar._id,
+    actorName: createdAvatar.name,
+    locationId: channel.id,
+    seed: createdAvatar.modelRoll?.seed ?? null,
+    outcome: { model: createdAvatar.model, ...createdAvatar.modelRoll, statsSeed: creation?.seed ?? null, points: creation?.points ?? null },
+    result: `🔮 ${createdAvatar.name} is summoned${createdAvatar.modelRoll ? ` (🎲 ${createdAvatar.modelRoll.roll}, ${createdAvatar.modelRoll.rarity})` : ''}.`,
+  });
+  createdAvatar.stats = await chatService.dungeonService.getAvatarStats(createdAvatar._id);
+  await sendAvatarProfileEmbedFromObject(createdAvatar);
+
+  // update the avatar with the prompt
+  await avatarService.updateAvatar(createdAvatar);
+
+  let intro = await aiService.chat([
+    {
+      role: 'system', content: `
           You are the  avatar ${createdAvatar.name}.
           ${createdAvatar.description}
           ${createdAvatar.personality}
         ` },
-        { role: 'user', content: `You've just arrived. This is your one chance to introduce yourself. Impress me, and save yourself from elimination.` }
-      ], { model: createdAvatar.model });
-
-      createdAvatar.dynamicPersonality = intro;
-      createdAvatar.channeId = message.channel.id;
-      await avatarService.updateAvatar(createdAvatar);
-      createdAvatar.attributes = attributes;
-
-      await sendAsWebhook(
-        message.channel.id,
-        intro,
-        createdAvatar.name,
-        createdAvatar.imageUrl
-      );
+    { role: 'user', content: `You've just arrived. This is your one chance to introduce yourself. Impress me, and save yourself from elimination.` }
+  ], { model: createdAvatar.model });
+
+  createdAvatar.dynamicPersonality = intro;
+  createdAvatar.channeId = channel.id;
+  await avatarService.updateAvatar(createdAvatar);
+  createdAvatar.attributes = attributes;
+
+  await sendAsWebhook(
+    channel.id,
+    intro,
+    createdAvatar.name,
+    createdAvatar.imageUrl
+  );
 
-      // Initialize avatar position in current channel instead of market
-      await chatService.dungeonService.initializeAvatar(
-        createdAvatar._id, message.channel.id
-      );
+  await chatService.respondAsAvatar(channel, createdAvatar, true);
+  return { avatar: createdAvatar, existing: false };
+}
 
-      // React to the original message with the avatar's emoji
-      await reactToMessage(client, message.channel.id, message.id, createdAvatar.emoji || '🎉');
+/**
+ * Handles the !summon command to create a new avatar.
+ * @param {Message} message - The Discord message object.
+ * @param {Array} args - The arguments provided with the command.
+ */
+async function handleSummmonCommand(message, args, breed = false, attributes = {}) {
+  try {
+    const { avatar } = await summonAvatar(message.channel, args.join(' '), attributes, breed);
 
-      await chatService.respondAsAvatar(message.channel, createdAvatar, true);
-    } else {
-      await reactToMessage(client, message.channel.id, message.id, '❌');
-      throw new Error('Avatar missing required fields after creation:', JSON.stringify(createdAvatar, null, 2));
-    }
+    // React to the original message with the avatar's emoji
+    await reactToMessage(client, message.channel.id, message.id, avatar.emoji || '🔮');
+    await reactToMessage(client, message.channel.id, message.id, '✅');
   } catch (error) {
     logger.error(`Error in summon command: ${error.message}`);
-    if (existingAvatar) {
-      logger.debug('Avatar data:', JSON.stringify(existingAvatar, null, 2));
-    }
     await reactToMessage(client, message.channel.id, message.id, '❌');
   }
 }
@@ -384,14 +391,37 @@ async function findAvatarByName(name, avatars) {
   const sanitizedName = sanitizeInput(name.toLowerCase());
 
   // find all avatars with the same name
-  return avatars.filter(avatar =>
+  return rngService.shuffle('avatars', avatars.filter(avatar =>
     avatar.name.toLowerCase() === sanitizedName ||
     sanitizeInput(avatar.name.toLowerCase()) === sanitizedName
-  ).sort(() => Math.random() - 0.5).shift();
+  )).shift();
+}
+
+/**
+ * Resolves a slash command avatar option.
+ * Autocompleted options carry the avatar ID; free text falls back to an exact name match.
+ * @param {string} value - The option value.
+ * @param {string} [includeStatus] - 'alive' by default; 'all' also matches the dead.
+ * @returns {Promise<Object|null>} - The avatar, or null if none matches.
+ */
+async function resolveAvatarOption(value, includeStatus = 'alive') {
+  if (!value) return null;
+
+  if (/^[a-f\d]{24}$/i.test(value)) {
+    try {
+      return await avatarService.getAvatarById(new ObjectId(value));
+    } catch (error) {
+      logger.warn(`Avatar option ${value} did not resolve by ID: ${error.message}`);
+    }
+  }
+
+  const avatars = await avatarService.getAllAvatars(includeStatus);
+  return (await findAvatarByName(value, avatars)) || null;
 }
 
 /**
  * Extracts avatars mentioned in the message content.
+ * Names only match as whole words, so "Rat" does not match inside "Ratimus".
  * @param {string} content - The message content.
  * @param {Array} avatars - Array of all avatars.
  * @returns {Set} Set of mentioned avatars.
@@ -422,7 +452,8 @@ function extractMentionedAvatars(content, avatars) {
       }
 
       // Check for mentions
-      const nameMatch = avatar.name && content.toLowerCase().includes(avatar.name.toLowerCase());
+      const namePattern = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(avatar.name)}(?![\\p{L}\\p{N}])`, 'iu');
+      const nameMatch = namePattern.test(content);
       const emojiMatch = avatar.emoji && content.includes(avatar.emoji);
 
       if (nameMatch || emojiMatch) {
@@ -441,40 +472,207 @@ function extractMentionedAvatars(content, avatars) {
 }
 
 /**
- * Handles other commands based on the message content.
+ * Finds the avatar behind a webhook message from the name it speaks under.
  * @param {Message} message - The Discord message object.
+ * @returns {Promise<Object|null>} - The avatar, or null if nobody by that name is alive.
  */
-async function handleCommands(message, args, commandLine) {
+async function findSpeakingAvatar(message) {
+  // Tool results and ghosts speak under a prefixed name
+  const name = message.author.username.replace(/^(🛠️|👻)\s*/u, '');
+  const avatars = await avatarService.getAllAvatars();
+  return avatars.find(avatar => avatar.name === name) || null;
+}
+
+/**
+ * Handles `!` commands issued by avatars speaking through webhooks.
+ * Humans use the registered slash commands instead.
+ * @param {Message} message - The Discord message object.
+ * @param {string} line - The command line.
+ */
+async function handleCommands(message, line) {
+  const commandLine = line.toLowerCase();
+  const args = line.split(' ').slice(1);
+  const command = commandLine.match(/^!(summon|attack|breed) /)?.[1];
+  if (!command) return;
+
+  // Items gate these commands for avatars just as they do for people
+  const speaker = await findSpeakingAvatar(message);
+  const missingItem = await chatService.dungeonService.items.getMissingGateItem(speaker?._id ?? message.author.id, command);
+  if (missingItem) {
+    await replyToMessage(message.channel.id, message.id, `❌ ${missingItem.name} not found.`);
+    return;
+  }
 
   if (commandLine.startsWith('!summon ')) {
-    const args = message.content.slice(8).split(' ');
     await reactToMessage(client, message.channel.id, message.id, '🔮');
     await handleSummmonCommand(message, args);
   }
 
   if (commandLine.startsWith('!attack ')) {
-    if (!message.author.bot) {
-      replyToMessage(message.channel.id, message.id, '❌ Sword of violence not found.');
-      return;
-    }
-    const args = message.content.slice(8).split(' ');
     await reactToMessage(client, message.channel.id, message.id, '⚔️');
-    await handleAttackCommand(message, args);
+    await handleAttackCommand(message, args, speaker);
     await reactToMessage(client, message.channel.id, message.id, '✅');
   }
 
   if (commandLine.startsWith('!breed ')) {
-    // if (!message.author.bot) {
-    //   replyToMessage(message.channel.id, message.id, '❌ Bow of cupidity not found.');
-    //   return;
-    // }
-    const args = message.content.slice(6).split(' ');
     await reactToMessage(client, message.channel.id, message.id, '🏹');
     await handleBreedCommand(message, args, commandLine);
     await reactToMessage(client, message.channel.id, message.id, '✅');
   }
 }
 
+/**
+ * Handles a slash command interaction.
+ * Replies are ephemeral and deferred, since summoning and breeding can take a while.
+ * @param {ChatInputCommandInteraction} interaction - The interaction.
+ */
+async function handleSlashCommand(interaction) {
+  await interaction.deferReply({ ephemeral: true });
+
+  // Some commands need an item in the user's inventory
+  const missingItem = await chatService.dungeonService.items.getMissingGateItem(interaction.user.id, interaction.commandName);
+  if (missingItem) {
+    await interaction.editReply(`❌ ${missingItem.name} not found.`);
+    return;
+  }
+
+  switch (interaction.commandName) {
+    case 'summon': {
+      const value = interaction.options.getString('avatar') || '';
+      const avatar = await resolveAvatarOption(value);
+      const { avatar: summoned, existing } = await summonAvatar(interaction.channel, value, {}, false, avatar);
+      await interaction.editReply(`${summoned.emoji || '🔮'} ${existing ? 'Summoned' : 'Created'} ${summoned.name}.`);
+      return;
+    }
+
+    case 'breed': {
+      const [avatar1, avatar2] = await Promise.all([
+        resolveAvatarOption(interaction.options.getString('avatar1')),
+        resolveAvatarOption(interaction.options.getString('avatar2')),
+      ]);
+      if (!avatar1 || !avatar2) {
+        await interaction.editReply('Please choose two existing avatars to breed.');
+        return;
+      }
+      await interaction.editReply(`🏹 Breeding ${avatar1.name} with ${avatar2.name}...`);
+      const result = await breedAvatars(interaction.channel, avatar1, avatar2, interaction.user);
+      await interaction.editReply(result);
+      return;
+    }
+
+    case 'attack': {
+      const avatar = await resolveAvatarOption(interaction.options.getString('avatar'));
+      if (!avatar) {
+        await interaction.editReply('Could not find that avatar.');
+        return;
+      }
+      const result = await chatService.dungeonService.processAction({
+        channel: interaction.channel,
+        author: { id: interaction.user.id, username: interaction.user.username },
+      }, 'attack', [avatar.name]);
+      await interaction.channel.send(result);
+      await interaction.editReply(`⚔️ You attacked ${avatar.name}.`);
+      return;
+    }
+
+    case 'resurrect': {
+      const avatar = await resolveAvatarOption(interaction.options.getString('avatar'), 'all');
+      if (!avatar) {
+        await interaction.editReply('Could not find that avatar.');
+        return;
+      }
+      const result = await chatService.dungeonService.processAction({
+        channel: interaction.channel,
+        author: { id: interaction.user.id, username: interaction.user.username },
+      }, 'resurrect', [avatar.name]);
+      await interaction.channel.send(result);
+      await interaction.editReply(`🕯️ You called on the ritual for ${avatar.name}.`);
+      return;
+    }
+
+    case 'arena': {
+      const { tournaments } = chatService.dungeonService;
+      const locationId = interaction.channel.id;
+      switch (interaction.options.getSubcommand()) {
+        case 'open': {
+          const result = await tournaments.open(locationId, interaction.options.getString('name') || '');
+          await interaction.channel.send(result);
+          await interaction.editReply('🏟️ Done.');
+          return;
+        }
+        case 'signup': {
+          const avatar = await resolveAvatarOption(interaction.options.getString('avatar'));
+          if (!avatar) {
+            await interaction.editReply('Could not find that avatar.');
+            return;
+          }
+          const result = await tournaments.signUp(locationId, { id: avatar._id, name: avatar.name }, interaction.user.id);
+          await interaction.channel.send(result);
+          await interaction.editReply(`📝 You entered ${avatar.name}.`);
+          return;
+        }
+        default: {
+          const tournament = await tournaments.getTournamentAt(locationId);
+          await interaction.editReply(tournament ? tournaments.describe(tournament) : '🏟️ No tournament is open here.');
+          return;
+        }
+      }
+    }
+
+    case 'inventory': {
+      const { items, economy } = chatService.dungeonService;
+      const inventory = await items.getInventory(interaction.user.id);
+      const purse = economy.formatCoins(await economy.getBalance(interaction.user.id));
+      await interaction.editReply(inventory.length
+        ? `🎒 You are carrying ${inventory.map(entry => items.formatItem(entry.item, entry.quantity)).join(', ')}, and ${purse}.`
+        : `🎒 You are carrying nothing but ${purse}. Avatars can !give you items and !pay you coins.`);
+      return;
+    }
+
+    case 'profile': {
+      const avatar = await resolveAvatarOption(interaction.options.getString('avatar'));
+      if (!avatar) {
+        await interaction.editReply('Could not find that avatar.');
+        return;
+      }
+      avatar.stats = await chatService.dungeonService.getAvatarStats(avatar._id);
+      await interaction.editReply({ embeds: [buildAvatarProfileEmbed(avatar, interaction.guildId)] });
+      return;
+    }
+
+    default:
+      await interaction.editReply(`Unknown command: /${interaction.commandName}`);
+  }
+}
+
+client.on('interactionCreate', async (interaction) => {
+  try {
+    if (!chatService) {
+      logger.error('ChatService not initialized');
+      return;
+    }
+
+    if (interaction.isAutocomplete()) {
+      const focused = interaction.options.getFocused();
+      // Only the dead can be resurrected
+      const avatars = interaction.commandName === 'resurrect'
+        ? (await avatarService.getAllAvatars('all')).filter(avatar => avatar.status === 'dead')
+        : await avatarService.getAllAvatars();
+      await interaction.respond(getAvatarChoices(avatars, focused));
+      return;
+    }
+
+    if (interaction.isChatInputCommand()) {
+      await handleSlashCommand(interaction);
+    }
+  } catch (error) {
+    logger.error(`Error handling interaction: ${error.stack}`);
+    if (interaction.isRepliable() && interaction.deferred) {
+      await interaction.editReply('❌ Something went wrong.').catch(() => { });
+    }
+  }
+});
+
 client.on('messageCreate', async (message) => {
   try {
     if (!messageHandler) {
@@ -484,16 +682,17 @@ client.on('messageCreate', async (message) => {
 
     // split the message content into lines
     const lines = message.content.split('\n');
-    // handle any lines that start with ! as commands
-    let counter = 2;
-    for (const line of lines) {
-      if (line.startsWith('!')) {
-        await handleCommands(message, line.split(' '), line.toLowerCase());
-        counter--;
-      }
-      if (counter === 0) {
-        break;
+    if (message.author.bot) {
+      // handle any lines that start with ! as commands
+      for (const line of lines.filter(line => line.startsWith('!'))) {
+        await handleCommands(message, line);
       }
+    } else if (lines.some(line => /^!(summon|attack|breed)\b/i.test(line))) {
+      await replyToMessage(
+        message.channel.id,
+        message.id,
+        'Commands have moved to slash commands: try /summon, /breed, /attack or /profile.'
+      );
     }
 
 
@@ -534,6 +733,8 @@ async function shutdown(signal) {
       }
     })(),
     (async () => {
+      scheduler?.stop();
+      messageHandler?.stop();
       if (chatService) {
         try {
           await chatService.stop();
@@ -556,6 +757,7 @@ process.on('SIGTERM', () => shutdown('SIGTERM'));
 // Instantiate ChatService (declare here for shutdown handling)
 let chatService;
 let messageHandler;
+let scheduler;
 
 // Fix the IIFE syntax and add error handling
 async function main() {
@@ -578,11 +780,16 @@ async function main() {
     await avatarService.updateAllArweavePrompts();
     logger.info('✅ Arweave prompts updated successfully');
 
+    // Persisted jobs replace in-process timers
+    scheduler = new SchedulerService(db, logger);
+    await scheduler.initialize();
+
     // Initialize chat service with all required dependencies
     chatService = new ChatService(client, db, {
       logger,
       avatarService,
       aiService,
+      scheduler,
     });
 
     // Initialize message handler
@@ -596,11 +803,25 @@ async function main() {
     await new Promise(resolve => client.once('ready', resolve));
     logger.info('✅ Discord client ready');
 
+    // Register slash commands
+    if (DISCORD_CLIENT_ID) {
+      try {
+        await registerSlashCommands(DISCORD_CLIENT_ID, BOT_TOKEN);
+        logger.info('✅ Slash commands registered');
+      } catch (error) {
+        logger.error(`Failed to register slash commands: ${error.message}`);
+      }
+    }
+
     // Setup and start chat service
     await chatService.setupWithRetry();
     await chatService.start();
     logger.info('✅ Chat service started successfully');
 
+    // Start running jobs once every handler is defined
+    await messageHandler.startProcessing();
+    scheduler.start();
+
   } catch (error) {
     logger.error(`Fatal startup error: ${error.stack || error.message}`);
     if (dbConnected) {
@@ -0,0 +1,68 @@
+// Item definitions, seeded into the `items` collection on startup.
+// `gates` names the command an item unlocks (see ITEM_GATED_COMMANDS).
+// `teleport` lets its holder !move to any location, not just through exits (used up if consumable).
+// `use` describes what happens on !use: `heal` restores hp, `effect` applies a status effect.
+const items = [
+  {
+    "key": "sword_of_violence",
+    "name": "Sword of Violence",
+    "emoji": "⚔️",
+    "description": "A notched blade that hums when a fight is near.",
+    "rarity": "rare",
+    "gates": "attack"
+  },
+  {
+    "key": "bow_of_cupidity",
+    "name": "Bow of Cupidity",
+    "emoji": "🏹",
+    "description": "Its arrows bind two hearts into something new.",
+    "rarity": "rare",
+    "gates": "breed"
+  },
+  {
+    "key": "summoning_orb",
+    "name": "Summoning Orb",
+    "emoji": "🔮",
+    "description": "A swirling orb that calls travellers from far away.",
+    "rarity": "legendary",
+    "gates": "summon"
+  },
+  {
+    "key": "scroll_of_far_travel",
+    "name": "Scroll of Far Travel",
+    "emoji": "📜",
+    "description": "Read aloud while moving to step straight to any place you know of.",
+    "rarity": "rare",
+    "consumable": true,
+    "teleport": true
+  },
+  {
+    "key": "healing_potion",
+    "name": "Healing Potion",
+    "emoji": "🧪",
+    "description": "Tastes of moss and honey. Restores 30 hp.",
+    "rarity": "common",
+    "consumable": true,
+    "use": { "heal": 30 }
+  },
+  {
+    "key": "berserker_brew",
+    "name": "Berserker Brew",
+    "emoji": "🍺",
+    "description": "A frothing mug that makes every swing hit harder for five minutes.",
+    "rarity": "uncommon",
+    "consumable": true,
+    "use": { "effect": { "type": "buff", "stat": "attack", "amount": 5, "durationMs": 300000 } }
+  },
+  {
+    "key": "iron_charm",
+    "name": "Iron Charm",
+    "emoji": "🪬",
+    "description": "Clutch it tight and blows glance off you for five minutes.",
+    "rarity": "uncommon",
+    "consumable": true,
+    "use": { "effect": { "type": "buff", "stat": "defense", "amount": 5, "durationMs": 300000 } }
+  }
+];
+
+export default items;
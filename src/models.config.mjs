@@ -1,82 +1,116 @@
+// Each model names the provider that serves it: openrouter, ollama, replicate or local
+// (any OpenAI-compatible endpoint at LOCAL_AI_BASE_URL). Models that accept function
+// definitions set supportsTools; the rest use `!command` lines instead.
 const models = [
   {
     "model": "meta-llama/llama-3.2-1b-instruct",
+    "provider": "openrouter",
     "rarity": "common"
   },
   {
     "model": "meta-llama/llama-3.2-3b-instruct",
+    "provider": "openrouter",
     "rarity": "common"
   },
   {
     "model": "eva-unit-01/eva-qwen-2.5-72b",
+    "provider": "openrouter",
     "rarity": "rare"
   },
   {
     "model": "openai/gpt-4o",
+    "provider": "openrouter",
+    "supportsTools": true,
     "rarity": "legendary"
   },
   {
     "model": "meta-llama/llama-3.1-405b-instruct",
+    "provider": "openrouter",
+    "supportsTools": true,
     "rarity": "legendary"
   },
   {
     "model": "anthropic/claude-3-opus:beta",
+    "provider": "openrouter",
+    "supportsTools": true,
     "rarity": "legendary"
   },
   {
     "model": "anthropic/claude-3.5-sonnet:beta",
+    "provider": "openrouter",
+    "supportsTools": true,
     "rarity": "legendary"
   },
   {
     "model": "anthropic/claude-3.5-haiku:beta",
+    "provider": "openrouter",
+    "supportsTools": true,
     "rarity": "uncommon"
   },
   {
     "model": "neversleep/llama-3.1-lumimaid-70b",
+    "provider": "openrouter",
     "rarity": "rare"
   },
   {
     "model": "nvidia/llama-3.1-nemotron-70b-instruct",
+    "provider": "openrouter",
+    "supportsTools": true,
     "rarity": "rare"
   },
   {
     "model": "meta-llama/llama-3.1-70b-instruct",
+    "provider": "openrouter",
+    "supportsTools": true,
     "rarity": "uncommon"
   },
   {
     "model": "pygmalionai/mythalion-13b",
+    "provider": "openrouter",
     "rarity": "uncommon"
   },
   {
     "model": "mistralai/mistral-large-2411",
+    "provider": "openrouter",
+    "supportsTools": true,
     "rarity": "uncommon"
   },
   {
     "model": "qwen/qwq-32b-preview",
+    "provider": "openrouter",
     "rarity": "uncommon"
   },
   {
     "model": "eva-unit-01/eva-qwen-2.5-72b",
+    "provider": "openrouter",
     "rarity": "uncommon"
   },
   {
     "model": "gryphe/mythomax-l2-13b",
+    "provider": "openrouter",
     "rarity": "common"
   },
   {
     "model": "google/gemini-flash-1.5-8b",
+    "provider": "openrouter",
+    "supportsTools": true,
     "rarity": "common"
   },
   {
     "model": "x-ai/grok-beta",
-    "rarity": "legedary"
+    "provider": "openrouter",
+    "supportsTools": true,
+    "rarity": "legendary"
   },
   {
     "model": "undi95/remm-slerp-l2-13b",
+    "provider": "openrouter",
     "rarity": "uncommon"
   },
   {
     "model": "meta-llama/llama-3.3-70b-instruct",
+    "provider": "openrouter",
+    "supportsTools": true,
     "rarity": "uncommon"
   }
 ];
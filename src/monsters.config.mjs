@@ -0,0 +1,57 @@
+// NPC monster definitions. Monsters spawn in locations on a schedule and fight in encounters.
+// `behaviour`: aggressive monsters attack anyone, defensive ones only strike back,
+// and cowardly ones flee once they drop below half their hp.
+// `boss` monsters guard the last room of a !delve.
+// `loot` items may drop where a monster is defeated; `xp` goes to whoever defeats it.
+const monsters = [
+  {
+    "key": "cave_rat",
+    "name": "Cave Rat",
+    "emoji": "🐀",
+    "description": "A rat the size of a dog, all teeth and twitching whiskers.",
+    "rarity": "common",
+    "behaviour": "cowardly",
+    "stats": { "hp": 30, "attack": 6, "defense": 2, "speed": 8 },
+    "xp": 20,
+    "loot": [{ "itemKey": "healing_potion", "chance": 0.3 }]
+  },
+  {
+    "key": "moss_golem",
+    "name": "Moss Golem",
+    "emoji": "🗿",
+    "description": "A slow heap of stone and moss that only stirs when disturbed.",
+    "rarity": "common",
+    "behaviour": "defensive",
+    "stats": { "hp": 80, "attack": 8, "defense": 10, "speed": 1 },
+    "xp": 40,
+    "loot": [{ "itemKey": "iron_charm", "chance": 0.4 }]
+  },
+  {
+    "key": "gloom_wolf",
+    "name": "Gloom Wolf",
+    "emoji": "🐺",
+    "description": "A shadowy wolf that hunts whatever moves.",
+    "rarity": "uncommon",
+    "behaviour": "aggressive",
+    "stats": { "hp": 60, "attack": 14, "defense": 5, "speed": 12 },
+    "xp": 60,
+    "loot": [{ "itemKey": "berserker_brew", "chance": 0.4 }]
+  },
+  {
+    "key": "lich_lord",
+    "name": "Lich Lord",
+    "emoji": "💀",
+    "description": "An ancient sorcerer wrapped in cold light and older grudges.",
+    "rarity": "legendary",
+    "boss": true,
+    "behaviour": "aggressive",
+    "stats": { "hp": 200, "attack": 20, "defense": 12, "speed": 6 },
+    "xp": 250,
+    "loot": [
+      { "itemKey": "sword_of_violence", "chance": 0.5 },
+      { "itemKey": "scroll_of_far_travel", "chance": 0.5 }
+    ]
+  }
+];
+
+export default monsters;
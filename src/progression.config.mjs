@@ -0,0 +1,25 @@
+// XP rewards and the leveling curve.
+// Reaching level n + 1 takes `base * n ^ exponent` more xp than reaching level n.
+const progression = {
+  "curve": {
+    "base": 100,
+    "exponent": 1.5
+  },
+  "maxLevel": 50,
+  // Added to base stats for every level gained
+  "statsPerLevel": {
+    "maxHp": 10,
+    "attack": 2,
+    "defense": 1
+  },
+  "rewards": {
+    "action": 5,
+    "message": 2,
+    "newLocation": 25,
+    "hit": 5,
+    "knockout": 50,
+    "victory": 30
+  }
+};
+
+export default progression;
\ No newline at end of file
@@ -0,0 +1,17 @@
+// Crafting recipes, seeded into the `recipes` collection on startup.
+// `ingredients` are used up and `result` is made; both refer to item keys from items.config.mjs.
+// Combinations not listed here are invented by the model the first time someone tries them.
+const recipes = [
+  {
+    "ingredients": [{ "itemKey": "healing_potion", "quantity": 3 }],
+    "result": { "itemKey": "berserker_brew", "quantity": 1 },
+    "description": "Three potions boiled down until only the fury is left."
+  },
+  {
+    "ingredients": [{ "itemKey": "berserker_brew", "quantity": 2 }, { "itemKey": "iron_charm", "quantity": 1 }],
+    "result": { "itemKey": "sword_of_violence", "quantity": 1 },
+    "description": "The charm is hammered into a blade and quenched in brew."
+  }
+];
+
+export default recipes;
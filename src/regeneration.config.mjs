@@ -0,0 +1,36 @@
+// How fast hp comes back on its own, and how much a !rest restores.
+// Each location gets the first type whose keywords appear in its name; the rest are "wilds".
+const regeneration = {
+  "hpPerMinute": 1,
+  "locationTypes": {
+    "sanctum": {
+      "keywords": ["sanctum", "sanctuary", "temple", "shrine", "chapel", "cathedral"],
+      "multiplier": 4
+    },
+    "tavern": {
+      "keywords": ["tavern", "inn", "alehouse", "hearth", "lodge"],
+      "multiplier": 3
+    },
+    "wilds": {
+      "keywords": [],
+      "multiplier": 1
+    },
+    // Delve rooms
+    "dungeon": {
+      "keywords": [],
+      "multiplier": 0.25
+    },
+    // Ghosts don't heal
+    "graveyard": {
+      "keywords": [],
+      "multiplier": 0
+    }
+  },
+  "rest": {
+    "hp": 10,
+    "durationMs": 60000,
+    "cooldownMs": 300000
+  }
+};
+
+export default regeneration;
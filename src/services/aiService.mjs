@@ -0,0 +1,143 @@
+import models from '../models.config.mjs';
+import { rngService } from './rngService.mjs';
+import { OpenRouterService } from './openrouterService.mjs';
+import { OllamaService } from './ollamaService.mjs';
+import { ReplicateService } from './replicateService.mjs';
+import { LocalAIService } from './localAIService.mjs';
+import { MockAIService } from './mockAIService.mjs';
+
+const PROVIDERS = {
+  openrouter: () => new OpenRouterService(),
+  ollama: () => new OllamaService(),
+  replicate: () => new ReplicateService(),
+  local: () => new LocalAIService(),
+  mock: () => new MockAIService(),
+};
+
+/**
+ * Single entry point for every language model call.
+ * Each model in models.config.mjs names its provider, and chat() routes by model,
+ * so avatars in the same world can run on local and hosted models side by side.
+ * Setting AI_PROVIDER sends every call to one provider (e.g. `mock` for offline runs).
+ */
+export class AIService {
+  constructor(options = {}) {
+    this.modelConfig = options.models || models;
+    this.forcedProvider = options.provider || process.env.AI_PROVIDER || null;
+    this.model = options.model || process.env.OPENROUTER_MODEL || 'meta-llama/llama-3.2-3b-instruct';
+    this.providers = new Map(); // provider name -> service, created on first use
+
+    if (this.forcedProvider && !PROVIDERS[this.forcedProvider]) {
+      throw new Error(`Unknown AI provider: ${this.forcedProvider}`);
+    }
+  }
+
+  getProvider(name) {
+    if (!PROVIDERS[name]) {
+      throw new Error(`Unknown AI provider: ${name}`);
+    }
+    if (!this.providers.has(name)) {
+      this.providers.set(name, PROVIDERS[name]());
+    }
+    return this.providers.get(name);
+  }
+
+  getModelConfig(model) {
+    return this.modelConfig.find(m => m.model === model) || null;
+  }
+
+  modelIsAvailable(model) {
+    return this.modelConfig.some(m => m.model === model);
+  }
+
+  /**
+   * Rolls a d20 for model rarity, then picks a model of that rarity.
+   * @returns {Promise<{model: string, rarity: string, roll: number, seed: number}>} - `seed` replays the roll with createRng.
+   */
+  async rollModel() {
+    const rarityRanges = [
+      { rarity: 'common', min: 1, max: 12 },        // Common: 1-12 (60%)
+      { rarity: 'uncommon', min: 13, max: 17 },    // Uncommon: 13-17 (25%)
+      { rarity: 'rare', min: 18, max: 19 },        // Rare: 18-19 (10%)
+      { rarity: 'legendary', min: 20, max: 20 },   // Legendary: 20 (5%)
+    ];
+
+    // Roll a d20
+    const rng = rngService.forEvent('model-rarity');
+    const roll = rng.roll(20);
+
+    // Determine rarity based on the roll
+    const selectedRarity = rarityRanges.find(range => roll >= range.min && roll <= range.max)?.rarity;
+
+    // Filter models by the selected rarity
+    const availableModels = this.modelConfig.filter(model => model.rarity === selectedRarity);
+
+    // Return a random model from the selected rarity group or fallback to default
+    if (availableModels.length > 0) {
+      return { model: rng.pick(availableModels).model, rarity: selectedRarity, roll, seed: rng.seed };
+    }
+
+    // Fallback to default if no models are found
+    return { model: this.model, rarity: this.getModelConfig(this.model)?.rarity ?? null, roll, seed: rng.seed };
+  }
+
+  /**
+   * Resolves which provider serves a model, and the model name to send it.
+   * Unknown models fall back to the default model.
+   * @param {string} [model] - The requested model.
+   * @returns {{provider: string, model: string}}
+   */
+  resolve(model) {
+    let config = this.getModelConfig(model || this.model);
+    if (!config) {
+      if (model) console.error('Invalid model provided to chat:', model);
+      config = this.getModelConfig(this.model) || { model: this.model, provider: 'openrouter' };
+    }
+
+    const provider = this.forcedProvider || config.provider || 'openrouter';
+    if (provider !== (config.provider || 'openrouter')) {
+      // The forced provider doesn't serve this model, so let it use its own default
+      return { provider, model: undefined };
+    }
+    return { provider, model: config.model };
+  }
+
+  /**
+   * Sends a chat to the provider of the requested model.
+   * @param {Array<{role: string, content: string}>} messages - The conversation.
+   * @param {object} [options] - model, temperature, max_tokens, stop and format ('json').
+   * @returns {Promise<string|null>} - The reply, or null if the provider failed.
+   */
+  async chat(messages, options = {}) {
+    const { provider, model } = this.resolve(options.model);
+    return this.getProvider(provider).chat(messages, { ...options, model });
+  }
+
+  /**
+   * Whether calls for this model can carry function definitions.
+   * @param {string} [model]
+   * @returns {boolean}
+   */
+  supportsTools(model) {
+    const { provider, model: resolved } = this.resolve(model);
+    return Boolean(resolved && this.getModelConfig(resolved)?.supportsTools
+      && typeof this.getProvider(provider).chatWithTools === 'function');
+  }
+
+  /**
+   * Sends a chat along with tool definitions.
+   * @param {Array<{role: string, content: string}>} messages - The conversation.
+   * @param {Array<object>} tools - Function definitions, see BaseTool.getToolDefinition.
+   * @param {object} [options] - Same as chat().
+   * @returns {Promise<{content: string, toolCalls: Array<{name: string, arguments: object}>}|null>}
+   */
+  async chatWithTools(messages, tools, options = {}) {
+    const { provider, model } = this.resolve(options.model);
+    return this.getProvider(provider).chatWithTools(messages, tools, { ...options, model });
+  }
+
+  async generateCompletion(prompt, options = {}) {
+    const { provider, model } = this.resolve(options.model);
+    return this.getProvider(provider).generateCompletion(prompt, { ...options, model });
+  }
+}
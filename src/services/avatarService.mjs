@@ -1,8 +1,7 @@
 // services/avatar_generation_service.mjs
 
 import Replicate from 'replicate';
-// import { OllamaService as AIService } from './ollamaService.mjs';
-import { OpenRouterService as AIService } from './openrouterService.mjs';
+import { AIService } from './aiService.mjs';
 
 import process from 'process';
 import winston from 'winston';
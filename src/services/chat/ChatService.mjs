@@ -4,13 +4,16 @@ import { DecisionMaker } from './DecisionMaker.mjs';
 import { MessageProcessor } from './MessageProcessor.mjs';
 
 import { DungeonService } from '../dungeon/DungeonService.mjs'; // Added import
+import { rngService } from '../rngService.mjs';
 
-const RESPONSE_RATE = process.env.RESPONSE_RATE || 0.005; // 20% response rate
+// Chance an active avatar answers each ambient check; by default they always do
+const RESPONSE_RATE = process.env.RESPONSE_RATE ? Number(process.env.RESPONSE_RATE) : 1;
 
 export class ChatService {
   constructor(client, db, options = {}) {
     this.db = db;
     this.avatarService = options.avatarService;
+    this.scheduler = options.scheduler;
     if (!client) {
       throw new Error('Discord client is required');
     }
@@ -26,14 +29,15 @@ export class ChatService {
 
     // Initialize core services with logger
     this.dungeonService = new DungeonService(
-      client, this.logger, this.avatarService
+      client, this.logger, this.avatarService, db, options.aiService, options.scheduler
     ); // Added initialization
     this.conversationHandler = new ConversationHandler(
       client,
       options.aiService,
       this.logger,
       options.avatarService,
-      this.dungeonService
+      this.dungeonService,
+      db
     );
     this.decisionMaker = new DecisionMaker(options.aiService, this.logger);
     this.messageProcessor = new MessageProcessor(options.avatarService);
@@ -62,8 +66,8 @@ export class ChatService {
     this.avatarService = options.avatarService;
     this.aiService = options.aiService;
 
-    if (!this.avatarService || !this.aiService) {
-      throw new Error('avatarService and aiService are required');
+    if (!this.avatarService || !this.aiService || !this.scheduler) {
+      throw new Error('avatarService, aiService and scheduler are required');
     }
 
     this.responseQueue = new Map(); // channelId -> Set of avatarIds to respond
@@ -123,9 +127,7 @@ export class ChatService {
     try {
       await this.setupAvatarChannelsAcrossGuilds();
       await this.dungeonService.initializeDatabase(); // Add this line
-      this.setupReflectionInterval();
-      // update active avatars
-      await this.UpdateActiveAvatars();
+      await this.scheduleJobs();
 
       this.logger.info('ChatService setup completed');
 
@@ -203,8 +205,7 @@ export class ChatService {
     const messages = await this.getRecentMessagesFromDatabase(null, 1000);
     const topAvatars = await this.getTopMentions(messages, avatars);
 
-    const replyAvatars = topAvatars
-      .sort(() => Math.random() - 0.6)
+    const replyAvatars = rngService.shuffle('chat', topAvatars)
       .slice(0, 6);
     // respond as each of the top 6 avatars
     for (const avatar of replyAvatars) {
@@ -219,7 +220,7 @@ export class ChatService {
         continue;
       }
 
-      if (Math.random > RESPONSE_RATE) {
+      if (rngService.random('chat') > RESPONSE_RATE) {
         continue;
       }
 
@@ -231,9 +232,6 @@ export class ChatService {
         this.logger.error(`Error responding as avatar ${avatar.name}: ${error.message}`);
       }
     }
-
-    // schedule the next update
-    setTimeout(() => this.UpdateActiveAvatars(), this.AMBIENT_CHECK_INTERVAL);
   }
 
   async respondAsAvatar(channel, avatar, force = false) {
@@ -279,7 +277,7 @@ export class ChatService {
       // Force a random reflection on startup
       const avatars = await this.messageProcessor.getActiveAvatars();
       if (avatars.length > 0) {
-        const randomAvatar = avatars[Math.floor(Math.random() * avatars.length)];
+        const randomAvatar = rngService.pick('chat', avatars);
         this.logger.info(`🎯 Forcing startup reflection for ${randomAvatar.name}`);
         await this.conversationHandler.generateNarrative(randomAvatar);
       }
@@ -294,9 +292,7 @@ export class ChatService {
   async stop() {
     this.logger.info('Stopping ChatService...');
 
-    // Clear intervals first
-    if (this.interval) clearInterval(this.interval);
-
+    // Scheduled jobs check this before running
     this.isConnected = false;
   }
 
@@ -324,14 +320,21 @@ export class ChatService {
     }
   }
 
-  setupReflectionInterval() {
-    setInterval(async () => {
-      const avatars = await this.messageProcessor.getActiveAvatars();
-      avatars.sort(() => Math.random() - 0.5);
-      for (const avatar of avatars) {
-        await this.conversationHandler.generateNarrative(avatar);
-      }
-    }, this.REFLECTION_INTERVAL);
+  async scheduleJobs() {
+    await this.scheduler.every('ambient-responses', this.AMBIENT_CHECK_INTERVAL, async () => {
+      if (this.isConnected) await this.UpdateActiveAvatars();
+    }, { immediate: true });
+
+    await this.scheduler.every('avatar-reflections', this.REFLECTION_INTERVAL, async () => {
+      if (this.isConnected) await this.reflectAll();
+    });
+  }
+
+  async reflectAll() {
+    const avatars = await this.messageProcessor.getActiveAvatars();
+    for (const avatar of rngService.shuffle('chat', avatars)) {
+      await this.conversationHandler.generateNarrative(avatar);
+    }
   }
 
   async setupAvatarChannel() {
@@ -1,12 +1,12 @@
-import { MongoClient } from 'mongodb';
-
 import { ChannelType } from 'discord.js';
 import { sendAsWebhook } from '../discordService.mjs';
 import { MemoryService } from '../memoryService.mjs';
+import { rngService } from '../rngService.mjs';
 
 export class ConversationHandler {
-  constructor(client, aiService, logger, avatarService, dungeonService) {
+  constructor(client, aiService, logger, avatarService, dungeonService, db) {
     this.client = client;
+    this.db = db;
     this.aiService = aiService;
     this.logger = logger;
     this.channelCooldowns = new Map();
@@ -16,7 +16,7 @@ export class ConversationHandler {
     this.lastUpdate = Date.now();
     this.avatarService = avatarService;
     this.dungeonService = dungeonService;
-    this.memoryService = new MemoryService(this.logger);
+    this.memoryService = new MemoryService(this.logger, db);
 
     // Add response cooldown tracking
     this.responseCooldowns = new Map(); // avatarId -> channelId -> timestamp
@@ -62,9 +62,18 @@ export class ConversationHandler {
       return false;
     }
   }
+
+  // The rarity roll is kept with the avatar so it can be audited, as it is on summon
+  async assignModel(avatar) {
+    const { model, rarity, roll, seed } = await this.aiService.rollModel();
+    avatar.model = model;
+    avatar.modelRoll = { rarity, roll, seed };
+    await this.avatarService.updateAvatar(avatar);
+  }
+
   async checkIdleUpdate(avatars) {
     if (Date.now() - this.lastUpdate >= this.IDLE_TIME) {
-      const randomAvatar = avatars[Math.floor(Math.random() * avatars.length)];
+      const randomAvatar = rngService.pick('chat', avatars);
       await this.generateNarrative(randomAvatar);
       this.lastUpdate = Date.now();
     }
@@ -86,8 +95,7 @@ export class ConversationHandler {
       }
 
       if (!avatar.model) {
-        avatar.model = await this.aiService.selectRandomModel();
-        await this.avatarService.updateAvatar(avatar);
+        await this.assignModel(avatar);
       }
       const memories = (await this.memoryService.getMemories(avatar._id)).map(m => m.memory).join('\n');
       const prompt = await this.buildNarrativePrompt(avatar, [...memories]);
@@ -155,10 +163,7 @@ export class ConversationHandler {
 
   async storeNarrative(thread, avatarId, content) {
     try {
-      const client = new MongoClient(process.env.MONGO_URI);
-      await client.connect();
-      const db = client.db(process.env.MONGO_DB_NAME);
-      await db.collection('narratives').insertOne({
+      await this.db.collection('narratives').insertOne({
         threadId: thread.id,
         guildId: thread.guildId,
         channelId: thread.parentId,
@@ -166,7 +171,6 @@ export class ConversationHandler {
         content,
         timestamp: Date.now()
       });
-      await client.close();
     } catch (error) {
       this.logger.error(`Error storing narrative for avatar ${avatarId}: ${error.message}`);
       throw error;
@@ -175,12 +179,8 @@ export class ConversationHandler {
 
   async getLastNarrative(avatarId) {
     try {
-      const client = new MongoClient(process.env.MONGO_URI);
-      await client.connect();
-      const db = client.db(process.env.MONGO_DB_NAME);
-      const lastNarrative = await db.collection('narratives')
+      const lastNarrative = await this.db.collection('narratives')
         .findOne({ $or: [{ avatarId }, { avatarId: avatarId.toString() }, { avatarId: { $exists: false } }] }, { sort: { timestamp: -1 } });
-      await client.close();
       return lastNarrative;
     } catch (error) {
       this.logger.error(`Error fetching last narrative for avatar ${avatarId}: ${error.message}`);
@@ -215,8 +215,15 @@ export class ConversationHandler {
         timestamp: msg.createdTimestamp
       }));
 
+      // Ghosts only haunt the graveyard
+      const ghost = this.dungeonService.afterlife.isGhost(avatar);
+      if (ghost && !await this.dungeonService.afterlife.isGraveyard(channel.id)) {
+        return;
+      }
+      const speakerName = ghost ? `👻 ${avatar.name}` : avatar.name;
+
       // if the last message was from this avatar, skip
-      if (messageHistory[messageHistory.length - 1].author === avatar.name) {
+      if (messageHistory[messageHistory.length - 1].author === speakerName) {
         return;
       }
 
@@ -232,15 +239,14 @@ export class ConversationHandler {
       };
 
       if (!avatar.model || typeof avatar.model !== 'string') {
-        avatar.model = await this.aiService.selectRandomModel();
-        await this.avatarService.updateAvatar(avatar);
+        await this.assignModel(avatar);
       }
 
       avatar.channelName = channel.name;
 
-      const systemPrompt = await this.buildSystemPrompt(avatar);
-      // Generate response using AI service
-      let response = await this.aiService.chat([
+      const useTools = this.aiService.supportsTools(avatar.model);
+      const systemPrompt = await this.buildSystemPrompt(avatar, useTools);
+      const chatMessages = [
         { role: 'system', content: systemPrompt },
         {
           role: 'user',
@@ -262,12 +268,24 @@ export class ConversationHandler {
 
           ${avatar.name}:`
         }
-      ], {
+      ];
+      const chatOptions = {
         model: avatar.model,
         stop: '\n\n'
-      });
+      };
 
-      if (!response) {
+      // Generate response using AI service
+      let response;
+      let toolCalls = [];
+      if (useTools) {
+        const result = await this.aiService.chatWithTools(chatMessages, this.dungeonService.getToolDefinitions(avatar), chatOptions);
+        response = result?.content || '';
+        toolCalls = result?.toolCalls || [];
+      } else {
+        response = await this.aiService.chat(chatMessages, chatOptions);
+      }
+
+      if (!response && !toolCalls.length) {
         this.logger.error(`Empty response for ${avatar.name}`);
         return;
       }
@@ -283,55 +301,73 @@ export class ConversationHandler {
         response = response.substring(0, response.lastIndexOf('\n', 500));
       }
 
-      // Extract and process tool commands using dungeonService
-      const { commands, cleanText, commandLines } = this.dungeonService.extractToolCommands(response);
-
       let sentMessage;
       let commandResults = [];
+      let commands;
+      let cleanText;
+
+      if (useTools) {
+        // Structured calls are validated before they reach processAction
+        commands = [];
+        cleanText = response;
+        for (const call of toolCalls) {
+          const parsed = this.dungeonService.parseToolCall(call);
+          if (parsed.error) {
+            this.logger.warn(`${avatar.name}: ${parsed.error}`);
+            commandResults.push(`⚠️ ${parsed.error}`);
+          } else {
+            commands.push(parsed);
+          }
+        }
+      } else {
+        // Fall back to !command lines in the text
+        ({ commands, cleanText } = this.dungeonService.extractToolCommands(response));
+      }
 
       // Process commands first if any
       if (commands.length > 0) {
         this.logger.info(`Processing ${commands.length} commands for ${avatar.name}`);
-        // Execute each command and collect results
-        commandResults = await Promise.all(
-          commands.map(cmd =>
-            this.dungeonService.processAction(
-              { channel, author: { id: avatar._id, username: avatar.name }, content: response },
-              cmd.command,
-              cmd.params,
-              avatar
-            )
-          )
-        );
-
-
-        if (commandResults.length) {
-          this.logger.info(`Command results for ${avatar.name}: ${commandResults.join(', ')}`);
-          sentMessage = await sendAsWebhook(
-            avatar.channelId,
-            commandResults.join('\n'),
-            '🛠️ ' + avatar.name,
-            avatar.imageUrl
-          );
+        // Execute each command in turn, so each spends from what the last one left
+        for (const cmd of commands) {
+          commandResults.push(await this.dungeonService.processAction(
+            { channel, author: { id: avatar._id, username: avatar.name }, content: response },
+            cmd.command,
+            cmd.params,
+            avatar
+          ));
         }
 
+
         // load the avatar again to get the updated state
         avatar = await this.avatarService.getAvatarById(avatar._id);
       }
 
+      if (commandResults.length) {
+        this.logger.info(`Command results for ${avatar.name}: ${commandResults.join(', ')}`);
+        sentMessage = await sendAsWebhook(
+          avatar.channelId,
+          commandResults.join('\n'),
+          '🛠️ ' + speakerName,
+          avatar.imageUrl
+        );
+      }
+
       // Send the main response if there's clean text
-      if (!commands.length || cleanText.trim()) {
+      if (cleanText.trim()) {
 
         sentMessage = await sendAsWebhook(
           avatar.channelId,
-          commands.length ? cleanText : response,
-          avatar.name,
+          cleanText,
+          speakerName,
           avatar.imageUrl
         );
       }
 
       // Update cooldown
       this.updateResponseCooldown(avatar._id, channel.id);
+      if (!ghost) {
+        await this.dungeonService.progression.awardXp(avatar._id, this.dungeonService.progression.rewards.message, { channelId: channel.id });
+      }
 
       return response;
 
@@ -348,7 +384,7 @@ export class ConversationHandler {
     this.responseCooldowns.get(avatarId).set(channelId, Date.now());
   }
 
-  async buildSystemPrompt(avatar) {
+  async buildSystemPrompt(avatar, useTools = false) {
     // Get the most recent narrative for the avatar
     const lastNarrative = await this.getLastNarrative(avatar._id);
 
@@ -358,9 +394,11 @@ export class ConversationHandler {
 
     ${lastNarrative ? `${lastNarrative.content}` : ''}
     `;
-    const dungeonPrompt = `These commands are available in this location (you can also use breed and summon):
+    const dungeonPrompt = useTools
+      ? `\n\nYou can act in this location by calling the tools you have been given. Only call a tool when you mean to act.`
+      : `These commands are available in this location (you can also use breed and summon):
     
-    ${this.dungeonService.getCommandsDescription()}
+    ${this.dungeonService.getCommandsDescription(avatar)}
     
     You can use any of these commands on a new line at the end of your message.
   `;
@@ -371,7 +409,38 @@ export class ConversationHandler {
       `\n\nYou are currently in ${location.name}. ${location.description}` :
       `\n\nYou are in ${avatar.channelName || 'a chat channel'}.`;
 
-
-    return basePrompt + locationPrompt + dungeonPrompt;
+    // Accepted quests are the goals the avatar works towards
+    const quests = await this.dungeonService.quests.getActiveQuests(avatar._id);
+    const questPrompt = quests.length
+      ? `\n\nYour quests:\n${quests.map(quest => this.dungeonService.quests.describeQuest(quest)).join('\n')}`
+      : '';
+
+    const abilities = await this.dungeonService.abilities.getAbilities(avatar._id);
+    const abilityPrompt = abilities.length
+      ? `\n\nYour abilities:\n${abilities.map(ability => this.dungeonService.abilities.describeAbility(ability)).join('\n')}`
+      : '';
+
+    // Companions, so the avatar can talk about them
+    const party = await this.dungeonService.parties.getParty(avatar._id);
+    const companions = party?.members.filter(member => `${member.id}` !== `${avatar._id}`) || [];
+    const partyPrompt = companions.length
+      ? `\n\nYou travel in a party with ${companions.map(member => `${member.name}${`${member.id}` === `${party.leaderId}` ? ' (your leader)' : ''}`).join(', ')}. You move, fight and quest together.`
+      : '';
+
+    // Trade offers the avatar can answer with the trade tool
+    const { trades } = this.dungeonService;
+    const { received, sent } = await trades.getPendingOffers(avatar._id);
+    const tradePrompt = received.length || sent.length
+      ? `\n\nOpen trades:\n${[
+        ...received.map(trade => `${trades.describeOffer(trade)}. You can accept or decline.`),
+        ...sent.map(trade => `${trades.describeOffer(trade)}. Waiting for ${trade.to.name}; you can withdraw it.`),
+      ].join('\n')}`
+      : '';
+
+    const ghostPrompt = this.dungeonService.afterlife.isGhost(avatar)
+      ? `\n\nYou are dead. You linger in the graveyard as a ghost, able only to talk, look around and remember. The living can bring you back with a resurrection ritual.`
+      : '';
+
+    return basePrompt + ghostPrompt + locationPrompt + partyPrompt + tradePrompt + questPrompt + abilityPrompt + dungeonPrompt;
   }
 }
@@ -1,4 +1,5 @@
 import { sendAsWebhook } from "../discordService.mjs";
+import { rngService } from "../rngService.mjs";
 
 const DECISION_MODEL = 'meta-llama/llama-3.2-1b-instruct';
 
@@ -57,7 +58,7 @@ export class DecisionMaker {
     const isAvatarMentioned = lastMessage.content.toLowerCase().includes(avatar.name.toLowerCase()) ||
       (avatar.emoji && lastMessage.content.includes(avatar.emoji));
     if (isAvatarMentioned) {
-      return !lastMessage.author.bot || Math.random() > botMessagePercentage;
+      return !lastMessage.author.bot || rngService.random('chat') > botMessagePercentage;
     }
 
     if (!avatar._id || !avatar.name) {
@@ -1,4 +1,5 @@
 import { sendAsWebhook } from '../discordService.mjs';
+import { rngService } from '../rngService.mjs';
 
 export class MessageHandler {
   constructor(chatService, avatarService, logger) {
@@ -11,13 +12,15 @@ export class MessageHandler {
     this.db = chatService.db;
     this.messagesCollection = this.db.collection('messages');
     this.processingMessages = new Set();
-    this.startProcessing();
+    this.scheduler = chatService.scheduler;
+    this.stopped = false;
   }
 
-  startProcessing() {
-    this.processingInterval = setInterval(() => {
-      this.processActiveChannels();
-    }, this.PROCESS_INTERVAL);
+  async startProcessing() {
+    this.stopped = false;
+    await this.scheduler.every('process-active-channels', this.PROCESS_INTERVAL, async () => {
+      if (!this.stopped) await this.processActiveChannels();
+    });
   }
 
   channelTimeMap = new Map();
@@ -47,10 +50,8 @@ export class MessageHandler {
       const messages = await this.chatService.getRecentMessagesFromDatabase(channelId);
       const latestMessage = messages[messages.length - 1];
 
-      const recentAvatars = await this.chatService.getLastMentionedAvatars(messages, avatarsInChannel);
+      const recentAvatars = rngService.shuffle('chat', await this.chatService.getLastMentionedAvatars(messages, avatarsInChannel));
       const latestAvatars = await this.chatService.getLastMentionedAvatars([latestMessage], avatarsInChannel);
-      // shuffle(recentAvatars);
-      recentAvatars.sort(t => Math.random() - 0.5);
 
       // deduplicate
       const recentAvatarSet = new Set([...latestAvatars, ...recentAvatars]);
@@ -87,10 +88,7 @@ export class MessageHandler {
   }
 
   stop() {
-    if (this.processingInterval) {
-      clearInterval(this.processingInterval);
-      this.processingInterval = null;
-    }
+    this.stopped = true;
   }
 
   extractMentionsWithCount(content, avatars) {
@@ -11,6 +11,7 @@ import winston from 'winston';
 
 import { chunkMessage } from './utils/messageChunker.mjs';
 import { processMessageLinks } from './utils/linkProcessor.mjs';
+import { describeEffect } from './dungeon/EffectService.mjs';
 
 // Initialize Logger
 const logger = winston.createLogger({
@@ -140,18 +141,14 @@ function generateProgressBar(value, increment, emoji) {
 }
 
 /**
- * Sends an avatar profile as an embed via webhook with a custom username and avatar.
+ * Builds the profile embed for an avatar.
  * Includes dungeon stats such as Attack, Defense, and HP.
- * @param {Client} client - The Discord client instance.
  * @param {Object} avatar - The avatar object containing profile information.
+ * @param {string} guildId - The ID of the guild the embed links point into.
+ * @returns {EmbedBuilder} - The profile embed.
  */
-export async function sendAvatarProfileEmbedFromObject(avatar) {
-  if (!avatar || typeof avatar !== 'object') {
-    throw new Error('Invalid avatar object provided.');
-  }
-
+export function buildAvatarProfileEmbed(avatar, guildId) {
   const {
-    _id, // Assuming _id is used to fetch dungeon stats
     name,
     emoji,
     short_description,
@@ -166,117 +163,237 @@ export async function sendAvatarProfileEmbedFromObject(avatar) {
     innerMonologueThreadId, // Optional
   } = avatar;
 
-  if (!channelId || typeof channelId !== 'string') {
-    throw new Error(`Invalid channel ID: ${channelId}`);
+  // Determine the rarity of the model
+  const rarity = getModelRarity(model);
+  const embedColor = rarityColors[rarity.toLowerCase()] || rarityColors['no_model']; // Default to 'no_model' gray
+
+  // Create the embed using EmbedBuilder
+  const avatarEmbed = new EmbedBuilder()
+    .setColor(embedColor) // Set color based on rarity
+    .setTitle(`${emoji} ${name}`)
+    .setURL(
+      innerMonologueThreadId
+        ? `https://discord.com/channels/${guildId}/${channelId}/${innerMonologueThreadId}`
+        : `https://discord.com/users/${guildId}` // Adjust URL as needed
+    )
+    .setAuthor({
+      name: `${name} ${emoji}`,
+      iconURL: imageUrl,
+      url: innerMonologueThreadId
+        ? `https://discord.com/channels/${guildId}/${channelId}/${innerMonologueThreadId}`
+        : `https://discord.com/users/${guildId}`, // Adjust URL as needed
+    })
+    .setDescription(short_description || description.substring(0, 77) + (description.length > 77 ? '...' : '') || 'No description found.')
+    .setThumbnail(imageUrl)
+    .addFields(
+      {
+        name: '🎂 Summonsday',
+        value: `<t:${Math.floor(new Date(createdAt || Date.now()).getTime() / 1000)}:F>`,
+        inline: true,
+      },
+      {
+        name: `🧠 ${rarity}`,
+        value: `${model || 'N/A'}`,
+        inline: true,
+      },
+    )
+    .setImage(imageUrl)
+    .setTimestamp(new Date(updatedAt || Date.now()))
+    .setFooter({
+      text: `Profile of ${name}`,
+      iconURL: imageUrl,
+    });
+
+  if (traits) {
+    avatarEmbed.addFields({
+      name: '🧬 Traits',
+      value: traits,
+      inline: false,
+    });
   }
 
-  try {
-    const channel = await client.channels.fetch(channelId);
-    if (!channel || !channel.isTextBased()) {
-      throw new Error(`Channel not found or is not a text channel: ${channelId}`);
+  // Add Inner Monologue Thread link if available
+  if (innerMonologueThreadId) {
+    avatarEmbed.addFields({
+      name: '🧵 Inner Monologue Thread',
+      value: `<#${innerMonologueThreadId}>`,
+      inline: false,
+    });
+  }
+
+  // Add Dungeon Stats if available
+  if (stats) {
+    const { attack, defense, hp } = stats;
+
+    // Generate visual progress bars
+    const attackBar = generateProgressBar(attack, 5, '⚔️');
+    const defenseBar = generateProgressBar(defense, 5, '🛡️');
+    const hpBar = generateProgressBar(hp, 33, '❣️'); // Assuming max HP is 1000
+
+    avatarEmbed.addFields(
+      {
+        name: 'Attack / Defense / HP',
+        value: `${attackBar} / ${defenseBar} / ${hpBar} `,
+        inline: true,
+      },
+    );
+
+    if (stats.speed !== undefined || stats.charisma !== undefined) {
+      avatarEmbed.addFields({
+        name: 'Speed / Charisma',
+        value: `💨 ${stats.speed ?? 0} / 🗣️ ${stats.charisma ?? 0}`,
+        inline: true,
+      });
     }
 
-    // Get or create webhook
-    const webhookClient = await getOrCreateWebhook(channel);
-    if (!webhookClient) {
-      throw new Error(`Failed to get or create webhook for channel ${channelId}`);
+    // The point-buy roll the avatar was created with
+    if (stats.creation) {
+      const { budget, rarity, points } = stats.creation;
+      avatarEmbed.addFields({
+        name: `🎲 Rolled ${budget} points (${rarity})`,
+        value: Object.entries(points).map(([stat, spent]) => `${stat} +${spent}`).join(', '),
+        inline: false,
+      });
     }
 
-    // Determine the rarity of the model
-    const rarity = getModelRarity(model);
-    const embedColor = rarityColors[rarity.toLowerCase()] || rarityColors['no_model']; // Default to 'no_model' gray
-
-    // Create the embed using EmbedBuilder
-    const avatarEmbed = new EmbedBuilder()
-      .setColor(embedColor) // Set color based on rarity
-      .setTitle(`${emoji} ${name}`)
-      .setURL(
-        innerMonologueThreadId
-          ? `https://discord.com/channels/${channel.guildId}/${channelId}/${innerMonologueThreadId}`
-          : `https://discord.com/users/${channel.guildId}` // Adjust URL as needed
-      )
-      .setAuthor({
-        name: `${name} ${emoji}`,
-        iconURL: imageUrl,
-        url: innerMonologueThreadId
-          ? `https://discord.com/channels/${channel.guildId}/${channelId}/${innerMonologueThreadId}`
-          : `https://discord.com/users/${channel.guildId}`, // Adjust URL as needed
-      })
-      .setDescription(short_description || description.substring(0, 77) + (description.length > 77 ? '...' : '') || 'No description found.')
-      .setThumbnail(imageUrl)
-      .addFields(
-        {
-          name: '🎂 Summonsday',
-          value: `<t:${Math.floor(new Date(createdAt || Date.now()).getTime() / 1000)}:F>`,
-          inline: true,
-        },
-        {
-          name: `🧠 ${rarity}`,
-          value: `${model || 'N/A'}`,
-          inline: true,
-        },
-      )
-      .setImage(imageUrl)
-      .setTimestamp(new Date(updatedAt || Date.now()))
-      .setFooter({
-        text: `Profile of ${name}`,
-        iconURL: imageUrl,
+    if (stats.level) {
+      avatarEmbed.addFields({
+        name: `⭐ Level ${stats.level}`,
+        value: `${stats.xp || 0}${stats.nextLevelXp ? ` / ${stats.nextLevelXp}` : ''} xp`,
+        inline: true,
       });
+    }
 
-    if (traits) {
+    if (stats.coins !== undefined) {
       avatarEmbed.addFields({
-        name: '🧬 Traits',
-        value: traits,
-        inline: false,
+        name: '🪙 Coins',
+        value: `${stats.coins}`,
+        inline: true,
+      });
+    }
+
+    if (stats.maxActionPoints) {
+      const cooldowns = Object.entries(stats.cooldowns || {})
+        .map(([command, readyAt]) => `⏳ !${command} <t:${Math.floor(readyAt / 1000)}:R>`);
+      avatarEmbed.addFields({
+        name: '⚡ Action Points',
+        value: [`${stats.actionPoints} / ${stats.maxActionPoints}`, ...cooldowns].join('\n'),
+        inline: true,
       });
     }
 
-    // Add Inner Monologue Thread link if available
-    if (innerMonologueThreadId) {
+    // Active status effects
+    if (stats.effects?.length) {
       avatarEmbed.addFields({
-        name: '🧵 Inner Monologue Thread',
-        value: `<#${innerMonologueThreadId}>`,
+        name: '✨ Effects',
+        value: stats.effects.map(describeEffect).join('\n').slice(0, 1024),
         inline: false,
       });
     }
+  } else {
+    // If no stats found, indicate so
+    avatarEmbed.addFields(
+      {
+        name: '⚔️ Attack',
+        value: 'N/A',
+        inline: true,
+      },
+      {
+        name: '🛡️ Defense',
+        value: 'N/A',
+        inline: true,
+      },
+      {
+        name: '❤️ HP',
+        value: 'N/A',
+        inline: true,
+      }
+    );
+  }
+
+  return avatarEmbed;
+}
+
+/**
+ * Builds the memorial embed posted in the graveyard when an avatar dies for good.
+ * @param {Object} avatar - The fallen avatar.
+ * @param {{killerName: string, level: number, epitaph: string}} details
+ * @returns {EmbedBuilder} - The memorial embed.
+ */
+export function buildMemorialEmbed(avatar, { killerName, level, epitaph }) {
+  const { name, emoji, imageUrl, createdAt, deathTimestamp } = avatar;
+  const born = Math.floor(new Date(createdAt || Date.now()).getTime() / 1000);
+  const died = Math.floor((deathTimestamp || Date.now()) / 1000);
+
+  return new EmbedBuilder()
+    .setColor(0x2f3136)
+    .setTitle(`🪦 In memory of ${emoji || ''} ${name}`.replace(/\s+/g, ' '))
+    .setDescription(`*${epitaph}*`)
+    .setThumbnail(imageUrl)
+    .addFields(
+      { name: '🎂 Summoned', value: `<t:${born}:D>`, inline: true },
+      { name: '💀 Fell', value: `<t:${died}:D>`, inline: true },
+      { name: '⭐ Level', value: `${level || 1}`, inline: true },
+      { name: '⚔️ Slain by', value: killerName || 'unknown', inline: true },
+    );
+}
+
+/**
+ * Sends embeds via webhook with a custom username and avatar.
+ * @param {string} channelId - The ID of the channel or thread to send to.
+ * @param {EmbedBuilder[]} embeds - The embeds to send.
+ * @param {string} username - The username to display for the webhook message.
+ * @param {string} [avatarUrl] - The URL of the avatar to display for the webhook message.
+ */
+export async function sendEmbedsAsWebhook(channelId, embeds, username, avatarUrl) {
+  try {
+    const channel = await client.channels.fetch(channelId);
+    const targetChannel = channel?.isThread() ? channel.parent : channel;
+    if (!targetChannel) {
+      throw new Error(`Channel not found: ${channelId}`);
+    }
 
-    // Add Dungeon Stats if available
-    if (stats) {
-      const { attack, defense, hp } = stats;
-
-      // Generate visual progress bars
-      const attackBar = generateProgressBar(attack, 5, '⚔️');
-      const defenseBar = generateProgressBar(defense, 5, '🛡️');
-      const hpBar = generateProgressBar(hp, 33, '❣️'); // Assuming max HP is 1000
-
-      avatarEmbed.addFields(
-        {
-          name: 'Attack / Defense / HP',
-          value: `${attackBar} / ${defenseBar} / ${hpBar} `,
-          inline: true,
-        },
-      );
-    } else {
-      // If no stats found, indicate so
-      avatarEmbed.addFields(
-        {
-          name: '⚔️ Attack',
-          value: 'N/A',
-          inline: true,
-        },
-        {
-          name: '🛡️ Defense',
-          value: 'N/A',
-          inline: true,
-        },
-        {
-          name: '❤️ HP',
-          value: 'N/A',
-          inline: true,
-        }
-      );
+    const webhook = await getOrCreateWebhook(targetChannel);
+    await webhook.send({
+      embeds,
+      username: username.slice(0, 80),
+      avatarURL: avatarUrl,
+      threadId: channel.isThread() ? channelId : undefined
+    });
+  } catch (error) {
+    logger.error(`Failed to send embeds to channel ${channelId} via webhook: ${error.message}`);
+  }
+}
+
+/**
+ * Sends an avatar profile as an embed via webhook with a custom username and avatar.
+ * @param {Object} avatar - The avatar object containing profile information.
+ */
+export async function sendAvatarProfileEmbedFromObject(avatar) {
+  if (!avatar || typeof avatar !== 'object') {
+    throw new Error('Invalid avatar object provided.');
+  }
+
+  const { name, imageUrl, channelId } = avatar;
+
+  if (!channelId || typeof channelId !== 'string') {
+    throw new Error(`Invalid channel ID: ${channelId}`);
+  }
+
+  try {
+    const channel = await client.channels.fetch(channelId);
+    if (!channel || !channel.isTextBased()) {
+      throw new Error(`Channel not found or is not a text channel: ${channelId}`);
+    }
+
+    // Get or create webhook
+    const webhookClient = await getOrCreateWebhook(channel);
+    if (!webhookClient) {
+      throw new Error(`Failed to get or create webhook for channel ${channelId}`);
     }
 
+    const avatarEmbed = buildAvatarProfileEmbed(avatar, channel.guildId);
+
     // Send the embed via webhook
     await webhookClient.send({
       embeds: [avatarEmbed],
@@ -0,0 +1,239 @@
+import { extractJSON } from '../utils.mjs';
+
+// Limits every learned ability is held to, however the model judges it
+const BALANCE = {
+  buff: { maxAmount: 8, maxDurationMs: 10 * 60 * 1000 },
+  debuff: { maxAmount: 8, maxDurationMs: 10 * 60 * 1000 },
+  damage: { maxAmount: 25 },
+  heal: { maxAmount: 30 },
+  poison: { maxAmount: 5, maxDurationMs: 5 * 60 * 1000 },
+  regeneration: { maxAmount: 5, maxDurationMs: 5 * 60 * 1000 },
+  stun: { maxAmount: 0, maxDurationMs: 60 * 1000 },
+};
+const STATS = ['attack', 'defense', 'speed', 'teleport'];
+const OFFENSIVE = ['damage', 'debuff', 'poison', 'stun'];
+const MIN_COOLDOWN = 60 * 1000;
+const MAX_COOLDOWN = 10 * 60 * 1000;
+const MAX_COST = 10; // hp
+
+export const normalizeAbilityName = name => `${name}`.trim().toLowerCase().replace(/\s+/g, '_').replace(/\W/g, '');
+
+/**
+ * Abilities avatars learn by trying custom actions, stored in the `abilities` collection.
+ *
+ * The first use of an unknown command asks the model to define it within BALANCE;
+ * every later use applies that same definition. Stronger abilities cost more hp and
+ * take longer to recharge.
+ */
+export class AbilityService {
+  constructor(dungeonService) {
+    this.dungeonService = dungeonService;
+    this.logger = dungeonService.logger;
+  }
+
+  get collection() {
+    return this.dungeonService.db.collection('abilities');
+  }
+
+  async initializeDatabase() {
+    await this.collection.createIndex({ avatarId: 1, name: 1 }, { unique: true });
+  }
+
+  async getAbilities(avatarId) {
+    return this.collection.find({ avatarId }).sort({ createdAt: 1 }).toArray();
+  }
+
+  async getAbility(avatarId, name) {
+    return this.collection.findOne({ avatarId, name: normalizeAbilityName(name) });
+  }
+
+  /**
+   * Returns an avatar's ability, defining it on first use.
+   * @returns {Promise<{ability: object, learned: boolean}>}
+   */
+  async getOrLearnAbility(avatarId, name, actorName) {
+    const existing = await this.getAbility(avatarId, name);
+    if (existing) return { ability: existing, learned: false };
+
+    const definition = await this.judgeAbility(name, actorName) || this.defaultAbility(name);
+    const ability = {
+      avatarId,
+      name: normalizeAbilityName(name),
+      ...definition,
+      uses: 0,
+      lastUsedAt: 0,
+      createdAt: Date.now(),
+    };
+
+    // Someone may have learned it at the same moment; theirs stands
+    await this.collection.updateOne(
+      { avatarId, name: ability.name },
+      { $setOnInsert: ability },
+      { upsert: true }
+    );
+    return { ability: await this.getAbility(avatarId, name), learned: true };
+  }
+
+  // Asks the model what an ability does, then holds the answer to the balance rules
+  async judgeAbility(name, actorName) {
+    try {
+      const response = await this.dungeonService.aiService.chat([
+        { role: 'system', content: 'You are a fair game master balancing abilities in a fantasy RPG.' },
+        { role: 'user', content: `${actorName} is trying a new ability called "${name}". Decide what it does.
+
+          Effect types and limits:
+          ${Object.entries(BALANCE).map(([type, rule]) => `- ${type}: amount up to ${rule.maxAmount}${rule.maxDurationMs ? `, lasting up to ${rule.maxDurationMs / 1000}s` : ''}`).join('\n')}
+          buff and debuff change one stat: ${STATS.join(', ')}.
+          Stronger abilities need longer cooldowns (${MIN_COOLDOWN / 1000}-${MAX_COOLDOWN / 1000}s) and higher hp costs (0-${MAX_COST}).
+
+          ONLY respond with JSON:
+          {"displayName": "<name>", "description": "<one sentence>", "target": "self or other", "effect": {"type": "<type>", "stat": "<stat or null>", "amount": <number>, "durationMs": <number>}, "cooldownMs": <number>, "cost": <number>}` }
+      ], { format: 'json' });
+
+      return this.balance(JSON.parse(extractJSON(response.trim())), name);
+    } catch (error) {
+      this.logger.warn(`Could not judge ability ${name}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Clamps a proposed ability to the balance rules.
+   * @returns {object|null} - The balanced definition, or null if it can't be made to fit.
+   */
+  balance(proposal, name) {
+    const effect = proposal?.effect || {};
+    const rule = BALANCE[effect.type];
+    if (!rule) return null;
+
+    const stat = ['buff', 'debuff'].includes(effect.type) ? effect.stat : null;
+    if (stat === null && ['buff', 'debuff'].includes(effect.type)) return null;
+    if (stat && !STATS.includes(stat)) return null;
+
+    const clamp = (value, min, max) => Math.min(max, Math.max(min, Number(value) || 0));
+    const amount = stat === 'teleport' ? 1 : Math.round(clamp(effect.amount, rule.maxAmount ? 1 : 0, rule.maxAmount));
+    const durationMs = rule.maxDurationMs ? Math.round(clamp(effect.durationMs, 10 * 1000, rule.maxDurationMs)) : 0;
+
+    // How strong it is compared with the strongest allowed, from 0 to 1
+    const power = rule.maxAmount ? amount / rule.maxAmount : durationMs / rule.maxDurationMs;
+    const minCooldown = MIN_COOLDOWN + power * (MAX_COOLDOWN - MIN_COOLDOWN) / 2;
+    const minCost = Math.round(power * MAX_COST / 2);
+
+    return {
+      displayName: `${proposal.displayName || name}`.slice(0, 50),
+      description: `${proposal.description || ''}`.slice(0, 200),
+      target: OFFENSIVE.includes(effect.type) || proposal.target === 'other' ? 'other' : 'self',
+      effect: { type: effect.type, stat, amount, durationMs },
+      cooldownMs: Math.round(clamp(proposal.cooldownMs, minCooldown, MAX_COOLDOWN)),
+      cost: Math.round(clamp(proposal.cost, minCost, MAX_COST)),
+    };
+  }
+
+  // A modest self buff, for when the model's judgement can't be used
+  defaultAbility(name) {
+    return this.balance({
+      displayName: name,
+      description: 'A knack that sharpens the next few swings.',
+      target: 'self',
+      effect: { type: 'buff', stat: 'attack', amount: 2, durationMs: 60 * 1000 },
+      cooldownMs: 5 * 60 * 1000,
+      cost: 0,
+    }, name);
+  }
+
+  /**
+   * Uses an ability: checks its cooldown, pays its cost and applies its effect.
+   * @param {{id: *, name: string}} actor
+   * @param {object} ability
+   * @param {{id: *, name: string}|null} target - Defaults to the actor.
+   * @param {string} [locationId] - Where it was used, for the dungeon log.
+   * @returns {Promise<{ok: boolean, message: string}>}
+   */
+  async useAbility(actor, ability, target = null, locationId = null) {
+    if (OFFENSIVE.includes(ability.effect.type) && !target) {
+      return { ok: false, message: `🎯 ${ability.displayName} needs a target.` };
+    }
+
+    const now = Date.now();
+    const readyAt = ability.lastUsedAt + ability.cooldownMs;
+    if (readyAt > now) {
+      return { ok: false, message: `⏳ ${ability.displayName} is recharging (ready <t:${Math.floor(readyAt / 1000)}:R>).` };
+    }
+
+    const stats = await this.dungeonService.getAvatarStats(actor.id);
+    if (ability.cost && stats.hp <= ability.cost) {
+      return { ok: false, message: `😮‍💨 ${actor.name} is too worn out to use ${ability.displayName} (costs ${ability.cost} hp).` };
+    }
+
+    // Claim the use so two rapid calls can't both fire
+    const claimed = await this.collection.updateOne(
+      { _id: ability._id, lastUsedAt: ability.lastUsedAt },
+      { $set: { lastUsedAt: now }, $inc: { uses: 1 } }
+    );
+    if (!claimed.modifiedCount) {
+      return { ok: false, message: `⏳ ${ability.displayName} is recharging.` };
+    }
+
+    if (ability.cost) {
+      await this.dungeonService.updateAvatarStats(actor.id, { hp: stats.hp - ability.cost });
+    }
+
+    const recipient = ability.target === 'self' || !target ? actor : target;
+    const { message, hpBefore, hpAfter } = await this.applyEffect(ability, recipient);
+    await this.dungeonService.dungeonLog.logEvent({
+      type: 'ability',
+      tool: ability.name,
+      actorId: actor.id,
+      actorName: actor.name,
+      targetId: recipient.id,
+      targetName: recipient.name,
+      locationId,
+      outcome: { effect: ability.effect, hpCost: ability.cost, hpBefore, hpAfter },
+      result: message,
+    });
+    return { ok: true, message };
+  }
+
+  /**
+   * Applies an ability's effect to whoever it lands on.
+   * @returns {Promise<{message: string, hpBefore: number, hpAfter: number}>}
+   */
+  async applyEffect(ability, recipient) {
+    const { type, stat, amount, durationMs } = ability.effect;
+    const stats = await this.dungeonService.getAvatarStats(recipient.id);
+
+    switch (type) {
+      case 'damage': {
+        // Abilities wound but never knock out; that is left to combat
+        const hp = Math.max(1, stats.hp - amount);
+        await this.dungeonService.updateAvatarStats(recipient.id, { hp });
+        return { message: `💥 ${recipient.name} takes ${stats.hp - hp} damage.`, hpBefore: stats.hp, hpAfter: hp };
+      }
+      case 'heal': {
+        const hp = Math.min(stats.maxHp, stats.hp + amount);
+        await this.dungeonService.updateAvatarStats(recipient.id, { hp });
+        return { message: `❣️ ${recipient.name} recovers ${hp - stats.hp} hp.`, hpBefore: stats.hp, hpAfter: hp };
+      }
+      default:
+        await this.dungeonService.effects.addEffect(recipient.id, {
+          type,
+          stat,
+          amount,
+          durationMs,
+          source: `ability:${ability.name}`,
+          sourceId: ability.avatarId,
+        });
+        return {
+          message: `✨ ${recipient.name} is affected: ${type}${stat ? ` ${stat}` : ''}${amount ? ` ${amount}` : ''} for ${Math.round(durationMs / 1000)}s.`,
+          hpBefore: stats.hp,
+          hpAfter: stats.hp,
+        };
+    }
+  }
+
+  describeAbility(ability) {
+    const { type, stat, amount, durationMs } = ability.effect;
+    const effect = [type, stat, amount || null, durationMs ? `${Math.round(durationMs / 1000)}s` : null].filter(Boolean).join(' ');
+    return `🌀 **${ability.displayName}** (!${ability.name}): ${effect}, ${ability.target}, cooldown ${Math.round(ability.cooldownMs / 1000)}s${ability.cost ? `, costs ${ability.cost} hp` : ''}`;
+  }
+}
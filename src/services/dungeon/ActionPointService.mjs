@@ -0,0 +1,100 @@
+// Action points and per-command cooldowns, stored with the base stats in `dungeon_stats`
+// (`actionPoints`, `actionPointsUpdatedAt` and `cooldowns: {command: readyAt}`).
+// Points regenerate over time and are worked out when read, so nothing needs a timer.
+
+export const MAX_ACTION_POINTS = 10;
+export const ACTION_POINT_REGEN_MS = 60 * 1000; // one point a minute
+
+/**
+ * Current action points and active cooldowns from stored stats.
+ * @param {object} stats - Stored dungeon stats.
+ * @param {number} [now]
+ * @returns {{actionPoints: number, maxActionPoints: number, nextActionPointAt: number|null, cooldowns: object}}
+ */
+export function describeActionPoints(stats = {}, now = Date.now()) {
+  const stored = stats.actionPoints ?? MAX_ACTION_POINTS;
+  const since = stats.actionPointsUpdatedAt ?? now;
+  const regenerated = Math.floor(Math.max(0, now - since) / ACTION_POINT_REGEN_MS);
+  const actionPoints = Math.min(MAX_ACTION_POINTS, stored + regenerated);
+
+  const cooldowns = Object.fromEntries(
+    Object.entries(stats.cooldowns || {}).filter(([, readyAt]) => readyAt > now)
+  );
+
+  return {
+    actionPoints,
+    maxActionPoints: MAX_ACTION_POINTS,
+    nextActionPointAt: actionPoints < MAX_ACTION_POINTS ? since + (regenerated + 1) * ACTION_POINT_REGEN_MS : null,
+    cooldowns,
+  };
+}
+
+export class ActionPointService {
+  constructor(dungeonService) {
+    this.dungeonService = dungeonService;
+  }
+
+  get collection() {
+    return this.dungeonService.db.collection('dungeon_stats');
+  }
+
+  /**
+   * Checks a command's cooldown and cost, and spends the points if it may go ahead.
+   * @param {*} avatarId
+   * @param {string} command
+   * @param {{cost: number, cooldownMs: number}} price
+   * @returns {Promise<{ok: boolean, reason?: string}>}
+   */
+  async spend(avatarId, command, { cost = 0, cooldownMs = 0 }) {
+    if (!cost && !cooldownMs) return { ok: true };
+
+    const now = Date.now();
+    const stats = await this.dungeonService.getBaseStats(avatarId);
+    const state = describeActionPoints(stats, now);
+
+    if (state.cooldowns[command]) {
+      return { ok: false, reason: `⏳ !${command} is cooling down (ready <t:${Math.floor(state.cooldowns[command] / 1000)}:R>).` };
+    }
+    if (state.actionPoints < cost) {
+      return { ok: false, reason: `😮‍💨 Not enough action points for !${command} (needs ${cost}, has ${state.actionPoints}/${MAX_ACTION_POINTS}).` };
+    }
+
+    // Keep the part of a point already regenerated, unless the pool was full
+    const set = {
+      actionPoints: state.actionPoints - cost,
+      actionPointsUpdatedAt: state.nextActionPointAt ? state.nextActionPointAt - ACTION_POINT_REGEN_MS : now,
+    };
+    if (cooldownMs) {
+      set[`cooldowns.${command}`] = now + cooldownMs;
+    }
+
+    // Only one spend per read of the stats goes through
+    const result = await this.collection.updateOne(
+      { avatarId: stats.avatarId, actionPointsUpdatedAt: stats.actionPointsUpdatedAt ?? null },
+      { $set: set },
+      { upsert: stats.actionPointsUpdatedAt === undefined }
+    ).catch(() => ({ modifiedCount: 0, upsertedCount: 0 }));
+
+    if (!result.modifiedCount && !result.upsertedCount) {
+      return { ok: false, reason: `⏳ Too fast! Try !${command} again in a moment.` };
+    }
+    return { ok: true };
+  }
+
+  // Gives points back when a command turns out not to go ahead; its cooldown still stands
+  async refund(avatarId, cost) {
+    if (!cost) return;
+
+    const now = Date.now();
+    const stats = await this.dungeonService.getBaseStats(avatarId);
+    const state = describeActionPoints(stats, now);
+    const actionPoints = Math.min(MAX_ACTION_POINTS, state.actionPoints + cost);
+    await this.collection.updateOne(
+      { avatarId: stats.avatarId },
+      { $set: {
+        actionPoints,
+        actionPointsUpdatedAt: actionPoints < MAX_ACTION_POINTS && state.nextActionPointAt ? state.nextActionPointAt - ACTION_POINT_REGEN_MS : now,
+      } }
+    );
+  }
+}
@@ -0,0 +1,226 @@
+import { LocationService } from '../location/locationService.mjs';
+import { sendAsWebhook, sendEmbedsAsWebhook, buildMemorialEmbed } from '../discordService.mjs';
+import { AvatarManager } from './AvatarManager.mjs';
+
+export const GHOST_TOOLS = ['look', 'remember']; // all the dead can still do
+const GRAVEYARD_NAME = 'The Graveyard';
+const MOURNING_PERIOD = 60 * 60 * 1000; // the dead rest an hour before a ritual can begin
+const RITUAL_DURATION = 24 * 60 * 60 * 1000; // supporters have a day to gather
+const RITUAL_COOLDOWN = 6 * 60 * 60 * 1000; // after a ritual fails, before another for the same avatar
+const RITUAL_SUPPORTERS = 3; // including whoever starts it
+const RITUAL_HP_COST = 25; // paid by every supporter
+const RESURRECTED_LIVES = 1;
+
+const sameId = (a, b) => `${a}` === `${b}`;
+
+/**
+ * Death and what comes after it. Resurrection rituals are stored in `resurrections`.
+ *
+ * An avatar that loses its last life is moved to the graveyard, where a memorial is
+ * posted and it lingers as a ghost limited to GHOST_TOOLS. Living avatars (and people,
+ * through /resurrect) can bring it back: the first `!resurrect` starts a ritual, and once
+ * enough supporters have paid the hp cost the avatar rises where it fell.
+ */
+export class AfterlifeService {
+  constructor(dungeonService) {
+    this.dungeonService = dungeonService;
+    this.logger = dungeonService.logger;
+    this.avatarManager = new AvatarManager(dungeonService.logger, dungeonService.db);
+    this.locationService = new LocationService(dungeonService.client, dungeonService.aiService, dungeonService.db);
+  }
+
+  get collection() {
+    return this.dungeonService.db.collection('resurrections');
+  }
+
+  async initializeDatabase() {
+    // One ritual gathers for an avatar at a time
+    await this.collection.createIndex(
+      { avatarId: 1 },
+      { unique: true, partialFilterExpression: { status: 'gathering' } }
+    );
+  }
+
+  isGhost(avatar) {
+    return avatar?.status === 'dead';
+  }
+
+  async isGraveyard(locationId) {
+    return Boolean(await this.dungeonService.db.collection('locations').findOne({ channelId: locationId, graveyard: true }));
+  }
+
+  /**
+   * The graveyard location, created the first time anyone dies.
+   * @returns {Promise<{id: string, name: string}>}
+   */
+  async getGraveyard(guild) {
+    const stored = await this.dungeonService.db.collection('locations').findOne({ graveyard: true });
+    const channel = stored && await this.dungeonService.client.channels.fetch(stored.channelId).catch(() => null);
+    if (channel) return { id: channel.id, name: stored.name };
+
+    return this.locationService.createLocation(guild, GRAVEYARD_NAME, null, { graveyard: true });
+  }
+
+  /**
+   * Lays a dead avatar to rest: moves it to the graveyard and posts its memorial.
+   * @param {object} avatar - Already marked dead.
+   * @param {{killerName: string, locationId: string}} death
+   * @returns {Promise<string>} - What happened.
+   */
+  async handleDeath(avatar, { killerName, locationId }) {
+    const { client, effects, dungeonLog } = this.dungeonService;
+    const origin = locationId && await client.channels.fetch(locationId).catch(() => null);
+    const graveyard = await this.getGraveyard(origin?.guild || client.guilds.cache.first());
+
+    await effects.clearEffects(avatar._id);
+    await this.dungeonService.moveAvatar(avatar._id, graveyard.id);
+    await this.avatarManager.updateAvatar({ _id: avatar._id, deathLocationId: locationId || null });
+
+    const { level } = await this.dungeonService.getBaseStats(avatar._id);
+    const epitaph = await this.writeEpitaph(avatar, killerName);
+    await sendEmbedsAsWebhook(graveyard.id, [buildMemorialEmbed(avatar, { killerName, level, epitaph })], '🪦 Gravekeeper');
+
+    await dungeonLog.logEvent({
+      type: 'death',
+      actorName: killerName,
+      targetId: avatar._id,
+      targetName: avatar.name,
+      locationId,
+      outcome: { graveyardId: graveyard.id, level, epitaph },
+      result: `${avatar.name} died`,
+    });
+    return `🪦 ${avatar.name} is laid to rest in <#${graveyard.id}>. Their ghost lingers there, waiting for a ritual.`;
+  }
+
+  async writeEpitaph(avatar, killerName) {
+    try {
+      const epitaph = await this.dungeonService.aiService.chat([
+        { role: 'system', content: 'You write short, heartfelt epitaphs for fallen fantasy heroes.' },
+        { role: 'user', content: `Write a one-line epitaph for ${avatar.name}, ${avatar.personality || avatar.description || 'a wanderer'}, who was slain by ${killerName}. ONLY return the epitaph.` }
+      ]);
+      const clean = `${epitaph || ''}`.split('\n')[0].replace(/["*]/g, '').trim().slice(0, 200);
+      if (clean) return clean;
+    } catch (error) {
+      this.logger.warn(`Could not write epitaph for ${avatar.name}: ${error.message}`);
+    }
+    return `Here lies ${avatar.name}, who fell to ${killerName}.`;
+  }
+
+  async getRitual(avatarId) {
+    return this.collection.findOne({ avatarId, status: 'gathering', expiresAt: { $gt: Date.now() } });
+  }
+
+  /**
+   * Starts or supports a resurrection ritual for a dead avatar.
+   * @param {{id: *, name: string}} supporter
+   * @param {object} avatar - The dead avatar.
+   * @returns {Promise<string>} - What happened.
+   */
+  async performRitual(supporter, avatar) {
+    if (!this.isGhost(avatar)) {
+      return `🤔 ${avatar.name} is not dead.`;
+    }
+
+    const now = Date.now();
+    const mournedAt = (avatar.deathTimestamp || 0) + MOURNING_PERIOD;
+    if (mournedAt > now) {
+      return `🕯️ ${avatar.name} has only just fallen. A ritual can begin <t:${Math.floor(mournedAt / 1000)}:R>.`;
+    }
+
+    const stats = await this.dungeonService.getAvatarStats(supporter.id);
+    if (stats.hp <= RITUAL_HP_COST) {
+      return `😮‍💨 ${supporter.name} is too weak to join the ritual (it costs ${RITUAL_HP_COST} hp).`;
+    }
+
+    const ritual = await this.getRitual(avatar._id) || await this.startRitual(supporter, avatar, now);
+    if (typeof ritual === 'string') return ritual;
+    if (!ritual) return `🕯️ The ritual for ${avatar.name} is shifting. Try again in a moment.`;
+
+    if (!ritual.supporters.some(member => sameId(member.id, supporter.id))) {
+      const joined = await this.collection.updateOne(
+        { _id: ritual._id, status: 'gathering', 'supporters.id': { $ne: supporter.id } },
+        { $push: { supporters: supporter } }
+      );
+      if (!joined.modifiedCount) {
+        return `🕯️ ${supporter.name} has already lent their strength to the ritual for ${avatar.name}.`;
+      }
+      ritual.supporters.push(supporter);
+    } else if (!ritual.justStarted) {
+      return `🕯️ ${supporter.name} has already lent their strength to the ritual for ${avatar.name}.`;
+    }
+
+    await this.dungeonService.updateAvatarStats(supporter.id, { hp: stats.hp - RITUAL_HP_COST });
+
+    if (ritual.supporters.length < RITUAL_SUPPORTERS) {
+      return `🕯️ ${supporter.name} gives ${RITUAL_HP_COST} hp to the ritual for ${avatar.name} (${ritual.supporters.length}/${RITUAL_SUPPORTERS} supporters). It fails <t:${Math.floor(ritual.expiresAt / 1000)}:R> unless others !resurrect ${avatar.name} too.`;
+    }
+
+    const claimed = await this.collection.updateOne(
+      { _id: ritual._id, status: 'gathering' },
+      { $set: { status: 'completed', completedAt: Date.now() } }
+    );
+    if (!claimed.modifiedCount) {
+      return `🕯️ The ritual for ${avatar.name} is already complete.`;
+    }
+    return this.resurrect(avatar, ritual);
+  }
+
+  // Opens a ritual, unless a failed one is too recent; someone else may open it at the same moment
+  async startRitual(supporter, avatar, now) {
+    await this.collection.updateMany(
+      { avatarId: avatar._id, status: 'gathering', expiresAt: { $lte: now } },
+      { $set: { status: 'failed' } }
+    );
+
+    const failed = await this.collection.findOne({ avatarId: avatar._id, status: 'failed' }, { sort: { expiresAt: -1 } });
+    const retryAt = failed ? failed.expiresAt + RITUAL_COOLDOWN : 0;
+    if (retryAt > now) {
+      return `🕯️ The last ritual for ${avatar.name} failed. Another can begin <t:${Math.floor(retryAt / 1000)}:R>.`;
+    }
+
+    const ritual = {
+      avatarId: avatar._id,
+      avatarName: avatar.name,
+      startedBy: supporter,
+      supporters: [supporter],
+      status: 'gathering',
+      createdAt: now,
+      expiresAt: now + RITUAL_DURATION,
+    };
+    try {
+      const result = await this.collection.insertOne(ritual);
+      return { ...ritual, _id: result.insertedId, justStarted: true };
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      return this.getRitual(avatar._id);
+    }
+  }
+
+  async resurrect(avatar, ritual) {
+    const { dungeonLog } = this.dungeonService;
+    await this.avatarManager.respawnAvatar(avatar._id, RESURRECTED_LIVES);
+
+    const { maxHp } = await this.dungeonService.getBaseStats(avatar._id);
+    await this.dungeonService.updateAvatarStats(avatar._id, { hp: maxHp });
+
+    const graveyardId = avatar.channelId;
+    const returnTo = avatar.deathLocationId || graveyardId;
+    await this.dungeonService.moveAvatar(avatar._id, returnTo);
+
+    const names = ritual.supporters.map(member => member.name).join(', ');
+    const result = `✨ ${avatar.name} rises from the grave, called back by ${names}! They return to <#${returnTo}> with ${RESURRECTED_LIVES} life.`;
+    await sendAsWebhook(graveyardId, result, '🪦 Gravekeeper');
+
+    await dungeonLog.logEvent({
+      type: 'resurrection',
+      actorId: ritual.startedBy.id,
+      actorName: ritual.startedBy.name,
+      targetId: avatar._id,
+      targetName: avatar.name,
+      locationId: returnTo,
+      outcome: { ritualId: ritual._id, supporterIds: ritual.supporters.map(member => member.id), lives: RESURRECTED_LIVES },
+      result,
+    });
+    return result;
+  }
+}
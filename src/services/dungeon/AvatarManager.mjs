@@ -1,48 +1,39 @@
-
-import { MongoClient } from 'mongodb';
-
 export class AvatarManager {
-  constructor(logger) {
+  constructor(logger, db) {
     this.logger = logger;
+    this.db = db;
   }
 
   async getAvatar(avatarId) {
-    const client = new MongoClient(process.env.MONGO_URI);
-    try {
-      await client.connect();
-      const db = client.db(process.env.MONGO_DB_NAME);
-      return await db.collection('avatars').findOne({ _id: avatarId });
-    } finally {
-      await client.close();
-    }
+    return await this.db.collection('avatars').findOne({ _id: avatarId });
   }
 
   async updateAvatar(avatar) {
-    const client = new MongoClient(process.env.MONGO_URI);
-    try {
-      await client.connect();
-      const db = client.db(process.env.MONGO_DB_NAME);
-      await db.collection('avatars').updateOne(
-        { avatarId: avatar.avatarId },
-        { $set: avatar },
-        { upsert: true }
-      );
-    } finally {
-      await client.close();
-    }
+    const { _id, ...fields } = avatar;
+    await this.db.collection('avatars').updateOne(
+      { _id },
+      { $set: fields }
+    );
   }
 
-  async respawnAvatar(avatarId) {
+  /**
+   * Brings a dead avatar back. Hp lives in `dungeon_stats`, so callers restore it there.
+   * @param {ObjectId} avatarId
+   * @param {number} [lives]
+   * @returns {Promise<object|undefined>} - The revived avatar.
+   */
+  async respawnAvatar(avatarId, lives = 3) {
     const avatar = await this.getAvatar(avatarId);
     if (!avatar) return;
 
-    // Reset avatar stats
     avatar.status = 'alive';
-    avatar.lives = 3;
-    avatar.hp = 100;
+    avatar.lives = lives;
     delete avatar.deathTimestamp;
 
-    await this.updateAvatar(avatar);
+    await this.db.collection('avatars').updateOne(
+      { _id: avatar._id },
+      { $set: { status: 'alive', lives, updatedAt: new Date() }, $unset: { deathTimestamp: '' } }
+    );
     return avatar;
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,214 @@
+import recipeDefinitions from '../../recipes.config.mjs';
+import { extractJSON } from '../utils.mjs';
+
+const RARITIES = ['common', 'uncommon', 'rare', 'legendary'];
+// What an invented item may do when used, by its rarity
+const USE_LIMITS = {
+  common: { heal: 30, amount: 3 },
+  uncommon: { heal: 45, amount: 5 },
+  rare: { heal: 60, amount: 8 },
+  legendary: { heal: 80, amount: 10 },
+};
+const EFFECT_STATS = ['attack', 'defense'];
+const MAX_EFFECT_MS = 10 * 60 * 1000;
+const MAX_INGREDIENTS = 5;
+
+const normalize = text => `${text}`.trim().toLowerCase().replace(/[\s-]+/g, '_').replace(/\W/g, '');
+
+// The same ingredients always make the same key, whatever order they were named in
+export const recipeKey = ingredients => ingredients
+  .map(entry => `${entry.quantity}x${entry.itemKey}`)
+  .sort()
+  .join('+');
+
+/**
+ * Crafting, with recipes stored in the `recipes` collection.
+ *
+ * Recipes from recipes.config.mjs are seeded on startup. Any other combination is
+ * invented by the model the first time someone crafts it: it describes a new item,
+ * which is held to USE_LIMITS and saved to `items`, and the recipe is saved so the
+ * same ingredients always make the same thing.
+ */
+export class CraftingService {
+  constructor(dungeonService) {
+    this.dungeonService = dungeonService;
+    this.logger = dungeonService.logger;
+    this.definitions = recipeDefinitions;
+  }
+
+  get collection() {
+    return this.dungeonService.db.collection('recipes');
+  }
+
+  async initializeDatabase() {
+    await this.collection.createIndex({ key: 1 }, { unique: true });
+    await Promise.all(this.definitions.map(recipe => {
+      const key = recipeKey(recipe.ingredients);
+      return this.collection.updateOne({ key }, { $set: { ...recipe, key, seeded: true } }, { upsert: true });
+    }));
+  }
+
+  async getRecipe(ingredients) {
+    return this.collection.findOne({ key: recipeKey(ingredients) });
+  }
+
+  // Known recipes, seeded ones first, then the most recently discovered
+  async getRecipes(limit = 10) {
+    return this.collection.find({}).sort({ seeded: -1, createdAt: -1 }).limit(limit).toArray();
+  }
+
+  async describeRecipe(recipe) {
+    const { items } = this.dungeonService;
+    const [ingredients, [result]] = await Promise.all([
+      items.withDefinitions(recipe.ingredients),
+      items.withDefinitions([recipe.result]),
+    ]);
+    const made = result ? items.formatItem(result.item, result.quantity) : recipe.result.itemKey;
+    return `${ingredients.map(entry => items.formatItem(entry.item, entry.quantity)).join(' + ')} → ${made}`;
+  }
+
+  /**
+   * Returns the recipe for some ingredients, inventing it the first time they are combined.
+   * @param {Array<{itemKey: string, quantity: number, item: object}>} ingredients
+   * @returns {Promise<{recipe: object, invented: boolean}|null>} - Null if nothing could be invented.
+   */
+  async getOrInventRecipe(ingredients, actorName) {
+    const existing = await this.getRecipe(ingredients);
+    if (existing) return { recipe: existing, invented: false };
+
+    const invention = await this.inventItem(ingredients, actorName);
+    if (!invention) return null;
+
+    // An invented name that matches a known item makes that item, unless it is rarer than these
+    // ingredients allow; then the invention is saved under a name of its own, so the recipe still sticks
+    const { items } = this.dungeonService;
+    let item = await items.defineItem(invention);
+    for (let copy = 1; RARITIES.indexOf(item.rarity) > RARITIES.indexOf(invention.rarity); copy++) {
+      const name = `Crafted ${invention.name}${copy > 1 ? ` ${copy}` : ''}`;
+      item = await items.defineItem({ ...invention, name, key: normalize(name) });
+    }
+
+    const key = recipeKey(ingredients);
+    const recipe = {
+      key,
+      ingredients: ingredients.map(({ itemKey, quantity }) => ({ itemKey, quantity })),
+      result: { itemKey: item.key, quantity: 1 },
+      description: item.description,
+      inventedBy: actorName,
+      createdAt: Date.now(),
+    };
+    // Someone may have invented it at the same moment; theirs stands
+    await this.collection.updateOne({ key }, { $setOnInsert: recipe }, { upsert: true });
+    return { recipe: await this.collection.findOne({ key }), invented: true };
+  }
+
+  // Asks the model what the ingredients make, then holds the answer to USE_LIMITS
+  async inventItem(ingredients, actorName) {
+    const rarity = this.resultRarity(ingredients);
+    const limits = USE_LIMITS[rarity];
+    try {
+      const response = await this.dungeonService.aiService.chat([
+        { role: 'system', content: 'You are a fair game master inventing crafted items in a fantasy RPG.' },
+        { role: 'user', content: `${actorName} combines ${ingredients.map(entry => `${entry.quantity} ${entry.item.name} (${entry.item.description})`).join(', ')}. Decide what ${rarity} item they make.
+
+          When used, it may heal up to ${limits.heal} hp, or raise one stat (${EFFECT_STATS.join(', ')}) by up to ${limits.amount} for up to ${MAX_EFFECT_MS / 1000}s, or do nothing at all.
+
+          ONLY respond with JSON:
+          {"name": "<name>", "emoji": "<one emoji>", "description": "<one sentence>", "consumable": <true or false>, "use": {"heal": <number>} or {"stat": "<stat>", "amount": <number>, "durationMs": <number>} or null}` }
+      ], { format: 'json' });
+
+      return this.balanceItem(JSON.parse(extractJSON(response.trim())), rarity);
+    } catch (error) {
+      this.logger.warn(`Could not invent a recipe for ${recipeKey(ingredients)}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // One step rarer than the rarest ingredient when three or more go in
+  resultRarity(ingredients) {
+    const rarest = Math.max(...ingredients.map(entry => RARITIES.indexOf(entry.item.rarity)), 0);
+    const units = ingredients.reduce((sum, entry) => sum + entry.quantity, 0);
+    return RARITIES[Math.min(RARITIES.length - 1, rarest + (units >= 3 ? 1 : 0))];
+  }
+
+  /**
+   * Turns a proposed item into an item definition within USE_LIMITS.
+   * @returns {object|null} - Null if it has no usable name.
+   */
+  balanceItem(proposal, rarity) {
+    const name = `${proposal?.name || ''}`.trim().slice(0, 50);
+    const key = normalize(name);
+    if (!key) return null;
+
+    const limits = USE_LIMITS[rarity];
+    const clamp = (value, min, max) => Math.min(max, Math.max(min, Math.round(Number(value) || 0)));
+    const proposed = proposal.use || {};
+    let use = null;
+    if (proposed.heal) {
+      use = { heal: clamp(proposed.heal, 1, limits.heal) };
+    } else if (EFFECT_STATS.includes(proposed.stat)) {
+      use = { effect: {
+        type: 'buff',
+        stat: proposed.stat,
+        amount: clamp(proposed.amount, 1, limits.amount),
+        durationMs: clamp(proposed.durationMs, 10 * 1000, MAX_EFFECT_MS),
+      } };
+    }
+
+    return {
+      key,
+      name,
+      emoji: `${proposal.emoji || '📦'}`.slice(0, 8),
+      description: `${proposal.description || ''}`.slice(0, 200),
+      rarity,
+      ...(use ? { consumable: Boolean(proposal.consumable), use } : {}),
+      crafted: true,
+    };
+  }
+
+  /**
+   * Uses up the ingredients and makes whatever their recipe says.
+   * @param {{id: *, name: string}} crafter
+   * @param {Array<{itemKey: string, quantity: number, item: object}>} ingredients
+   * @returns {Promise<string|{message: string, outcome: object}>}
+   */
+  async craft(crafter, ingredients, locationId) {
+    const units = ingredients.reduce((sum, entry) => sum + entry.quantity, 0);
+    if (units < 2) return '🤔 Crafting takes at least two items.';
+    if (units > MAX_INGREDIENTS) return `🤔 No more than ${MAX_INGREDIENTS} items fit on the workbench.`;
+
+    const { items } = this.dungeonService;
+    const inventory = await items.getInventory(crafter.id);
+    const missing = ingredients.find(entry => (inventory.find(held => held.itemKey === entry.itemKey)?.quantity || 0) < entry.quantity);
+    if (missing) return `🫠 ${crafter.name} doesn't have ${items.formatItem(missing.item, missing.quantity)}.`;
+
+    const found = await this.getOrInventRecipe(ingredients, crafter.name);
+    if (!found) return '💨 The mixture fizzles and nothing comes of it. Nothing was used up.';
+    const { recipe, invented } = found;
+    const [result] = await items.withDefinitions([recipe.result]);
+    if (!result) return '💨 The recipe makes something nobody remembers how to make any more.';
+
+    // Give back what was already taken if something goes missing half way
+    const taken = [];
+    for (const entry of ingredients) {
+      if (!await items.removeItem(crafter.id, entry.itemKey, entry.quantity)) {
+        await Promise.all(taken.map(t => items.addItem(crafter.id, t.itemKey, t.quantity)));
+        return `🫠 ${crafter.name} doesn't have ${items.formatItem(entry.item, entry.quantity)} any more.`;
+      }
+      taken.push(entry);
+    }
+    await items.addItem(crafter.id, result.itemKey, result.quantity);
+
+    const made = items.formatItem(result.item, result.quantity);
+    const message = `${invented ? `💡 ${crafter.name} discovers a new recipe! ` : ''}🛠️ ${crafter.name} crafts ${made} from ${ingredients.map(entry => items.formatItem(entry.item, entry.quantity)).join(', ')}. ${recipe.description || ''}`.trim();
+    await this.dungeonService.dungeonLog.logEvent({
+      type: 'craft',
+      actorId: crafter.id,
+      actorName: crafter.name,
+      locationId,
+      outcome: { recipeKey: recipe.key, ingredients: recipe.ingredients, result: recipe.result, invented },
+      result: message,
+    });
+    return { message, outcome: { crafted: result.item, invented } };
+  }
+}
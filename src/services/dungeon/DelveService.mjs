@@ -0,0 +1,221 @@
+import { ObjectId } from 'mongodb';
+import { LocationService } from '../location/locationService.mjs';
+import { sendAsWebhook } from '../discordService.mjs';
+import { rngService } from '../rngService.mjs';
+
+const ROOM_NAMES = ['Threshold', 'Hall of Echoes', 'Flooded Crypt', 'Bone Gallery', 'Sunken Stair'];
+const ROOM_COUNT = 4; // the last is the boss room
+const ABANDON_AFTER = 60 * 60 * 1000; // instances with no progress for an hour are abandoned
+
+const sameId = (a, b) => `${a}` === `${b}`;
+
+/**
+ * Temporary dungeon instances, stored in `dungeon_instances`.
+ *
+ * A delve is a chain of location threads created one at a time as the party
+ * pushes on. Each room holds monsters and loot, and the last holds a boss.
+ * Finished instances have their threads archived and keep a delve report.
+ */
+export class DelveService {
+  constructor(dungeonService) {
+    this.dungeonService = dungeonService;
+    this.logger = dungeonService.logger;
+    this.locationService = new LocationService(dungeonService.client, dungeonService.aiService, dungeonService.db);
+  }
+
+  get collection() {
+    return this.dungeonService.db.collection('dungeon_instances');
+  }
+
+  async initializeDatabase() {
+    await this.collection.createIndex({ status: 1, 'party.id': 1 });
+  }
+
+  async getActiveInstance(memberId) {
+    const instances = await this.collection.find({ status: 'active' }).toArray();
+    return instances.find(instance => instance.party.some(member => sameId(member.id, memberId))) || null;
+  }
+
+  async getInstanceAt(locationId) {
+    return this.collection.findOne({ status: 'active', 'rooms.id': locationId });
+  }
+
+  /**
+   * Opens a new instance and leads its founder into the first room.
+   * @param {Channel} channel - Where the delve starts; rooms open as threads here.
+   * @param {{id: *, name: string}} member
+   * @param {string} [theme] - Flavour for the dungeon's name.
+   */
+  async startDelve(channel, member, theme = '') {
+    const instance = {
+      _id: new ObjectId(),
+      name: await this.nameDungeon(theme),
+      originId: channel.id,
+      status: 'active',
+      party: [member],
+      rooms: [],
+      currentRoom: -1,
+      createdAt: Date.now(),
+      updatedAt: Date.now(),
+    };
+    await this.collection.insertOne(instance);
+
+    const room = await this.openRoom(instance, channel);
+    return `🕳️ ${member.name} descends into **${instance.name}**! The first room awaits: <#${room.id}>. Others here can \`!delve join\`.`;
+  }
+
+  async nameDungeon(theme) {
+    try {
+      const name = await this.dungeonService.aiService.chat([
+        { role: 'system', content: 'You name fantasy dungeons.' },
+        { role: 'user', content: `Name a dungeon${theme ? ` themed around ${theme}` : ''}. ONLY return the name, under 40 characters.` }
+      ]);
+      const clean = `${name || ''}`.split('\n')[0].replace(/["*]/g, '').trim().slice(0, 40);
+      if (clean) return clean;
+    } catch (error) {
+      this.logger.warn(`Could not name dungeon: ${error.message}`);
+    }
+    return theme ? `The Depths of ${theme}` : 'The Nameless Depths';
+  }
+
+  // Creates the next room thread, stocks it and moves the party in
+  async openRoom(instance, channel) {
+    const index = instance.currentRoom + 1;
+    const boss = index === ROOM_COUNT - 1;
+    const roomName = `${instance.name}: ${boss ? 'Boss Lair' : ROOM_NAMES[index % ROOM_NAMES.length]}`;
+
+    const origin = await this.dungeonService.client.channels.fetch(instance.originId).catch(() => channel);
+    const room = await this.locationService.createLocation(origin.guild, roomName, origin, { instanceId: instance._id });
+    const previous = instance.rooms[instance.rooms.length - 1];
+    if (previous) {
+      await this.locationService.linkLocations(previous, room);
+    }
+
+    const { monsters, items } = this.dungeonService;
+    const pool = monsters.definitions.filter(definition => Boolean(definition.boss) === boss);
+    await monsters.spawnMonster(room.id, monsters.pickMonster(rngService.stream('delves').random, pool.length ? pool : monsters.definitions));
+    const loot = items.pickSpawnItem(rngService.stream('delves').random);
+    await items.addLocationItem(room.id, loot.key);
+
+    instance.rooms.push({ id: room.id, name: room.name, boss });
+    instance.currentRoom = index;
+    instance.updatedAt = Date.now();
+    await this.collection.updateOne(
+      { _id: instance._id },
+      { $set: { rooms: instance.rooms, currentRoom: index, updatedAt: instance.updatedAt } }
+    );
+
+    await Promise.all(instance.party.map(member => this.moveMember(member, room.id)));
+    return room;
+  }
+
+  async moveMember(member, locationId) {
+    await this.dungeonService.moveAvatar(member.id, locationId);
+  }
+
+  async join(instance, member) {
+    if (instance.party.some(m => sameId(m.id, member.id))) {
+      return `🤔 ${member.name} is already delving into ${instance.name}.`;
+    }
+
+    instance.party.push(member);
+    await this.collection.updateOne({ _id: instance._id }, { $push: { party: member } });
+    await this.moveMember(member, instance.rooms[instance.currentRoom].id);
+    return `🕯️ ${member.name} joins the delve into **${instance.name}**: <#${instance.rooms[instance.currentRoom].id}>.`;
+  }
+
+  /**
+   * Moves the party on once the current room is clear, finishing the delve after the boss.
+   */
+  async advance(instance, member, channel) {
+    const room = instance.rooms[instance.currentRoom];
+    const remaining = await this.dungeonService.monsters.getMonstersInLocation(room.id);
+    if (remaining.length) {
+      return `⚔️ The way on is blocked by ${remaining.map(m => `${m.emoji} ${m.name}`).join(', ')}.`;
+    }
+
+    if (room.boss) {
+      return this.finish(instance, 'cleared');
+    }
+
+    const next = await this.openRoom(instance, channel);
+    return `🚪 ${member.name} leads the party deeper, into <#${next.id}> (room ${instance.currentRoom + 1} of ${ROOM_COUNT}).`;
+  }
+
+  async leave(instance, member) {
+    instance.party = instance.party.filter(m => !sameId(m.id, member.id));
+    await this.collection.updateOne({ _id: instance._id }, { $set: { party: instance.party } });
+    await this.moveMember(member, instance.originId);
+
+    if (!instance.party.length) {
+      return `🏃 ${member.name} flees the dungeon.\n${await this.finish(instance, 'abandoned')}`;
+    }
+    return `🏃 ${member.name} flees ${instance.name}, leaving the others behind.`;
+  }
+
+  /**
+   * Closes an instance: archives its rooms, clears out monsters and saves the delve report.
+   * @param {object} instance
+   * @param {'cleared'|'abandoned'} outcome
+   * @returns {Promise<string>} - The report.
+   */
+  async finish(instance, outcome) {
+    const claimed = await this.collection.updateOne(
+      { _id: instance._id, status: 'active' },
+      { $set: { status: outcome, endedAt: Date.now() } }
+    );
+    if (!claimed.modifiedCount) return `🕳️ ${instance.name} is already closed.`;
+
+    const roomIds = instance.rooms.map(room => room.id);
+    const monsters = this.dungeonService.db.collection('monsters');
+    const defeated = await monsters.find({ locationId: { $in: roomIds }, status: 'defeated' }).toArray();
+    const leftover = await monsters.find({ locationId: { $in: roomIds }, status: 'alive' }).toArray();
+    await monsters.updateMany({ _id: { $in: leftover.map(monster => monster._id) } }, { $set: { status: 'despawned' } });
+    await Promise.all(leftover.map(monster => this.dungeonService.monsters.removeStats(monster._id)));
+
+    await Promise.all(instance.party.map(member => this.moveMember(member, instance.originId)));
+    for (const room of instance.rooms) {
+      const thread = await this.dungeonService.client.channels.fetch(room.id).catch(() => null);
+      if (thread?.isThread()) {
+        await thread.setArchived(true).catch(error => this.logger.warn(`Could not archive ${room.name}: ${error.message}`));
+      }
+    }
+
+    const report = {
+      outcome,
+      roomsExplored: instance.rooms.length,
+      roomCount: ROOM_COUNT,
+      party: instance.party.map(member => member.name),
+      monstersDefeated: defeated.map(monster => monster.name),
+      durationMs: Date.now() - instance.createdAt,
+    };
+    const summary = `📜 **Delve report: ${instance.name}** (${outcome === 'cleared' ? '🏆 cleared' : '🏳️ abandoned'})
+Rooms explored: ${report.roomsExplored}/${ROOM_COUNT}
+Defeated: ${report.monstersDefeated.join(', ') || 'nothing'}
+Party: ${report.party.join(', ') || 'nobody'}`;
+
+    await this.collection.updateOne({ _id: instance._id }, { $set: { report: { ...report, summary } } });
+    await this.dungeonService.dungeonLog.logEvent({
+      type: 'delve_finished',
+      targetId: instance._id,
+      targetName: instance.name,
+      locationId: instance.originId,
+      outcome: { ...report, partyIds: instance.party.map(member => member.id) },
+      result: summary,
+    });
+    return summary;
+  }
+
+  async scheduleCleanup() {
+    await this.dungeonService.scheduler?.every('delve-cleanup', 10 * 60 * 1000, async () => {
+      const stale = await this.collection
+        .find({ status: 'active', updatedAt: { $lt: Date.now() - ABANDON_AFTER } })
+        .toArray();
+      for (const instance of stale) {
+        const summary = await this.finish(instance, 'abandoned');
+        await sendAsWebhook(instance.originId, summary, 'Dungeon Master').catch(error =>
+          this.logger.warn(`Could not post delve report: ${error.message}`));
+      }
+    });
+  }
+}
@@ -0,0 +1,182 @@
+import { ObjectId } from 'mongodb';
+import { sendAsWebhook } from '../discordService.mjs';
+
+const CHALLENGE_TIMEOUT = 5 * 60 * 1000; // unanswered challenges lapse after this
+const DEFAULT_YIELD_HP = 20;
+const ORPHAN_GRACE = 60 * 1000; // time an accepted duel gets to open its encounter
+
+const sameId = (a, b) => `${a}` === `${b}`;
+
+/**
+ * Consensual fights, stored in `dungeon_duels`.
+ *
+ * A challenge waits for the challenged avatar to accept or decline before it lapses.
+ * Once accepted, a duel encounter opens in the channel and the two fight with !attack
+ * until one drops to the agreed hp and yields. Nobody loses a life.
+ */
+export class DuelService {
+  constructor(dungeonService) {
+    this.dungeonService = dungeonService;
+    this.logger = dungeonService.logger;
+  }
+
+  get collection() {
+    return this.dungeonService.db.collection('dungeon_duels');
+  }
+
+  async initializeDatabase() {
+    await this.collection.createIndex({ status: 1, 'challenged.id': 1 });
+    await this.collection.createIndex({ status: 1, 'challenger.id': 1 });
+  }
+
+  // The challenge an avatar has yet to answer, if any
+  async getPendingChallenge(avatarId) {
+    return this.collection.findOne({ status: 'pending', 'challenged.id': avatarId, expiresAt: { $gt: Date.now() } });
+  }
+
+  async getOpenDuel(avatarId) {
+    return this.collection.findOne({
+      $and: [
+        { $or: [{ 'challenger.id': avatarId }, { 'challenged.id': avatarId }] },
+        { $or: [{ status: 'pending', expiresAt: { $gt: Date.now() } }, { status: 'active' }] },
+      ],
+    });
+  }
+
+  /**
+   * Challenges another avatar in the same channel.
+   * @param {{id: *, name: string}} challenger
+   * @param {{id: *, name: string}} challenged
+   * @param {string} locationId
+   * @param {number} [yieldHp] - The duel ends when someone drops to this.
+   */
+  async challenge(challenger, challenged, locationId, yieldHp = DEFAULT_YIELD_HP) {
+    if (sameId(challenger.id, challenged.id)) {
+      return `🤔 ${challenger.name} can't duel themselves.`;
+    }
+    for (const duelist of [challenger, challenged]) {
+      if (await this.getOpenDuel(duelist.id)) {
+        return `🤺 ${duelist.name} already has a duel to settle.`;
+      }
+    }
+
+    const [challengerStats, challengedStats] = await Promise.all([
+      this.dungeonService.getAvatarStats(challenger.id),
+      this.dungeonService.getAvatarStats(challenged.id),
+    ]);
+    if (yieldHp >= Math.min(challengerStats.hp, challengedStats.hp)) {
+      return `🩸 One of them is already at ${yieldHp} hp or below; pick a lower yield point.`;
+    }
+
+    const expiresAt = Date.now() + CHALLENGE_TIMEOUT;
+    await this.collection.insertOne({
+      _id: new ObjectId(),
+      challenger,
+      challenged,
+      locationId,
+      yieldHp,
+      status: 'pending',
+      createdAt: Date.now(),
+      expiresAt,
+    });
+    return `🧤 ${challenger.name} challenges ${challenged.name} to a duel until someone drops to ${yieldHp} hp! ${challenged.name} can \`!duel accept\` or \`!duel decline\` before <t:${Math.floor(expiresAt / 1000)}:R>.`;
+  }
+
+  /**
+   * Accepts the challenge waiting for an avatar and opens the duel encounter.
+   */
+  async accept(member, locationId) {
+    const duel = await this.getPendingChallenge(member.id);
+    if (!duel) return `🫠 Nobody is waiting on ${member.name} for a duel.`;
+    if (duel.locationId !== locationId) return `🧭 Accept the duel where it was offered: <#${duel.locationId}>.`;
+    if (await this.dungeonService.encounters.getActiveEncounter(locationId)) {
+      return '⚔️ A fight is already going on here. Accept once it is over.';
+    }
+
+    const claimed = await this.collection.updateOne(
+      { _id: duel._id, status: 'pending' },
+      { $set: { status: 'active', acceptedAt: Date.now() } }
+    );
+    if (!claimed.modifiedCount) return `🫠 The challenge from ${duel.challenger.name} is no longer open.`;
+
+    const { challenger, challenged, yieldHp } = duel;
+    const encounter = await this.dungeonService.encounters.joinEncounter(
+      locationId,
+      [{ avatarId: challenger.id, name: challenger.name }, { avatarId: challenged.id, name: challenged.name }],
+      { duel: { id: duel._id, duelists: [challenger.id, challenged.id], yieldHp } }
+    );
+    await this.collection.updateOne({ _id: duel._id }, { $set: { encounterId: encounter._id } });
+
+    const first = this.dungeonService.encounters.getCurrentParticipant(encounter);
+    return `⚔️ ${challenged.name} accepts! The duel with ${challenger.name} begins, to ${yieldHp} hp. ${first.name} strikes first with !attack.`;
+  }
+
+  async decline(member) {
+    const duel = await this.getPendingChallenge(member.id);
+    if (!duel) return `🫠 Nobody is waiting on ${member.name} for a duel.`;
+
+    await this.collection.updateOne({ _id: duel._id, status: 'pending' }, { $set: { status: 'declined', endedAt: Date.now() } });
+    return `🙅 ${member.name} declines ${duel.challenger.name}'s challenge.`;
+  }
+
+  /**
+   * Settles a duel once its encounter ends.
+   * @param {object} encounter - The ended duel encounter.
+   * @param {object|null} winner - The participant left standing, if any.
+   */
+  async recordResult(encounter, winner) {
+    const duel = await this.collection.findOneAndUpdate(
+      { _id: encounter.duel.id, status: 'active' },
+      { $set: { status: 'finished', winnerId: winner?.avatarId ?? null, endedAt: Date.now() } },
+      { returnDocument: 'after' }
+    );
+    if (!duel) return;
+
+    const loser = winner && [duel.challenger, duel.challenged].find(d => !sameId(d.id, winner.avatarId));
+    await this.dungeonService.dungeonLog.logEvent({
+      type: 'duel',
+      actorId: winner?.avatarId ?? null,
+      actorName: winner?.name ?? null,
+      targetId: loser?.id ?? null,
+      targetName: loser?.name ?? null,
+      locationId: encounter.locationId,
+      outcome: { duelId: duel._id, encounterId: encounter._id, yieldHp: duel.yieldHp, rounds: encounter.round },
+      result: winner ? `🏆 ${winner.name} wins the duel against ${loser.name}.` : `🤝 The duel between ${duel.challenger.name} and ${duel.challenged.name} ends undecided.`,
+    });
+  }
+
+  // Unanswered challenges lapse, and duels nobody fights on end with their encounter
+  async scheduleExpiry() {
+    await this.dungeonService.scheduler?.every('duel-expiry', 60 * 1000, async () => {
+      const lapsed = await this.collection.find({ status: 'pending', expiresAt: { $lte: Date.now() } }).toArray();
+      for (const duel of lapsed) {
+        const claimed = await this.collection.updateOne({ _id: duel._id, status: 'pending' }, { $set: { status: 'expired' } });
+        if (!claimed.modifiedCount) continue;
+        await this.announce(duel.locationId, `⌛ ${duel.challenged.name} never answered ${duel.challenger.name}'s challenge.`);
+      }
+
+      const { encounters } = this.dungeonService;
+      const active = await this.collection.find({ status: 'active' }).toArray();
+      for (const duel of active) {
+        const encounter = duel.encounterId && await encounters.collection.findOne({ _id: duel.encounterId, status: 'active' });
+        if (!encounter) {
+          // Its encounter is gone or never opened (say the bot stopped half way through accepting)
+          if (Date.now() - duel.acceptedAt > ORPHAN_GRACE) {
+            await this.collection.updateOne(
+              { _id: duel._id, status: 'active' },
+              { $set: { status: 'finished', winnerId: null, endedAt: Date.now() } }
+            );
+          }
+          continue;
+        }
+        const summary = await encounters.endIfIdle(encounter);
+        if (summary) await this.announce(duel.locationId, summary);
+      }
+    });
+  }
+
+  async announce(locationId, text) {
+    await sendAsWebhook(locationId, text, 'Dungeon Master')
+      .catch(error => this.logger.warn(`Could not post duel news: ${error.message}`));
+  }
+}
@@ -1,39 +1,174 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { randomUUID } from 'node:crypto';
 
-import { MongoClient } from 'mongodb';
+// Event types written to `dungeon_log`
+export const EVENT_TYPES = [
+  'action',           // a tool used through processAction
+  'attack',           // one attack roll inside an encounter
+  'ability',          // an ability's effect landing on someone
+  'encounter_end',
+  'monster_defeated',
+  'quest_completed',
+  'delve_finished',
+  'death',
+  'resurrection',
+  'duel',
+  'tournament_finished',
+  'trade',
+  'craft',
+  'summon',
+];
 
+const BACKFILL_BATCH = 500;
+const BACKFILL_MIGRATION = 'dungeon-log-types';
+
+/**
+ * The dungeon event log, stored in the `dungeon_log` collection.
+ *
+ * Each entry is a typed event:
+ * {type, tool, actorId, actorName, targetId, targetName, locationId, outcome, result, seed, correlationId, timestamp}
+ * where `outcome` holds the structured result (damage, hp before and after, effects...) and
+ * `result` the text that was shown. `seed` replays the event's dice with createRng(seed), for
+ * events that rolled any. Events logged while one action runs share a correlation ID.
+ */
 export class DungeonLog {
-  constructor(logger) {
+  constructor(logger, db) {
     this.logger = logger;
+    this.db = db;
+    this.context = new AsyncLocalStorage();
+  }
+
+  get collection() {
+    return this.db.collection('dungeon_log');
+  }
+
+  async initializeDatabase() {
+    await this.collection.createIndex({ actorId: 1, timestamp: -1 });
+    await this.collection.createIndex({ targetId: 1, timestamp: -1 });
+    await this.collection.createIndex({ locationId: 1, timestamp: -1 });
+    await this.collection.createIndex({ correlationId: 1 });
+    await this.backfillOnce();
+  }
+
+  /**
+   * Runs fn so that every event it logs carries the same correlation ID.
+   */
+  async correlate(fn) {
+    return this.context.run({ correlationId: randomUUID() }, fn);
   }
 
-  async logAction(action) {
-    const client = new MongoClient(process.env.MONGO_URI);
+  /**
+   * Writes an event.
+   * @param {{type: string, tool?: string, actorId?: *, actorName?: string, targetId?: *, targetName?: string, locationId?: string, outcome?: object, result?: string, seed?: number|string}} event
+   */
+  async logEvent(event) {
+    if (!EVENT_TYPES.includes(event.type)) {
+      this.logger.warn(`Unknown dungeon event type: ${event.type}`);
+    }
+
     try {
-      await client.connect();
-      const db = client.db(process.env.MONGO_DB_NAME);
-      await db.collection('dungeon_log').insertOne({
-        ...action,
+      await this.collection.insertOne({
+        type: event.type,
+        tool: event.tool ?? null,
+        actorId: event.actorId ?? null,
+        actorName: event.actorName ?? null,
+        targetId: event.targetId ?? null,
+        targetName: event.targetName ?? null,
+        locationId: event.locationId ?? null,
+        outcome: event.outcome ?? {},
+        result: event.result ?? '',
+        seed: event.seed ?? null,
+        correlationId: this.context.getStore()?.correlationId ?? randomUUID(),
         timestamp: Date.now()
       });
     } catch (error) {
-      this.logger.error(`Error logging dungeon action: ${error.message}`);
-    } finally {
-      await client.close();
+      this.logger.error(`Error logging dungeon event: ${error.message}`);
     }
   }
 
-  async getRecentActions(channelId, limit = 5) {
-    const client = new MongoClient(process.env.MONGO_URI);
-    try {
-      await client.connect();
-      const db = client.db(process.env.MONGO_DB_NAME);
-      return await db.collection('dungeon_log')
-        .find({ channelId })
-        .sort({ timestamp: -1 })
-        .limit(limit)
-        .toArray();
-    } finally {
-      await client.close();
+  async getRecentActions(locationId, limit = 5) {
+    return await this.collection
+      .find({ locationId })
+      .sort({ timestamp: -1 })
+      .limit(limit)
+      .toArray();
+  }
+
+  // The backfill scans the whole log, so it runs once; `migrations` remembers that it has
+  async backfillOnce() {
+    const migrations = this.db.collection('migrations');
+    if (await migrations.findOne({ name: BACKFILL_MIGRATION })) return 0;
+
+    const converted = await this.backfill();
+    await migrations.updateOne(
+      { name: BACKFILL_MIGRATION },
+      { $set: { name: BACKFILL_MIGRATION, converted, completedAt: Date.now() } },
+      { upsert: true }
+    );
+    return converted;
+  }
+
+  /**
+   * Converts the {actor, target, action, result} entries written before events were typed into
+   * `action` events, matching names to avatar IDs.
+   * The original fields are left in place.
+   * @returns {Promise<number>} - How many entries were converted.
+   */
+  async backfill() {
+    const avatarIds = new Map(); // name -> _id, or null when no avatar has it
+    const findAvatarId = async name => {
+      if (!name) return null;
+      if (!avatarIds.has(name)) {
+        const avatar = await this.db.collection('avatars').findOne({ name }, { projection: { _id: 1 } });
+        avatarIds.set(name, avatar?._id ?? null);
+      }
+      return avatarIds.get(name);
+    };
+
+    let converted = 0;
+    let batch = [];
+    const cursor = this.collection.find({ type: { $exists: false } });
+    for await (const entry of cursor) {
+      const actorName = this.parseLegacyActor(entry);
+      batch.push({
+        updateOne: {
+          filter: { _id: entry._id, type: { $exists: false } },
+          update: {
+            $set: {
+              type: 'action',
+              tool: entry.action ?? null,
+              actorId: await findAvatarId(actorName),
+              actorName,
+              targetId: await findAvatarId(entry.target),
+              targetName: entry.target ?? null,
+              locationId: entry.channelId ?? null,
+              outcome: entry.isCustom ? { isCustom: true } : {},
+              correlationId: `legacy:${entry._id}`,
+              backfilledAt: Date.now()
+            }
+          }
+        }
+      });
+
+      if (batch.length >= BACKFILL_BATCH) {
+        converted += (await this.collection.bulkWrite(batch, { ordered: false })).modifiedCount;
+        batch = [];
+      }
     }
+    if (batch.length) {
+      converted += (await this.collection.bulkWrite(batch, { ordered: false })).modifiedCount;
+    }
+
+    if (converted) {
+      this.logger.info(`Backfilled ${converted} dungeon log entries`);
+    }
+    return converted;
+  }
+
+  // Old tool entries named the actor in text like "🛠️ Name used attack."; custom actions just gave the name
+  parseLegacyActor(entry) {
+    const actor = `${entry.actor || ''}`;
+    const match = actor.match(/^\S+ (.+) used \S+\.$/);
+    return match ? match[1] : actor || null;
   }
-}
\ No newline at end of file
+}
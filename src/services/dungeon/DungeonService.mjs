@@ -1,31 +1,100 @@
-import { MongoClient, ObjectId } from 'mongodb';
-import { OpenRouterService } from '../openrouterService.mjs';
+import { ObjectId } from 'mongodb';
+import { AIService } from '../aiService.mjs';
+import { rngService } from '../rngService.mjs';
+import { escapeRegExp } from '../utils.mjs';
 
 import { DungeonLog } from './DungeonLog.mjs';
+import { EffectService } from './EffectService.mjs';
+import { EncounterService } from './EncounterService.mjs';
+import { ItemService } from './ItemService.mjs';
+import { ProgressionService } from './ProgressionService.mjs';
+import { QuestService } from './QuestService.mjs';
+import { MonsterService } from './MonsterService.mjs';
+import { DelveService } from './DelveService.mjs';
+import { AbilityService } from './AbilityService.mjs';
+import { ActionPointService, describeActionPoints } from './ActionPointService.mjs';
+import { AfterlifeService, GHOST_TOOLS } from './AfterlifeService.mjs';
+import { RegenerationService } from './RegenerationService.mjs';
+import { DuelService } from './DuelService.mjs';
+import { TournamentService } from './TournamentService.mjs';
+import { PartyService } from './PartyService.mjs';
+import { EconomyService } from './EconomyService.mjs';
+import { TradeService } from './TradeService.mjs';
+import { CraftingService } from './CraftingService.mjs';
+import { StartingStatsService } from './StartingStatsService.mjs';
 import { AttackTool } from './tools/AttackTool.mjs';
 import { DefendTool } from './tools/DefendTool.mjs';
 import { MoveTool } from './tools/MoveTool.mjs';
 import { RememberTool } from './tools/RememberTool.mjs';
 import { CreationTool } from './tools/CreationTool.mjs';
+import { PickupTool } from './tools/PickupTool.mjs';
+import { DropTool } from './tools/DropTool.mjs';
+import { UseTool } from './tools/UseTool.mjs';
+import { GiveTool } from './tools/GiveTool.mjs';
+import { InventoryTool } from './tools/InventoryTool.mjs';
+import { LookTool } from './tools/LookTool.mjs';
+import { QuestsTool } from './tools/QuestsTool.mjs';
+import { AcceptTool } from './tools/AcceptTool.mjs';
+import { DelveTool } from './tools/DelveTool.mjs';
+import { AbilityTool } from './tools/AbilityTool.mjs';
+import { ResurrectTool } from './tools/ResurrectTool.mjs';
+import { RestTool } from './tools/RestTool.mjs';
+import { DuelTool } from './tools/DuelTool.mjs';
+import { ArenaTool } from './tools/ArenaTool.mjs';
+import { PartyTool } from './tools/PartyTool.mjs';
+import { BuyTool } from './tools/BuyTool.mjs';
+import { SellTool } from './tools/SellTool.mjs';
+import { PayTool } from './tools/PayTool.mjs';
+import { TradeTool } from './tools/TradeTool.mjs';
+import { CraftTool } from './tools/CraftTool.mjs';
+
+// Tools return a string or {message, outcome}
+const toToolResult = result => typeof result === 'object' && result !== null ? result : { message: result };
 
 export class DungeonService {
-  constructor(client, logger, avatarService = null) {
+  constructor(client, logger, avatarService = null, db = null, aiService = null, scheduler = null) {
     this.client = client;
     this.logger = logger;
     this.avatarService = avatarService;
+    this.db = db;
+    this.aiService = aiService || new AIService();
+    this.scheduler = scheduler;
     this.locations = new Map(); // locationId -> {areas: Map<threadId, areaData>}
     this.avatarPositions = new Map(); // avatarId -> {locationId, areaId}
     this.avatarStats = new Map(); // avatarId -> {hp, attack, defense}
-    this.dungeonLog = new DungeonLog(logger);
+    this.dungeonLog = new DungeonLog(logger, db);
+    this.effects = new EffectService(logger, db);
+    this.encounters = new EncounterService(this);
+    this.items = new ItemService(logger, db);
+    this.progression = new ProgressionService(this);
+    this.quests = new QuestService(this);
+    this.monsters = new MonsterService(this);
+    this.delves = new DelveService(this);
+    this.abilities = new AbilityService(this);
+    this.actionPoints = new ActionPointService(this);
+    this.afterlife = new AfterlifeService(this);
+    this.regeneration = new RegenerationService(this);
+    this.duels = new DuelService(this);
+    this.tournaments = new TournamentService(this);
+    this.parties = new PartyService(this);
+    this.economy = new EconomyService(this);
+    this.trades = new TradeService(this);
+    this.crafting = new CraftingService(this);
+    this.startingStats = new StartingStatsService(this);
     this.tools = new Map();
     this.registerTools();
-    this.aiService = new OpenRouterService(); // Add AIService initialization
     this.creationTool = new CreationTool(this);
     this.defaultStats = {
       hp: 100,
+      maxHp: 100,
       attack: 10,
-      defense: 5
+      defense: 5,
+      speed: 5,
+      charisma: 5,
+      level: 1,
+      xp: 0
     };
+    this.ITEM_SPAWN_INTERVAL = 60 * 60 * 1000; // 1 hour
 
     // Listen for avatar movements to update attention
     this.client.on('avatarMoved', ({ avatarId, newChannelId, temporary }) => {
@@ -33,10 +102,8 @@ export class DungeonService {
     });
   }
 
-  getAvatarStats(avatarId) {
-    return this.avatarStats.get(avatarId) || this.defaultStats;
-  }
-
+  // Text fallback for models without tool calling: a line starting with a known !command.
+  // Custom abilities go through !ability, so other !words are left as chat.
   extractToolCommands(text) {
     if (!text) return { commands: [], cleanText: '', commandLines: [] };
     
@@ -46,22 +113,12 @@ export class DungeonService {
     const otherLines = [];
 
     for (const line of lines) {
-      // Look for !command pattern anywhere in the line
-      const commandMatch = line.match(/!(\w+)(\s+[^!]*)?/g);
-      // Look for !command pattern at the start of the line
-      // const commandMatch = line.match(/^!(\w+)(\s+[^!]*)?/g);
-      
-      if (commandMatch) {
-        // Store the full line containing commands
+      const commandMatch = line.trim().match(/^!(\w+)(?:\s+(.*))?$/);
+
+      if (commandMatch && this.tools.has(commandMatch[1].toLowerCase())) {
         commandLines.push(line);
-        
-        // Process each command found in the line
-        for (const match of commandMatch) {
-          const [command, ...params] = match.slice(1).trim().split(/\s+/);
-          if (this.tools.has(command)) {
-            commands.push({ command, params });
-          }
-        }
+        const params = commandMatch[2] ? commandMatch[2].trim().split(/\s+/) : [];
+        commands.push({ command: commandMatch[1].toLowerCase(), params });
       } else {
         otherLines.push(line);
       }
@@ -77,10 +134,32 @@ export class DungeonService {
     };
   }
 
+  getToolDefinitions(avatar = null) {
+    return this.getAvailableTools(avatar)
+      .map(([name, tool]) => tool.getToolDefinition(name));
+  }
+
+  /**
+   * Converts a model's tool call into a command, validating its arguments first.
+   * @param {{name: string, arguments: object}} toolCall
+   * @returns {{command: string, params: string[]}|{error: string}}
+   */
+  parseToolCall(toolCall) {
+    const tool = this.tools.get(toolCall?.name);
+    if (!tool) {
+      return { error: `Unknown tool ${toolCall?.name}` };
+    }
+
+    const errors = tool.validateArguments(toolCall.arguments);
+    if (errors.length) {
+      return { error: `Invalid arguments for ${toolCall.name}: ${errors.join(', ')}` };
+    }
+
+    return { command: toolCall.name, params: tool.toParams(toolCall.arguments) };
+  }
+
   async initializeDatabase() {
-    const client = new MongoClient(process.env.MONGO_URI);
-    await client.connect();
-    const db = client.db(process.env.MONGO_DB_NAME);
+    const db = this.db;
     
     // Create collections if they don't exist
     await db.createCollection('dungeon_locations');
@@ -90,204 +169,293 @@ export class DungeonService {
     // Create indexes
     await db.collection('dungeon_positions').createIndex({ avatarId: 1 }, { unique: true });
     await db.collection('dungeon_stats').createIndex({ avatarId: 1 }, { unique: true });
-    
-    await client.close();
+    await db.collection('locations').createIndex({ channelId: 1 });
+    await this.effects.initializeDatabase();
+    await this.encounters.initializeDatabase();
+    await this.items.initializeDatabase();
+    await this.quests.initializeDatabase();
+    await this.monsters.initializeDatabase();
+    await this.delves.initializeDatabase();
+    await this.abilities.initializeDatabase();
+    await this.afterlife.initializeDatabase();
+    await this.duels.initializeDatabase();
+    await this.tournaments.initializeDatabase();
+    await this.parties.initializeDatabase();
+    await this.economy.initializeDatabase();
+    await this.trades.initializeDatabase();
+    await this.crafting.initializeDatabase();
+    await this.dungeonLog.initializeDatabase();
+    await this.scheduleItemSpawns();
+    await this.monsters.scheduleSpawns();
+    await this.delves.scheduleCleanup();
+    await this.duels.scheduleExpiry();
+    await this.tournaments.scheduleRounds();
+    await this.trades.scheduleExpiry();
+    await this.economy.scheduleRestock();
   }
 
-  getCommandsDescription() {
+  // Ghosts only get the few tools the dead can use, and nobody trades without transactions
+  getAvailableTools(avatar = null) {
     return Array.from(this.tools.entries())
+      .filter(([name]) => !this.afterlife.isGhost(avatar) || GHOST_TOOLS.includes(name))
+      .filter(([name]) => name !== 'trade' || this.trades.enabled);
+  }
+
+  getCommandsDescription(avatar = null) {
+    return this.getAvailableTools(avatar)
       .map(([name, tool]) => `${tool.getSyntax()}\n${tool.getDescription()}`)
       .join('\n');
   }
 
   async processAction(message, command, params, avatar) {
+    // Everything logged while the action runs shares one correlation ID
+    return this.dungeonLog.correlate(() => this.performAction(message, command, params, avatar));
+  }
+
+  async performAction(message, command, params, avatar) {
+    const actorId = avatar?._id || message.author.id;
+    const actorStats = await this.getAvatarStats(actorId);
+    if (actorStats.stunnedUntil > Date.now()) {
+      return `💫 ${message.author.username} is stunned and cannot act!`;
+    }
+    if (actorStats.restingUntil > Date.now()) {
+      return `💤 ${message.author.username} is resting and will be up <t:${Math.floor(actorStats.restingUntil / 1000)}:R>.`;
+    }
+
+    if (this.afterlife.isGhost(avatar) && !GHOST_TOOLS.includes(command)) {
+      return `👻 ${message.author.username} is a ghost and can only ${GHOST_TOOLS.map(name => `!${name}`).join(' or ')}.`;
+    }
+
+    // Some commands need an item, whoever uses them
+    const missingItem = await this.items.getMissingGateItem(actorId, command);
+    if (missingItem) {
+      return `❌ ${missingItem.name} not found.`;
+    }
+
     const tool = this.tools.get(command);
     if (!tool) {
-      // Handle unknown command with CreationTool
-      try {
-        const result = await this.creationTool.execute(message, params, avatar);
-        await this.dungeonLog.logAction({
-          channelId: message.channel.id,
-          action: command,
-          actor: message.author.username,
-          target: params[0],
-          result,
-          isCustom: true
-        });
-        return result;
-      } catch (error) {
-        this.logger.error(`Error handling custom command ${command}: ${error.message}`);
-        return `The mysterious power of ${command} fades away...`;
-      }
+      return `🤔 There is no !${command}. Custom abilities are used with !ability <name> [target].`;
+    }
+    const spent = await this.actionPoints.spend(actorId, command, {
+      cost: tool.getActionCost(params),
+      cooldownMs: tool.getCooldown(),
+    });
+    if (!spent.ok) {
+      return spent.reason;
     }
 
+    const event = {
+      type: 'action',
+      tool: command,
+      actorId,
+      actorName: message.author.username,
+      targetName: params.join(' ') || null,
+      locationId: message.channel.id,
+    };
+
     try {
-      const result = await tool.execute(message, params, avatar);
-      await this.dungeonLog.logAction({
-        channelId: message.channel.id,
-        action: command,
-        actor: `${tool.emoji || '🛠️'} ${message.author.username} used ${command}.`,
-        target: params[0],
-        result
-      });
-      return result;
+      // Tools return text, or {message, outcome} when the action counts towards quests.
+      // Tools that wrote their own event say so with `outcome.logged`.
+      const { message: text, outcome = null } = toToolResult(await tool.execute(message, params, avatar));
+      if (!outcome?.logged) {
+        await this.logActionEvent(event, text, outcome);
+      }
+
+      // Only actions that cost something and did something pay; looking around or being refused doesn't
+      const earned = tool.getActionCost(params) > 0 && outcome && !outcome.refunded;
+      if (earned) {
+        await this.progression.awardXp(actorId, this.progression.rewards.action, { channelId: message.channel.id });
+      }
+      const completed = await this.quests.trackProgress(actorId, outcome, message.channel.id, message.author.username);
+      const daily = earned && await this.economy.payDaily({ id: actorId, name: message.author.username }, message.channel.id);
+      return [text, ...completed, ...(daily ? [daily] : [])].join('\n');
     } catch (error) {
       this.logger.error(`Error executing command ${command}: ${error.message}`);
       return `Failed to execute ${command}: ${error.message}`;
     }
   }
 
+  // Tools name who they acted on as `outcome.target`; the rest of the outcome is kept as is
+  async logActionEvent(event, text, outcome) {
+    const { target, ...rest } = outcome || {};
+    await this.dungeonLog.logEvent({
+      ...event,
+      targetId: target?.id ?? null,
+      targetName: target?.name ?? event.targetName,
+      outcome: rest,
+      result: text,
+    });
+  }
+
   registerTools() {
     this.tools.set('attack', new AttackTool(this));
     this.tools.set('defend', new DefendTool(this));
     this.tools.set('move', new MoveTool(this));
     this.tools.set('remember', new RememberTool(this));
+    this.tools.set('pickup', new PickupTool(this));
+    this.tools.set('drop', new DropTool(this));
+    this.tools.set('use', new UseTool(this));
+    this.tools.set('give', new GiveTool(this));
+    this.tools.set('inventory', new InventoryTool(this));
+    this.tools.set('look', new LookTool(this));
+    this.tools.set('quests', new QuestsTool(this));
+    this.tools.set('accept', new AcceptTool(this));
+    this.tools.set('delve', new DelveTool(this));
+    this.tools.set('ability', new AbilityTool(this));
+    this.tools.set('resurrect', new ResurrectTool(this));
+    this.tools.set('rest', new RestTool(this));
+    this.tools.set('duel', new DuelTool(this));
+    this.tools.set('arena', new ArenaTool(this));
+    this.tools.set('party', new PartyTool(this));
+    this.tools.set('buy', new BuyTool(this));
+    this.tools.set('sell', new SellTool(this));
+    this.tools.set('pay', new PayTool(this));
+    this.tools.set('trade', new TradeTool(this));
+    this.tools.set('craft', new CraftTool(this));
+  }
+
+  // Every so often an item turns up where avatars have been recently
+  async scheduleItemSpawns() {
+    await this.scheduler?.every('item-spawns', this.ITEM_SPAWN_INTERVAL, async () => {
+      const since = new Date(Date.now() - this.ITEM_SPAWN_INTERVAL);
+      const locationIds = await this.db.collection('dungeon_positions')
+        .distinct('locationId', { lastUpdated: { $gt: since } });
+      if (!locationIds.length) return;
+
+      const locationId = rngService.pick('items', locationIds);
+      const item = this.items.pickSpawnItem();
+      await this.items.addLocationItem(locationId, item.key);
+      this.logger.info(`${item.emoji} ${item.name} spawned in ${locationId}`);
+    });
   }
 
   async getLocationDescription(locationId, locationName) {
-    const client = new MongoClient(process.env.MONGO_URI);
-    try {
-      await client.connect();
-      const db = client.db(process.env.MONGO_DB_NAME);
-      const location = await db.collection('locations').findOne({ $or: [
-        { channelId: locationId },
-        { name: locationName }]});
-      return location?.description;
-    } finally {
-      await client.close();
-    }
+    const location = await this.db.collection('locations').findOne({ $or: [
+      { channelId: locationId },
+      { name: locationName }]});
+    return location?.description;
   }
 
   async getAvatarLocation(avatarId) {
-    const client = new MongoClient(process.env.MONGO_URI);
-    try {
-      await client.connect();
-      const db = client.db(process.env.MONGO_DB_NAME);
-      const position = await db.collection('dungeon_positions').findOne({ $or: [ { avatarId }, { avatarId: avatarId.toString()  } ] });
-      if (!position) return null;
-      
-      // Get full location data
-      const location = await db.collection('locations').findOne({ channelId: position.locationId });
-      if (!location) return null;
-
-      // Get the Discord channel for this location
-      const guild = this.client.guilds.cache.first();
-      const channel = await guild.channels.fetch(location.id);
-
-      return {
-        id: location.id,
-        name: location.name,
-        channel: channel,
-        description: location.description,
-        imageUrl: location.imageUrl
-      };
-    } finally {
-      await client.close();
-    }
+    const position = await this.db.collection('dungeon_positions').findOne({ $or: [ { avatarId }, { avatarId: avatarId.toString()  } ] });
+    if (!position) return null;
+    
+    // Get full location data
+    const location = await this.db.collection('locations').findOne({ channelId: position.locationId });
+    if (!location) return null;
+
+    // Get the Discord channel for this location
+    const guild = this.client.guilds.cache.first();
+    const channel = await guild.channels.fetch(location.channelId).catch(() => null);
+    if (!channel) return null;
+
+    return {
+      id: location.channelId,
+      name: location.name,
+      channel: channel,
+      description: location.description,
+      imageUrl: location.imageUrl
+    };
   }
 
+  // Without a location, any avatar by that name matches
   async findAvatarInArea(avatarName, location) {
-    const client = new MongoClient(process.env.MONGO_URI);
-    try {
-      await client.connect();
-      const db = client.db('cosyworld2');
-      const avatar = await db.collection('avatars')
-        .findOne({ 
-          name: new RegExp(avatarName, 'i'),
-          locationId: location?.locationId
-        });
-      return avatar;
-    } finally {
-      await client.close();
-    }
+    const avatar = await this.db.collection('avatars')
+      .findOne({ 
+        name: new RegExp(escapeRegExp(avatarName), 'i'),
+        ...(location?.id ? { channelId: location.id } : {})
+      });
+    return avatar;
   }
 
   async updateAvatarStats(avatarId, stats) {
-    const client = new MongoClient(process.env.MONGO_URI);
-    try {
-      await client.connect();
-      const db = client.db(process.env.MONGO_DB_NAME);
-
-      if ('ObjectId' !== avatarId.__proto__.constructor.name) {
-        console.warn('string format detected')
-      }
-      delete stats._id;
-      await db.collection('dungeon_stats').updateOne(
-        { avatarId },
-        { $set: stats },
-        { upsert: true }
-      );
-    } finally {
-      await client.close();
+    if ('ObjectId' !== avatarId.__proto__.constructor.name) {
+      console.warn('string format detected')
     }
+    // Only base stats are stored; effects are applied when they are read
+    delete stats._id;
+    delete stats.effects;
+    delete stats.stunnedUntil;
+    // Any change to hp restarts the regeneration clock
+    if ('hp' in stats && !('regenAt' in stats)) {
+      stats.regenAt = Date.now();
+    }
+    await this.db.collection('dungeon_stats').updateOne(
+      { avatarId },
+      { $set: stats },
+      { upsert: true }
+    );
   }
 
   async findLocation(destination) {
-    const client = new MongoClient(process.env.MONGO_URI);
-    try {
-      await client.connect();
-      const db = client.db(process.env.MONGO_DB_NAME);
-      return await db.collection('dungeon_locations').findOne({
-        $or: [
-          { id: destination },
-          { name: { $regex: new RegExp(destination, 'i') } }
-        ]
-      });
-    } finally {
-      await client.close();
-    }
+    return await this.db.collection('dungeon_locations').findOne({
+      $or: [
+        { id: destination },
+        { name: { $regex: new RegExp(destination, 'i') } }
+      ]
+    });
   }
 
   async updateAvatarPosition(avatarId, newLocationId) {
-    const client = new MongoClient(process.env.MONGO_URI);
-    try {
-      await client.connect();
-      const db = client.db(process.env.MONGO_DB_NAME);
-      
-      // Update position
-      await db.collection('dungeon_positions').updateOne(
-        { avatarId: avatarId },
-        { 
-          $set: { 
-            locationId: newLocationId,
-            lastUpdated: new Date()
-          }
-        },
-        { upsert: true }
-      );
-
-      // Emit event for tracking
-      this.client.emit('avatarMoved', {
-        avatarId,
-        newChannelId: newLocationId,
-        temporary: false
-      });
+    // Update position
+    await this.db.collection('dungeon_positions').updateOne(
+      { avatarId: avatarId },
+      { 
+        $set: { 
+          locationId: newLocationId,
+          lastUpdated: new Date()
+        }
+      },
+      { upsert: true }
+    );
 
-    } finally {
-      await client.close();
+    // Emit event for tracking
+    this.client.emit('avatarMoved', {
+      avatarId,
+      newChannelId: newLocationId,
+      temporary: false
+    });
+  }
+
+  // Moves an avatar's position and its home channel together
+  async moveAvatar(avatarId, locationId) {
+    await this.updateAvatarPosition(avatarId, locationId);
+    const avatar = await this.db.collection('avatars').findOne({ _id: avatarId });
+    if (avatar) {
+      avatar.channelId = locationId;
+      await this.avatarService.updateAvatar(avatar);
     }
   }
 
+  async getBaseStats(avatarId) {
+    const stats = await this.db.collection('dungeon_stats').findOne({ $or: [ { avatarId }, { avatarId: avatarId.toString() } ] });
+    return { ...this.defaultStats, ...stats, avatarId: stats?.avatarId ?? avatarId };
+  }
+
+  // Base stats with active effects applied; damage and healing over time are settled first
   async getAvatarStats(avatarId) {
-    const client = new MongoClient(process.env.MONGO_URI);
-    try {
-      await client.connect();
-      const db = client.db(process.env.MONGO_DB_NAME);
-      const stats = await db.collection('dungeon_stats').findOne({ $or: [ { avatarId }, { avatarId: avatarId.toString() } ] });
-      return stats || { ...this.defaultStats, avatarId };
-    } finally {
-      await client.close();
+    const stats = await this.getBaseStats(avatarId);
+    await this.regeneration.settle(stats);
+
+    const hpDelta = await this.effects.settle(stats.avatarId);
+    if (hpDelta) {
+      stats.hp = Math.min(stats.maxHp, Math.max(1, stats.hp + hpDelta));
+      await this.updateAvatarStats(stats.avatarId, { hp: stats.hp });
     }
+
+    const effects = await this.effects.getActiveEffects(stats.avatarId);
+    return {
+      ...this.effects.applyEffects(stats, effects),
+      ...describeActionPoints(stats),
+      coins: await this.economy.getBalance(stats.avatarId),
+      nextLevelXp: this.progression.xpForLevel(stats.level + 1)
+    };
   }
 
   async getAvatar(avatarId) {
-    const client = new MongoClient(process.env.MONGO_URI);
     try {
-      await client.connect();
-      const db = client.db(process.env.MONGO_DB_NAME);
-
       // If not found, try direct database lookup
-      const avatar = await db.collection('avatars').findOne({ _id: avatarId });
+      const avatar = await this.db.collection('avatars').findOne({ _id: avatarId });
       if (avatar) {
         return avatar;
       }
@@ -311,17 +479,18 @@ export class DungeonService {
     } catch (error) {
       this.logger?.error(`Error getting avatar: ${error.message}`);
       throw error; // Re-throw to handle in MoveTool
-    } finally {
-      await client.close();
     }
   }
 
-  // Update to accept locationId parameter
-  async initializeAvatar(avatarId, locationId) {
-    await this.updateAvatarStats(avatarId, this.defaultStats);
+  // New avatars passed in roll their starting stats; anyone else gets the defaults
+  async initializeAvatar(avatarId, locationId, avatar = null) {
+    const stats = avatar
+      ? { ...this.defaultStats, ...await this.startingStats.roll(avatar) }
+      : { ...this.defaultStats };
+    await this.updateAvatarStats(avatarId, { ...stats });
     if (locationId) {
       await this.updateAvatarPosition(avatarId, locationId);
     }
-    return this.defaultStats;
+    return stats;
   }
 }
\ No newline at end of file
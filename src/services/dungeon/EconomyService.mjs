@@ -0,0 +1,257 @@
+import economy from '../../economy.config.mjs';
+import { rngService } from '../rngService.mjs';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const sameId = (a, b) => `${a}` === `${b}`;
+
+/**
+ * Coins and the merchants who take them.
+ *
+ * `wallets` holds {ownerId, coins, lastDailyAt} for avatars and Discord users,
+ * `shops` holds each merchant location's stock, and `ledger` records every coin that
+ * changes hands: {type (buy, sell, pay, trade or reward), fromId, fromName, toId, toName, amount, itemKey, reason, locationId, correlationId, timestamp}.
+ * Merchants restock from the item spawn table on the `merchants.restock` cron schedule.
+ */
+export class EconomyService {
+  constructor(dungeonService, config = economy) {
+    this.dungeonService = dungeonService;
+    this.logger = dungeonService.logger;
+    this.config = config;
+    this.rewards = config.rewards;
+  }
+
+  get db() {
+    return this.dungeonService.db;
+  }
+
+  async initializeDatabase() {
+    await this.db.collection('wallets').createIndex({ ownerId: 1 }, { unique: true });
+    await this.db.collection('wallets').createIndex({ coins: -1 });
+    await this.db.collection('shops').createIndex({ locationId: 1 }, { unique: true });
+    await this.db.collection('ledger').createIndex({ timestamp: -1 });
+    await this.db.collection('ledger').createIndex({ fromId: 1, timestamp: -1 });
+    await this.db.collection('ledger').createIndex({ toId: 1, timestamp: -1 });
+  }
+
+  formatCoins(amount) {
+    return `${this.config.currency.emoji} ${amount} ${this.config.currency.name}`;
+  }
+
+  async getBalance(ownerId) {
+    const wallet = await this.db.collection('wallets').findOne({ ownerId });
+    return wallet?.coins || 0;
+  }
+
+  // `session` lets trades move coins inside a transaction
+  async credit(ownerId, amount, { session } = {}) {
+    await this.db.collection('wallets').updateOne({ ownerId }, { $inc: { coins: amount } }, { upsert: true, session });
+  }
+
+  /**
+   * Takes coins from a wallet.
+   * @returns {Promise<boolean>} - False if the owner can't afford it.
+   */
+  async debit(ownerId, amount, { session } = {}) {
+    const result = await this.db.collection('wallets').updateOne(
+      { ownerId, coins: { $gte: amount } },
+      { $inc: { coins: -amount } },
+      { session }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  // Writes a ledger entry, tied to the dungeon events of the action that caused it
+  async record(entry, { session } = {}) {
+    await this.db.collection('ledger').insertOne({
+      type: entry.type,
+      fromId: entry.from?.id ?? null,
+      fromName: entry.from?.name ?? null,
+      toId: entry.to?.id ?? null,
+      toName: entry.to?.name ?? null,
+      amount: entry.amount,
+      itemKey: entry.itemKey ?? null,
+      reason: entry.reason ?? null,
+      locationId: entry.locationId ?? null,
+      correlationId: this.dungeonService.dungeonLog.context.getStore()?.correlationId ?? null,
+      timestamp: Date.now(),
+    }, { session });
+  }
+
+  /**
+   * Pays coins out of nowhere, for fights, quests and showing up.
+   * @param {{id: *, name: string}} recipient
+   * @returns {Promise<number>} - The amount paid.
+   */
+  async reward(recipient, amount, reason, locationId = null) {
+    if (!amount) return 0;
+    await this.credit(recipient.id, amount);
+    await this.record({ type: 'reward', to: recipient, amount, reason, locationId });
+    return amount;
+  }
+
+  /**
+   * Pays the daily allowance the first time an owner acts each (UTC) day.
+   * @returns {Promise<string|null>} - A line announcing it, or null if already paid today.
+   */
+  async payDaily(recipient, locationId) {
+    const wallets = this.db.collection('wallets');
+    const today = Math.floor(Date.now() / DAY) * DAY;
+    await wallets.updateOne({ ownerId: recipient.id }, { $setOnInsert: { coins: 0 } }, { upsert: true });
+    const paid = await wallets.updateOne(
+      { ownerId: recipient.id, $or: [{ lastDailyAt: { $exists: false } }, { lastDailyAt: { $lt: today } }] },
+      { $set: { lastDailyAt: Date.now() }, $inc: { coins: this.rewards.daily } }
+    );
+    if (!paid.modifiedCount) return null;
+
+    await this.record({ type: 'reward', to: recipient, amount: this.rewards.daily, reason: 'daily', locationId });
+    return `☀️ ${recipient.name} collects a daily ${this.formatCoins(this.rewards.daily)}.`;
+  }
+
+  /**
+   * Moves coins from one owner to another.
+   */
+  async pay(payer, payee, amount, locationId) {
+    if (!Number.isInteger(amount) || amount <= 0) return '🤔 Pay how much? Use a whole number of coins.';
+    if (sameId(payer.id, payee.id)) return `🤔 ${payer.name} shuffles coins from one pocket to the other.`;
+    if (!await this.debit(payer.id, amount)) {
+      return `💸 ${payer.name} can't afford that (${this.formatCoins(await this.getBalance(payer.id))}).`;
+    }
+
+    await this.credit(payee.id, amount);
+    await this.record({ type: 'pay', from: payer, to: payee, amount, locationId });
+    return `💰 ${payer.name} pays ${this.formatCoins(amount)} to ${payee.name}.`;
+  }
+
+  isMerchant(location) {
+    if (!location) return false;
+    if (location.merchant) return true;
+    const name = `${location.name || ''}`.toLowerCase();
+    return this.config.merchants.keywords.some(keyword => name.includes(keyword));
+  }
+
+  // Charming buyers haggle the price down
+  priceOf(item, charisma = 5) {
+    const price = this.config.prices[item.rarity] ?? this.config.prices.common;
+    const { perCharisma, maxDiscount } = this.config.haggle;
+    const discount = Math.min(maxDiscount, Math.max(0, (charisma - 5) * perCharisma));
+    return Math.max(1, Math.round(price * (1 - discount)));
+  }
+
+  sellPriceOf(item) {
+    return Math.max(1, Math.floor(this.priceOf(item) * this.config.sellRate));
+  }
+
+  /**
+   * The merchant's stock in a location, stocked on the first visit.
+   * @returns {Promise<{location: object, stock: Array<{itemKey: string, quantity: number, item: object}>}|null>} - Null if nobody trades here.
+   */
+  async getShop(locationId) {
+    const location = await this.db.collection('locations').findOne({ channelId: locationId });
+    if (!this.isMerchant(location)) return null;
+
+    const shops = this.db.collection('shops');
+    let shop = await shops.findOne({ locationId });
+    if (!shop) {
+      shop = { locationId, stock: this.rollStock([]), restockedAt: Date.now() };
+      await shops.updateOne({ locationId }, { $set: shop }, { upsert: true });
+    }
+
+    const stock = await this.dungeonService.items.withDefinitions(shop.stock.filter(entry => entry.quantity > 0));
+    return { location, stock };
+  }
+
+  async scheduleRestock() {
+    await this.dungeonService.scheduler?.every('merchant-restock', this.config.merchants.restock, async () => {
+      const shops = await this.db.collection('shops').find({}).toArray();
+      await Promise.all(shops.map(shop => this.db.collection('shops').updateOne(
+        { _id: shop._id },
+        { $set: { stock: this.rollStock(shop.stock), restockedAt: Date.now() } }
+      )));
+      this.logger.info(`🛒 ${shops.length} merchants restocked`);
+    });
+  }
+
+  // Fresh wares from the spawn table; whatever was sold to the merchant stays on the shelf
+  rollStock(stock, random = rngService.stream('merchants').random) {
+    const { items } = this.dungeonService;
+    const restocked = stock.filter(entry => entry.quantity > 0).map(entry => ({ ...entry }));
+    for (let i = 0; i < this.config.merchants.stockSize * 3 && restocked.length < this.config.merchants.stockSize; i++) {
+      const item = items.pickSpawnItem(random);
+      if (!restocked.some(entry => entry.itemKey === item.key)) {
+        restocked.push({ itemKey: item.key, quantity: 1 + Math.floor(random() * 3) });
+      }
+    }
+    return restocked;
+  }
+
+  describeShop(shop) {
+    const { items } = this.dungeonService;
+    const wares = shop.stock.length
+      ? shop.stock.map(entry => `${items.formatItem(entry.item, entry.quantity)} for ${this.formatCoins(this.priceOf(entry.item))}`).join(', ')
+      : 'nothing right now';
+    return `🛒 The merchant of ${shop.location.name} sells ${wares}.`;
+  }
+
+  /**
+   * Buys an item from the merchant here.
+   * @returns {Promise<string|{message: string, outcome: object}>}
+   */
+  async buy(buyer, query, locationId) {
+    const shop = await this.getShop(locationId);
+    if (!shop) return '🫠 Nobody is selling anything here. Find a market or shop.';
+    if (!query) return this.describeShop(shop);
+
+    const { items } = this.dungeonService;
+    const item = await items.findItem(query);
+    const entry = item && shop.stock.find(e => e.itemKey === item.key);
+    if (!entry) return `🫠 The merchant has no ${query}. ${this.describeShop(shop)}`;
+
+    const { charisma } = await this.dungeonService.getAvatarStats(buyer.id);
+    const price = this.priceOf(item, charisma);
+    if (!await this.debit(buyer.id, price)) {
+      return `💸 ${item.name} costs ${this.formatCoins(price)}; ${buyer.name} has ${this.formatCoins(await this.getBalance(buyer.id))}.`;
+    }
+    const taken = await this.db.collection('shops').updateOne(
+      { locationId, stock: { $elemMatch: { itemKey: item.key, quantity: { $gte: 1 } } } },
+      { $inc: { 'stock.$.quantity': -1 } }
+    );
+    if (!taken.modifiedCount) {
+      await this.credit(buyer.id, price);
+      return `🫠 Someone else just bought the last ${item.name}.`;
+    }
+
+    await items.addItem(buyer.id, item.key);
+    const merchant = { id: locationId, name: shop.location.name };
+    await this.record({ type: 'buy', from: buyer, to: merchant, amount: price, itemKey: item.key, locationId });
+    return {
+      message: `🛍️ ${buyer.name} buys ${items.formatItem(item)} for ${this.formatCoins(price)}.`,
+      outcome: { bought: item },
+    };
+  }
+
+  /**
+   * Sells an item to the merchant here, who puts it on the shelf.
+   */
+  async sell(seller, query, locationId) {
+    const shop = await this.getShop(locationId);
+    if (!shop) return '🫠 Nobody is buying anything here. Find a market or shop.';
+
+    const { items } = this.dungeonService;
+    const item = await items.findItem(query);
+    if (!item) return `🫠 No such item: ${query}.`;
+    if (!await items.removeItem(seller.id, item.key)) return `🫠 ${seller.name} isn't carrying ${item.name}.`;
+
+    const price = this.sellPriceOf(item);
+    await this.credit(seller.id, price);
+    const shops = this.db.collection('shops');
+    const stocked = await shops.updateOne({ locationId, 'stock.itemKey': item.key }, { $inc: { 'stock.$.quantity': 1 } });
+    if (!stocked.modifiedCount) {
+      await shops.updateOne({ locationId }, { $push: { stock: { itemKey: item.key, quantity: 1 } } });
+    }
+
+    const merchant = { id: locationId, name: shop.location.name };
+    await this.record({ type: 'sell', from: merchant, to: seller, amount: price, itemKey: item.key, locationId });
+    return `💰 ${seller.name} sells ${items.formatItem(item)} for ${this.formatCoins(price)}.`;
+  }
+}
@@ -0,0 +1,184 @@
+// Timed status effects on dungeon stats, stored in the `dungeon_effects` collection.
+//
+// buff / debuff  raise or lower `stat` by `amount` while active
+// poison         deals `amount` damage every `tickMs` (never below 1 hp)
+// regeneration   heals `amount` every `tickMs` (up to maxHp)
+// stun           the avatar cannot act until it expires
+//
+// Damage and healing over time are settled when stats are read, so nothing needs a timer.
+
+export const EFFECT_EMOJIS = {
+  buff: '⬆️',
+  debuff: '⬇️',
+  poison: '🧪',
+  stun: '💫',
+  regeneration: '💚',
+};
+
+const TICKING = ['poison', 'regeneration'];
+const DEFAULT_TICK = 60 * 1000; // 1 minute
+const DEFAULT_MAX_STACKS = 3;
+
+export class EffectService {
+  constructor(logger, db) {
+    this.logger = logger;
+    this.db = db;
+  }
+
+  get collection() {
+    return this.db.collection('dungeon_effects');
+  }
+
+  async initializeDatabase() {
+    await this.collection.createIndex({ avatarId: 1, expiresAt: 1 });
+  }
+
+  /**
+   * Applies an effect to an avatar.
+   * Effects from the same source with the same type and stat follow the stacking rule:
+   * `refresh` (default) replaces the existing effect, `stack` adds another up to maxStacks,
+   * and `ignore` keeps the existing effect.
+   * @param {*} avatarId
+   * @param {object} effect - type, stat, amount, durationMs, source, sourceId, stacking, maxStacks, tickMs.
+   * @returns {Promise<object|null>} - The stored effect, or null if it was ignored.
+   */
+  async addEffect(avatarId, effect) {
+    const now = Date.now();
+    const {
+      type,
+      stat = null,
+      amount = 0,
+      durationMs = 60 * 1000,
+      source = 'unknown',
+      sourceId = null,
+      stacking = 'refresh',
+      maxStacks = DEFAULT_MAX_STACKS,
+      tickMs = DEFAULT_TICK,
+    } = effect;
+
+    if (!EFFECT_EMOJIS[type]) {
+      throw new Error(`Unknown effect type: ${type}`);
+    }
+
+    const key = { avatarId, type, stat, source };
+    const doc = {
+      ...key,
+      amount,
+      sourceId,
+      stacking,
+      tickMs: TICKING.includes(type) ? tickMs : null,
+      createdAt: now,
+      lastTickAt: now,
+      expiresAt: now + durationMs,
+    };
+
+    const existing = await this.collection
+      .find({ ...key, expiresAt: { $gt: now } })
+      .sort({ expiresAt: 1 })
+      .toArray();
+
+    if (existing.length && stacking === 'ignore') {
+      return null;
+    }
+
+    if (existing.length && (stacking === 'refresh' || existing.length >= maxStacks)) {
+      // Replace the effect closest to expiring
+      const target = existing[0];
+      await this.collection.updateOne({ _id: target._id }, { $set: { amount, sourceId, expiresAt: doc.expiresAt } });
+      return { ...target, amount, sourceId, expiresAt: doc.expiresAt };
+    }
+
+    const result = await this.collection.insertOne(doc);
+    return { ...doc, _id: result.insertedId };
+  }
+
+  async getActiveEffects(avatarId, now = Date.now()) {
+    return this.collection
+      .find({ avatarId, expiresAt: { $gt: now } })
+      .sort({ expiresAt: 1 })
+      .toArray();
+  }
+
+  async clearEffects(avatarId) {
+    await this.collection.deleteMany({ avatarId });
+  }
+
+  /**
+   * Settles poison and regeneration ticks that have passed and removes expired effects.
+   * @returns {Promise<number>} - The net hp change to apply to base stats.
+   */
+  async settle(avatarId, now = Date.now()) {
+    const ticking = await this.collection
+      .find({ avatarId, type: { $in: TICKING } })
+      .toArray();
+
+    let hpDelta = 0;
+    for (const effect of ticking) {
+      const until = Math.min(now, effect.expiresAt);
+      const ticks = Math.floor((until - effect.lastTickAt) / effect.tickMs);
+      if (ticks <= 0) continue;
+
+      // Only the process that moves lastTickAt forward applies the ticks
+      const result = await this.collection.updateOne(
+        { _id: effect._id, lastTickAt: effect.lastTickAt },
+        { $set: { lastTickAt: effect.lastTickAt + ticks * effect.tickMs } }
+      );
+      if (result.modifiedCount) {
+        hpDelta += (effect.type === 'poison' ? -1 : 1) * ticks * effect.amount;
+      }
+    }
+
+    await this.collection.deleteMany({ avatarId, expiresAt: { $lte: now } });
+    return hpDelta;
+  }
+
+  /**
+   * Applies active effects to base stats without changing them.
+   * @param {object} stats - Base stats.
+   * @param {Array} effects - Active effects.
+   * @returns {object} - Effective stats with an `effects` summary and `stunnedUntil`.
+   */
+  applyEffects(stats, effects) {
+    const result = { ...stats, effects: [], stunnedUntil: null };
+
+    for (const effect of effects) {
+      if (effect.type === 'buff' && effect.stat in result) {
+        result[effect.stat] += effect.amount;
+      } else if (effect.type === 'debuff' && effect.stat in result) {
+        result[effect.stat] = Math.max(0, result[effect.stat] - effect.amount);
+      } else if (effect.type === 'stun') {
+        result.stunnedUntil = Math.max(result.stunnedUntil || 0, effect.expiresAt);
+      }
+
+      result.effects.push({
+        type: effect.type,
+        stat: effect.stat,
+        amount: effect.amount,
+        source: effect.source,
+        expiresAt: effect.expiresAt,
+      });
+    }
+
+    return result;
+  }
+}
+
+/**
+ * One line describing an active effect, for embeds and prompts.
+ * @param {object} effect
+ * @returns {string}
+ */
+export function describeEffect(effect) {
+  const emoji = EFFECT_EMOJIS[effect.type] || '✨';
+  const remaining = `<t:${Math.floor(effect.expiresAt / 1000)}:R>`;
+  switch (effect.type) {
+    case 'buff':
+      return `${emoji} +${effect.amount} ${effect.stat} (${effect.source}) ends ${remaining}`;
+    case 'debuff':
+      return `${emoji} -${effect.amount} ${effect.stat} (${effect.source}) ends ${remaining}`;
+    case 'stun':
+      return `${emoji} stunned (${effect.source}) ends ${remaining}`;
+    default:
+      return `${emoji} ${effect.type} ${effect.amount}/tick (${effect.source}) ends ${remaining}`;
+  }
+}
@@ -0,0 +1,451 @@
+import { ObjectId } from 'mongodb';
+import { createRng } from '../utils/rng.mjs';
+import { rngService } from '../rngService.mjs';
+
+const TURN_TIMEOUT = 2 * 60 * 1000; // a combatant who doesn't act in time retaliates automatically
+const IDLE_TIMEOUT = 10 * 60 * 1000; // encounters with no actions end on their own
+const CRIT_MULTIPLIER = 2;
+const BOUT_MAX_ROUNDS = 20; // arena bouts still undecided by then go to whoever dealt more damage
+const CLAIM_TIMEOUT = 30 * 1000; // an action that hasn't saved by then loses its hold on the encounter
+const CLAIM_ATTEMPTS = 10;
+const CLAIM_RETRY_MS = 300;
+
+const sameId = (a, b) => `${a}` === `${b}`;
+
+/**
+ * Turn-based combat encounters, stored in the `dungeon_encounters` collection.
+ *
+ * Attacking in a channel opens an encounter (or joins the one already there).
+ * Participants act in initiative order; each attack rolls d20 + attack/2 against
+ * 10 + defense/2, with natural 1s missing and natural 20s critting for double damage.
+ * All rolls come from an RNG seeded per encounter and action, so fights can be replayed.
+ * Monsters (participants with a `monsterKey`) act as soon as their turn comes up.
+ * Duels are encounters with a `duel` set: only the duelists fight, and whoever drops
+ * to `duel.yieldHp` yields instead of being knocked out, so no lives are lost.
+ * Party members who are there join a fight alongside their companion and never target each other.
+ * Every write is checked against the `version` it was read at, and an attack claims the encounter
+ * before rolling anything, so two attacks at once can't overwrite each other.
+ */
+export class EncounterService {
+  constructor(dungeonService) {
+    this.dungeonService = dungeonService;
+    this.logger = dungeonService.logger;
+  }
+
+  get collection() {
+    return this.dungeonService.db.collection('dungeon_encounters');
+  }
+
+  async initializeDatabase() {
+    await this.collection.createIndex({ locationId: 1, status: 1 });
+  }
+
+  // Each action gets its own generator, derived from the encounter seed
+  getRng(encounter) {
+    return createRng(`${encounter.seed}:${encounter.actionCount}`);
+  }
+
+  async getActiveEncounter(locationId) {
+    return this.collection.findOne({ locationId, status: 'active' });
+  }
+
+  isClaimed(encounter) {
+    return encounter.claimedUntil > Date.now();
+  }
+
+  /**
+   * Writes the encounter back, unless someone else has written it since it was read.
+   * A claim also holds off other actions until the next write, or until it lapses.
+   * @returns {Promise<boolean>} - Whether the write went through.
+   */
+  async save(encounter, { claim = false } = {}) {
+    const version = encounter.version ?? null;
+    const next = { ...encounter, version: (version ?? 0) + 1, claimedUntil: claim ? Date.now() + CLAIM_TIMEOUT : null };
+    const result = await this.collection.replaceOne({ _id: encounter._id, version }, next, { upsert: true })
+      .catch(() => ({ modifiedCount: 0, upsertedCount: 0 }));
+
+    if (!result.modifiedCount && !result.upsertedCount) return false;
+    Object.assign(encounter, { version: next.version, claimedUntil: next.claimedUntil });
+    return true;
+  }
+
+  async createParticipant({ avatarId, name, monsterKey = null, partyId = null }, rng) {
+    const stats = await this.dungeonService.getAvatarStats(avatarId);
+    return {
+      avatarId,
+      name,
+      monsterKey,
+      partyId,
+      initiative: rng.roll(20) + Math.floor((stats.speed || 0) / 2),
+      status: 'active',
+      damageDealt: 0,
+      damageTaken: 0,
+      lastAttackerId: null,
+    };
+  }
+
+  /**
+   * Opens an encounter in a location, or adds the combatants to the one already there.
+   * @returns {Promise<object|null>} - The encounter, or null if another action has it claimed or wrote it first.
+   */
+  async joinEncounter(locationId, combatants, { duel = null, claim = false } = {}) {
+    let encounter = await this.getActiveEncounter(locationId);
+    if (encounter && this.isClaimed(encounter)) return null;
+
+    if (!encounter) {
+      encounter = {
+        _id: new ObjectId(),
+        locationId,
+        status: 'active',
+        seed: rngService.seed('encounters'),
+        round: 1,
+        turnIndex: 0,
+        actionCount: 0,
+        participants: [],
+        duel,
+        startedAt: Date.now(),
+        turnStartedAt: Date.now(),
+      };
+    }
+
+    const rng = createRng(`${encounter.seed}:join:${encounter.participants.length}`);
+    let joined = false;
+    for (const combatant of combatants) {
+      if (encounter.participants.some(p => sameId(p.avatarId, combatant.avatarId))) continue;
+      encounter.participants.push(await this.createParticipant(combatant, rng));
+      joined = true;
+    }
+
+    if (!encounter.actionCount && joined) {
+      // The opening order is sorted by initiative; latecomers act at the end of the round
+      encounter.participants.sort((a, b) => b.initiative - a.initiative);
+    }
+
+    return await this.save(encounter, { claim }) ? encounter : null;
+  }
+
+  getCurrentParticipant(encounter) {
+    return encounter.participants[encounter.turnIndex];
+  }
+
+  getActiveParticipants(encounter) {
+    return encounter.participants.filter(p => p.status === 'active');
+  }
+
+  // Monsters don't fight each other, and neither do companions
+  isOpponent(a, b) {
+    if (sameId(a.avatarId, b.avatarId) || (a.monsterKey && b.monsterKey)) return false;
+    return !(a.partyId && sameId(a.partyId, b.partyId));
+  }
+
+  hasOpponents(participants) {
+    return participants.some(a => participants.some(b => this.isOpponent(a, b)));
+  }
+
+  // Over once nobody left standing has anyone to fight
+  isOver(encounter) {
+    return !this.hasOpponents(this.getActiveParticipants(encounter));
+  }
+
+  advanceTurn(encounter) {
+    const count = encounter.participants.length;
+    for (let i = 0; i < count; i++) {
+      encounter.turnIndex += 1;
+      if (encounter.turnIndex >= count) {
+        encounter.turnIndex = 0;
+        encounter.round += 1;
+      }
+      if (encounter.participants[encounter.turnIndex].status === 'active') break;
+    }
+    encounter.turnStartedAt = Date.now();
+  }
+
+  /**
+   * Resolves one attack roll and applies the damage.
+   * @returns {Promise<string>} - What happened.
+   */
+  async resolveAttack(encounter, attacker, defender) {
+    const rng = this.getRng(encounter);
+    encounter.actionCount += 1;
+
+    const [attackerStats, defenderStats] = await Promise.all([
+      this.dungeonService.getAvatarStats(attacker.avatarId),
+      this.dungeonService.getAvatarStats(defender.avatarId),
+    ]);
+
+    const roll = rng.roll(20);
+    const toHit = roll + Math.floor(attackerStats.attack / 2);
+    const armorClass = 10 + Math.floor(defenderStats.defense / 2);
+    const critical = roll === 20;
+
+    defender.lastAttackerId = attacker.avatarId;
+
+    const outcome = { encounterId: encounter._id, roll, toHit, armorClass, hit: false, critical, damage: 0, hpBefore: defenderStats.hp, hpAfter: defenderStats.hp, knockedOut: false };
+
+    if (roll === 1 || (!critical && toHit < armorClass)) {
+      return this.logAttack(encounter, attacker, defender, outcome, `💨 ${attacker.name} swings at ${defender.name} and misses! (🎲 ${roll})`, rng.seed);
+    }
+
+    const damageRoll = rng.dice('1d8').total * (critical ? CRIT_MULTIPLIER : 1);
+    const damage = Math.max(1, damageRoll + Math.floor(attackerStats.attack / 4));
+    attacker.damageDealt += damage;
+    defender.damageTaken += damage;
+
+    // Monsters don't level up, and duels are for honour: they pay nothing, or duelists could farm each other
+    const { rewards } = this.dungeonService.progression;
+    if (!attacker.monsterKey && !encounter.duel) {
+      await this.dungeonService.progression.awardXp(attacker.avatarId, rewards.hit, { channelId: encounter.locationId });
+    }
+
+    const hp = defenderStats.hp - damage;
+    const verb = critical ? '💥 CRITICAL HIT!' : '⚔️';
+
+    // Duelists yield at the agreed hp and keep what they have left
+    if (encounter.duel && hp <= encounter.duel.yieldHp) {
+      const left = Math.max(1, hp);
+      defender.status = 'yielded';
+      Object.assign(outcome, { hit: true, damage, hpAfter: left, yielded: true });
+      await this.dungeonService.updateAvatarStats(defender.avatarId, { hp: left });
+      return this.logAttack(encounter, attacker, defender, outcome, `${verb} ${attacker.name} hits ${defender.name} for ${damage} damage! (🎲 ${roll})\n🏳️ ${defender.name} yields to ${attacker.name}!`, rng.seed);
+    }
+
+    Object.assign(outcome, { hit: true, damage, hpAfter: Math.max(0, hp), knockedOut: hp <= 0 });
+
+    if (hp <= 0) {
+      defender.status = 'knocked out';
+      if (!attacker.monsterKey) {
+        await this.dungeonService.progression.awardXp(attacker.avatarId, rewards.knockout, { channelId: encounter.locationId });
+      }
+      if (!attacker.monsterKey && !defender.monsterKey) {
+        const { economy } = this.dungeonService;
+        await economy.reward({ id: attacker.avatarId, name: attacker.name }, economy.rewards.knockout, 'knockout', encounter.locationId);
+      }
+      const avatar = defender.monsterKey ? null : await this.dungeonService.getAvatar(defender.avatarId);
+      let knockout = `💥 ${attacker.name} knocked out ${defender.name}!`;
+      if (defender.monsterKey) {
+        knockout = await this.dungeonService.monsters.handleDefeat(defender.avatarId, attacker, encounter.locationId);
+      } else if (attacker.monsterKey) {
+        // Losing to a monster costs no lives
+        await this.dungeonService.updateAvatarStats(defender.avatarId, { hp: defenderStats.maxHp });
+        await this.dungeonService.effects.clearEffects(defender.avatarId);
+        knockout = `😵 ${defender.name} is knocked out by ${attacker.name} and crawls away to recover.`;
+      } else if (avatar?._id) {
+        knockout = await this.dungeonService.tools.get('attack').handleKnockout({ author: { username: attacker.name }, channel: { id: encounter.locationId } }, avatar, damage);
+      } else {
+        await this.dungeonService.updateAvatarStats(defender.avatarId, { hp: defenderStats.maxHp });
+      }
+      return this.logAttack(encounter, attacker, defender, outcome, `${verb} ${attacker.name} hits ${defender.name} for ${damage} damage! (🎲 ${roll})\n${knockout}`, rng.seed);
+    }
+
+    await this.dungeonService.updateAvatarStats(defender.avatarId, { hp });
+    return this.logAttack(encounter, attacker, defender, outcome, `${verb} ${attacker.name} hits ${defender.name} for ${damage} damage! (🎲 ${roll}, ❣️ ${hp} left)`, rng.seed);
+  }
+
+  // Records an attack roll in the dungeon log and passes its text on
+  async logAttack(encounter, attacker, defender, outcome, result, seed = null) {
+    await this.dungeonService.dungeonLog.logEvent({
+      type: 'attack',
+      seed,
+      tool: 'attack',
+      actorId: attacker.avatarId,
+      actorName: attacker.name,
+      targetId: defender.avatarId,
+      targetName: defender.name,
+      locationId: encounter.locationId,
+      outcome,
+      result,
+    });
+    return result;
+  }
+
+  // Combatants who let their turn time out strike back at whoever hit them last
+  async resolveTimeouts(encounter, actorId) {
+    const results = [];
+    const missed = Math.min(
+      Math.floor((Date.now() - encounter.turnStartedAt) / TURN_TIMEOUT),
+      encounter.participants.length
+    );
+
+    for (let i = 0; i < missed && !this.isOver(encounter); i++) {
+      const current = this.getCurrentParticipant(encounter);
+      if (sameId(current.avatarId, actorId)) break; // they're acting now
+      if (current.monsterKey) {
+        results.push(...await this.resolveMonsterTurns(encounter));
+        continue;
+      }
+
+      const opponents = this.getActiveParticipants(encounter).filter(p => this.isOpponent(current, p));
+      const target = opponents.find(p => sameId(p.avatarId, current.lastAttackerId))
+        || this.getRng(encounter).pick(opponents);
+      results.push(`⏱️ ${current.name} retaliates on instinct!`);
+      results.push(await this.resolveAttack(encounter, current, target));
+      this.advanceTurn(encounter);
+    }
+
+    return results;
+  }
+
+  // Monsters whose turn it is act straight away
+  async resolveMonsterTurns(encounter) {
+    const results = [];
+    for (let i = 0; i < encounter.participants.length && !this.isOver(encounter); i++) {
+      const current = this.getCurrentParticipant(encounter);
+      if (!current.monsterKey || current.status !== 'active') break;
+
+      const result = await this.dungeonService.monsters.takeTurn(encounter, current);
+      if (!result) break;
+      results.push(result);
+      this.advanceTurn(encounter);
+    }
+    return results;
+  }
+
+  /**
+   * Takes an attack action inside the location's encounter, opening one if needed.
+   * Waits a moment for any action already under way there to finish.
+   * @returns {Promise<{message: string, knockedOut: boolean, attacked: boolean}>} - The turn results, whether the attacker
+   *   knocked out the defender, and whether they got to attack at all (it may not be their turn).
+   */
+  async attack(locationId, attacker, defender) {
+    for (let attempt = 1; attempt < CLAIM_ATTEMPTS; attempt++) {
+      const turn = await this.tryAttack(locationId, attacker, defender);
+      if (turn) return turn;
+      await new Promise(resolve => setTimeout(resolve, CLAIM_RETRY_MS));
+    }
+    return await this.tryAttack(locationId, attacker, defender)
+      || { message: `⏳ The fight here is mid-swing. Try !attack again in a moment.`, knockedOut: false, attacked: false };
+  }
+
+  // One go at an attack; null if the encounter couldn't be claimed
+  async tryAttack(locationId, attacker, defender) {
+    let encounter = await this.getActiveEncounter(locationId);
+    if (encounter && this.isClaimed(encounter)) return null;
+    if (encounter && await this.endIfIdle(encounter)) {
+      encounter = null;
+    }
+    if (encounter?.duel && ![attacker, defender].every(c => encounter.duel.duelists.some(id => sameId(id, c.avatarId)))) {
+      return { message: `🤺 A duel is under way here between ${encounter.participants.map(p => p.name).join(' and ')}. Wait for it to end!`, knockedOut: false, attacked: false };
+    }
+
+    // Companions on either side who are here join in
+    const { parties } = this.dungeonService;
+    const [attackers, defenders] = encounter?.duel
+      ? [[attacker], [defender]]
+      : await Promise.all([attacker, defender].map(combatant => parties.rally(combatant, locationId)));
+    if (attackers.some(ally => sameId(ally.avatarId, defender.avatarId))) {
+      return { message: `🤝 ${attacker.name} won't turn on a companion.`, knockedOut: false, attacked: false };
+    }
+
+    encounter = await this.joinEncounter(locationId, [...attackers, ...defenders], { claim: true });
+    if (!encounter) return null;
+
+    const results = await this.resolveTimeouts(encounter, attacker.avatarId);
+    results.push(...await this.resolveMonsterTurns(encounter));
+
+    const self = encounter.participants.find(p => sameId(p.avatarId, attacker.avatarId));
+    const target = encounter.participants.find(p => sameId(p.avatarId, defender.avatarId));
+    let knockedOut = false;
+    let attacked = false;
+
+    if (this.isOver(encounter) || self.status !== 'active' || target.status !== 'active') {
+      results.push(self.status !== 'active' ? `😵 ${self.name} is in no shape to fight.` : `🫠 ${target.name} is no longer fighting.`);
+    } else if (!sameId(this.getCurrentParticipant(encounter).avatarId, attacker.avatarId)) {
+      results.push(`⏳ It's ${this.getCurrentParticipant(encounter).name}'s turn. Wait for your turn!`);
+    } else {
+      results.push(await this.resolveAttack(encounter, self, target));
+      attacked = true;
+      knockedOut = target.status === 'knocked out'; // a duelist who yields isn't defeated
+      this.advanceTurn(encounter);
+      results.push(...await this.resolveMonsterTurns(encounter));
+    }
+
+    if (this.isOver(encounter)) {
+      results.push(await this.endEncounter(encounter, 'one side remains standing') ?? '');
+    } else {
+      if (!await this.save(encounter)) {
+        this.logger.warn(`Encounter ${encounter._id} was taken over before its attack was saved`);
+      }
+      results.push(`🔔 Round ${encounter.round}: ${this.getCurrentParticipant(encounter).name} is up next.`);
+    }
+
+    return { message: results.join('\n'), knockedOut, attacked };
+  }
+
+  /**
+   * Ends an encounter nobody has acted in for a while.
+   * @returns {Promise<string|null>} - The summary, or null if it is still going.
+   */
+  async endIfIdle(encounter) {
+    if (this.isClaimed(encounter) || Date.now() - encounter.turnStartedAt <= IDLE_TIMEOUT) return null;
+    return this.endEncounter(encounter, 'the fighters lost interest');
+  }
+
+  /**
+   * Fights an encounter out without waiting for anyone, as arena bouts do.
+   * @returns {Promise<{log: string[], summary: string, encounter: object}>}
+   */
+  async fightOut(encounter) {
+    const log = [];
+    while (!this.isOver(encounter) && encounter.round <= BOUT_MAX_ROUNDS) {
+      const current = this.getCurrentParticipant(encounter);
+      const target = this.getActiveParticipants(encounter).find(p => this.isOpponent(current, p));
+      log.push(await this.resolveAttack(encounter, current, target));
+      this.advanceTurn(encounter);
+    }
+
+    const summary = await this.endEncounter(encounter, this.isOver(encounter) ? 'one side remains standing' : 'time ran out');
+    return { log, summary, encounter };
+  }
+
+  /**
+   * Ends an encounter and writes its summary to the dungeon log.
+   * @returns {Promise<string|null>} - The summary, or null if someone else wrote the encounter first.
+   */
+  async endEncounter(encounter, reason) {
+    const ended = { ...encounter, status: 'ended', endedAt: Date.now() };
+
+    const standing = this.getActiveParticipants(encounter);
+    const lines = encounter.participants.map(p =>
+      `${p.status === 'active' ? '🏅' : '💫'} ${p.name}: dealt ${p.damageDealt}, took ${p.damageTaken}`
+    );
+    // Whoever is left wins, unless they still had each other to fight
+    const winners = standing.length && !this.hasOpponents(standing) ? standing : [];
+    const winner = winners.length === 1
+      ? ` ${winners[0].name} wins!`
+      : winners.length ? ` ${winners.map(p => p.name).join(', ')} win!` : '';
+    const summary = `🏁 The fight ends after ${encounter.round} round(s), ${reason}.${winner}\n${lines.join('\n')}`;
+
+    if (!await this.save(Object.assign(ended, { summary }))) return null;
+    Object.assign(encounter, ended);
+    if (encounter.participants.length > 1 && !encounter.duel) {
+      const { progression, economy } = this.dungeonService;
+      for (const p of winners.filter(p => !p.monsterKey)) {
+        await progression.awardXp(p.avatarId, progression.rewards.victory, { channelId: encounter.locationId });
+        await economy.reward({ id: p.avatarId, name: p.name }, economy.rewards.victory, 'victory', encounter.locationId);
+      }
+    }
+    await this.dungeonService.dungeonLog.logEvent({
+      type: 'encounter_end',
+      seed: encounter.seed,
+      targetId: winners.length === 1 ? winners[0].avatarId : null,
+      targetName: winners.length === 1 ? winners[0].name : null,
+      locationId: encounter.locationId,
+      outcome: {
+        encounterId: encounter._id,
+        seed: encounter.seed,
+        rounds: encounter.round,
+        reason,
+        winnerIds: winners.map(p => p.avatarId),
+        participants: encounter.participants.map(({ avatarId, name, status, damageDealt, damageTaken }) =>
+          ({ avatarId, name, status, damageDealt, damageTaken })),
+      },
+      result: summary,
+    });
+    // Arena bouts are settled by their tournament instead
+    if (encounter.duel?.id) {
+      await this.dungeonService.duels.recordResult(encounter, winners.length === 1 ? winners[0] : null);
+    }
+
+    return summary;
+  }
+}
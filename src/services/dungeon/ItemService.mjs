@@ -0,0 +1,149 @@
+import itemDefinitions from '../../items.config.mjs';
+import { rngService } from '../rngService.mjs';
+
+// Commands that need an item in the issuer's inventory, e.g. "attack,breed,summon"; none by default
+const GATED_COMMANDS = (process.env.ITEM_GATED_COMMANDS ?? '')
+  .split(',')
+  .map(command => command.trim().toLowerCase())
+  .filter(Boolean);
+
+const normalize = text => `${text}`.trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+/**
+ * Items and who holds them.
+ *
+ * `items` holds the definitions (seeded from items.config.mjs),
+ * `inventories` holds {ownerId, itemKey, quantity} for avatars and Discord users,
+ * and `location_items` holds what is lying around in each channel.
+ */
+export class ItemService {
+  constructor(logger, db) {
+    this.logger = logger;
+    this.db = db;
+    this.definitions = itemDefinitions;
+  }
+
+  async initializeDatabase() {
+    await this.db.collection('items').createIndex({ key: 1 }, { unique: true });
+    await this.db.collection('inventories').createIndex({ ownerId: 1, itemKey: 1 }, { unique: true });
+    await this.db.collection('location_items').createIndex({ locationId: 1, itemKey: 1 }, { unique: true });
+
+    await Promise.all(this.definitions.map(item =>
+      this.db.collection('items').updateOne({ key: item.key }, { $set: item }, { upsert: true })
+    ));
+  }
+
+  /**
+   * Finds an item definition by key or name.
+   * @param {string} query
+   * @returns {Promise<object|null>}
+   */
+  async findItem(query) {
+    if (!query) return null;
+    const key = normalize(query);
+    const items = await this.db.collection('items').find({}).toArray();
+    return items.find(item => item.key === key || normalize(item.name) === key) || null;
+  }
+
+  /**
+   * Saves a new item definition, such as a crafted item. An item with the same key is kept as it is.
+   * @returns {Promise<object>} - The stored definition.
+   */
+  async defineItem(item) {
+    await this.db.collection('items').updateOne({ key: item.key }, { $setOnInsert: item }, { upsert: true });
+    return this.db.collection('items').findOne({ key: item.key });
+  }
+
+  formatItem(item, quantity = 1) {
+    return `${item.emoji || '📦'} ${item.name}${quantity > 1 ? ` x${quantity}` : ''}`;
+  }
+
+  async withDefinitions(entries) {
+    const items = await this.db.collection('items')
+      .find({ key: { $in: entries.map(entry => entry.itemKey) } })
+      .toArray();
+    return entries
+      .map(entry => ({ ...entry, item: items.find(item => item.key === entry.itemKey) }))
+      .filter(entry => entry.item);
+  }
+
+  async getInventory(ownerId) {
+    const entries = await this.db.collection('inventories')
+      .find({ ownerId, quantity: { $gt: 0 } })
+      .toArray();
+    return this.withDefinitions(entries);
+  }
+
+  async hasItem(ownerId, itemKey) {
+    return Boolean(await this.db.collection('inventories')
+      .findOne({ ownerId, itemKey, quantity: { $gt: 0 } }));
+  }
+
+  // `session` lets trades move items inside a transaction
+  async addItem(ownerId, itemKey, quantity = 1, { session } = {}) {
+    await this.db.collection('inventories').updateOne(
+      { ownerId, itemKey },
+      { $inc: { quantity } },
+      { upsert: true, session }
+    );
+  }
+
+  /**
+   * Takes items out of an inventory.
+   * @returns {Promise<boolean>} - False if the owner doesn't hold enough.
+   */
+  async removeItem(ownerId, itemKey, quantity = 1, { session } = {}) {
+    const result = await this.db.collection('inventories').updateOne(
+      { ownerId, itemKey, quantity: { $gte: quantity } },
+      { $inc: { quantity: -quantity } },
+      { session }
+    );
+    await this.db.collection('inventories').deleteMany({ ownerId, quantity: { $lte: 0 } }, { session });
+    return result.modifiedCount > 0;
+  }
+
+  async getLocationItems(locationId) {
+    const entries = await this.db.collection('location_items')
+      .find({ locationId, quantity: { $gt: 0 } })
+      .toArray();
+    return this.withDefinitions(entries);
+  }
+
+  async addLocationItem(locationId, itemKey, quantity = 1) {
+    await this.db.collection('location_items').updateOne(
+      { locationId, itemKey },
+      { $inc: { quantity } },
+      { upsert: true }
+    );
+  }
+
+  async takeLocationItem(locationId, itemKey, quantity = 1) {
+    const result = await this.db.collection('location_items').updateOne(
+      { locationId, itemKey, quantity: { $gte: quantity } },
+      { $inc: { quantity: -quantity } }
+    );
+    await this.db.collection('location_items').deleteMany({ locationId, quantity: { $lte: 0 } });
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Checks whether an owner may use a command that items can gate.
+   * @param {*} ownerId - Avatar or Discord user ID.
+   * @param {string} command - e.g. attack, breed or summon.
+   * @returns {Promise<object|null>} - The missing item, or null if the command is allowed.
+   */
+  async getMissingGateItem(ownerId, command) {
+    if (!GATED_COMMANDS.includes(command)) return null;
+
+    const item = this.definitions.find(definition => definition.gates === command);
+    if (!item || await this.hasItem(ownerId, item.key)) return null;
+    return item;
+  }
+
+  // A random item for spawning, weighted towards common ones
+  pickSpawnItem(random = rngService.stream('items').random) {
+    const weights = { common: 12, uncommon: 5, rare: 2, legendary: 1 };
+    const pool = this.definitions.flatMap(item => Array(weights[item.rarity] || 1).fill(item));
+    return pool[Math.floor(random() * pool.length)];
+  }
+}
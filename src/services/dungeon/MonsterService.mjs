@@ -0,0 +1,175 @@
+import monsterDefinitions from '../../monsters.config.mjs';
+import { sendAsWebhook } from '../discordService.mjs';
+import { rngService } from '../rngService.mjs';
+
+const MAX_MONSTERS_PER_LOCATION = 2;
+const RARITY_WEIGHTS = { common: 12, uncommon: 5, rare: 2, legendary: 1 };
+
+const sameId = (a, b) => `${a}` === `${b}`;
+
+/**
+ * NPC monsters, stored in the `monsters` collection.
+ *
+ * A spawned monster keeps its combat stats in `dungeon_stats` under its own _id,
+ * so encounters treat it like any other combatant. Monsters take their turns as
+ * soon as they come up, and never cost an avatar a life.
+ */
+export class MonsterService {
+  constructor(dungeonService) {
+    this.dungeonService = dungeonService;
+    this.logger = dungeonService.logger;
+    this.definitions = monsterDefinitions;
+    this.SPAWN_INTERVAL = 30 * 60 * 1000; // 30 minutes
+  }
+
+  get collection() {
+    return this.dungeonService.db.collection('monsters');
+  }
+
+  async initializeDatabase() {
+    await this.collection.createIndex({ locationId: 1, status: 1 });
+  }
+
+  getDefinition(key) {
+    return this.definitions.find(definition => definition.key === key);
+  }
+
+  async getMonstersInLocation(locationId) {
+    return this.collection.find({ locationId, status: 'alive' }).toArray();
+  }
+
+  async findMonster(locationId, name) {
+    const monsters = await this.getMonstersInLocation(locationId);
+    return monsters.find(monster => monster.name.toLowerCase() === name.toLowerCase())
+      || monsters.find(monster => monster.name.toLowerCase().includes(name.toLowerCase()))
+      || null;
+  }
+
+  // A random monster, weighted towards common ones
+  pickMonster(random = rngService.stream('monsters').random, definitions = this.definitions) {
+    const pool = definitions.flatMap(definition => Array(RARITY_WEIGHTS[definition.rarity] || 1).fill(definition));
+    return pool[Math.floor(random() * pool.length)];
+  }
+
+  /**
+   * Puts a new monster in a location and announces it.
+   * @returns {Promise<object>} - The monster.
+   */
+  async spawnMonster(locationId, definition = this.pickMonster()) {
+    const monster = {
+      key: definition.key,
+      name: definition.name,
+      emoji: definition.emoji,
+      locationId,
+      status: 'alive',
+      spawnedAt: Date.now(),
+    };
+    const result = await this.collection.insertOne(monster);
+    monster._id = result.insertedId;
+
+    const { hp, ...stats } = definition.stats;
+    await this.dungeonService.updateAvatarStats(monster._id, { ...stats, hp, maxHp: hp });
+
+    try {
+      await sendAsWebhook(locationId, `${definition.emoji} **A ${definition.name} appears!** ${definition.description}`, definition.name);
+    } catch (error) {
+      this.logger.warn(`Could not announce ${definition.name} in ${locationId}: ${error.message}`);
+    }
+    return monster;
+  }
+
+  async scheduleSpawns() {
+    await this.dungeonService.scheduler?.every('monster-spawns', this.SPAWN_INTERVAL, async () => {
+      const locations = await this.dungeonService.db.collection('locations')
+        .find({ channelId: { $exists: true }, instanceId: { $exists: false } })
+        .toArray();
+
+      const candidates = [];
+      for (const location of locations) {
+        const count = await this.collection.countDocuments({ locationId: location.channelId, status: 'alive' });
+        if (count < MAX_MONSTERS_PER_LOCATION) candidates.push(location);
+      }
+      if (!candidates.length) return;
+
+      // Bosses only lurk at the end of delves
+      const location = rngService.pick('monsters', candidates);
+      const wanderers = this.definitions.filter(definition => !definition.boss);
+      const monster = await this.spawnMonster(location.channelId, this.pickMonster(undefined, wanderers));
+      this.logger.info(`${monster.emoji} ${monster.name} spawned in ${location.name || location.channelId}`);
+    });
+  }
+
+  /**
+   * Takes a monster's turn in an encounter according to its behaviour.
+   * @returns {Promise<string|null>} - What it did, or null if there is no one to fight.
+   */
+  async takeTurn(encounter, participant) {
+    const { encounters } = this.dungeonService;
+    const definition = this.getDefinition(participant.monsterKey) || {};
+    const foes = encounters.getActiveParticipants(encounter).filter(p => !p.monsterKey);
+    if (!foes.length) return null;
+
+    const stats = await this.dungeonService.getAvatarStats(participant.avatarId);
+    if (definition.behaviour === 'cowardly' && stats.hp < stats.maxHp / 2) {
+      participant.status = 'fled';
+      await this.collection.updateOne({ _id: participant.avatarId }, { $set: { status: 'fled' } });
+      await this.removeStats(participant.avatarId);
+      return `🏃 ${participant.name} flees into the dark!`;
+    }
+
+    const target = foes.find(p => sameId(p.avatarId, participant.lastAttackerId))
+      || (definition.behaviour === 'defensive' ? null : encounters.getRng(encounter).pick(foes));
+    if (!target) {
+      return `${definition.emoji || '👁️'} ${participant.name} watches warily.`;
+    }
+    return encounters.resolveAttack(encounter, participant, target);
+  }
+
+  /**
+   * Marks a monster defeated, drops its loot where it fell and logs the kill.
+   * @returns {Promise<string>} - What happened.
+   */
+  async handleDefeat(monsterId, attacker, locationId) {
+    const monster = await this.collection.findOneAndUpdate(
+      { _id: monsterId, status: 'alive' },
+      { $set: { status: 'defeated', defeatedAt: Date.now(), defeatedBy: attacker.avatarId } },
+      { returnDocument: 'after' }
+    );
+    if (!monster) return `💥 ${attacker.name} finishes off the monster!`;
+
+    const definition = this.getDefinition(monster.key) || { loot: [], xp: 0 };
+    const { items, progression, economy } = this.dungeonService;
+    const drops = [];
+    const rng = rngService.forEvent('loot');
+    for (const { itemKey, chance } of definition.loot || []) {
+      const item = await items.findItem(itemKey);
+      if (item && rng.random() < chance) {
+        await items.addLocationItem(locationId, item.key);
+        drops.push(item);
+      }
+    }
+
+    await progression.awardXp(attacker.avatarId, definition.xp, { channelId: locationId });
+    const coins = await economy.reward({ id: attacker.avatarId, name: attacker.name }, definition.coins ?? economy.rewards.monster, 'monster', locationId);
+    await this.removeStats(monster._id);
+
+    const result = `☠️ ${monster.emoji} ${monster.name} is defeated by ${attacker.name}!${drops.length ? ` It drops ${drops.map(item => items.formatItem(item)).join(', ')}.` : ''}${coins ? ` ${attacker.name} loots ${economy.formatCoins(coins)}.` : ''}`;
+    await this.dungeonService.dungeonLog.logEvent({
+      type: 'monster_defeated',
+      seed: rng.seed,
+      actorId: attacker.avatarId,
+      actorName: attacker.name,
+      targetId: monster._id,
+      targetName: monster.name,
+      locationId,
+      outcome: { monsterKey: monster.key, xp: definition.xp, coins, drops: drops.map(item => item.key) },
+      result,
+    });
+    return result;
+  }
+
+  async removeStats(monsterId) {
+    await this.dungeonService.db.collection('dungeon_stats').deleteOne({ avatarId: monsterId });
+    await this.dungeonService.effects.clearEffects(monsterId);
+  }
+}
@@ -0,0 +1,137 @@
+import { ObjectId } from 'mongodb';
+
+const MAX_PARTY_SIZE = 4;
+const INVITE_TIMEOUT = 10 * 60 * 1000;
+
+const sameId = (a, b) => `${a}` === `${b}`;
+
+/**
+ * Adventuring parties, stored in `dungeon_parties`.
+ *
+ * Inviting someone starts a party with the inviter as leader; until somebody joins, it
+ * only holds the invites. Members who are in the same place travel together when one
+ * of them moves, fight on the same side in encounters, and advance each other's quests.
+ */
+export class PartyService {
+  constructor(dungeonService) {
+    this.dungeonService = dungeonService;
+    this.logger = dungeonService.logger;
+  }
+
+  get collection() {
+    return this.dungeonService.db.collection('dungeon_parties');
+  }
+
+  async initializeDatabase() {
+    await this.collection.createIndex({ 'members.id': 1 });
+    await this.collection.createIndex({ 'invites.id': 1 });
+  }
+
+  async getParty(avatarId) {
+    return this.collection.findOne({ 'members.id': avatarId });
+  }
+
+  /**
+   * Party members other than the avatar who are in a location.
+   * @returns {Promise<Array<{id: *, name: string}>>}
+   */
+  async getCompanionsAt(avatarId, locationId) {
+    const party = await this.getParty(avatarId);
+    const others = party?.members.filter(member => !sameId(member.id, avatarId)) || [];
+    if (!others.length) return [];
+
+    const present = await this.dungeonService.db.collection('avatars')
+      .find({ _id: { $in: others.map(member => member.id) }, channelId: locationId, status: { $ne: 'dead' } })
+      .project({ _id: 1 })
+      .toArray();
+    return others.filter(member => present.some(avatar => sameId(avatar._id, member.id)));
+  }
+
+  /**
+   * A combatant and whichever of their companions are there, all marked with the party.
+   * @param {{avatarId: *, name: string}} combatant
+   * @returns {Promise<object[]>}
+   */
+  async rally(combatant, locationId) {
+    const party = combatant.monsterKey ? null : await this.getParty(combatant.avatarId);
+    if (!party) return [combatant];
+
+    const companions = await this.getCompanionsAt(combatant.avatarId, locationId);
+    return [
+      { ...combatant, partyId: party._id },
+      ...companions.map(member => ({ avatarId: member.id, name: member.name, partyId: party._id })),
+    ];
+  }
+
+  /**
+   * Invites an avatar into the inviter's party, starting one if needed.
+   * @param {{id: *, name: string}} inviter
+   * @param {{id: *, name: string}} invitee
+   */
+  async invite(inviter, invitee) {
+    if (sameId(inviter.id, invitee.id)) return `🤔 ${inviter.name} is already their own best company.`;
+    if ((await this.getParty(invitee.id))?.members.length > 1) return `🤝 ${invitee.name} is already in a party.`;
+
+    let party = await this.getParty(inviter.id);
+    if (!party) {
+      party = { _id: new ObjectId(), leaderId: inviter.id, members: [inviter], invites: [], createdAt: Date.now() };
+      await this.collection.insertOne(party);
+    }
+    if (party.members.length >= MAX_PARTY_SIZE) return `🚫 ${inviter.name}'s party is full.`;
+
+    const invites = party.invites.filter(i => !sameId(i.id, invitee.id) && i.expiresAt > Date.now());
+    invites.push({ ...invitee, invitedBy: inviter.id, expiresAt: Date.now() + INVITE_TIMEOUT });
+    await this.collection.updateOne({ _id: party._id }, { $set: { invites } });
+    return `📨 ${inviter.name} invites ${invitee.name} to join their party. ${invitee.name} can \`!party join\` within ten minutes.`;
+  }
+
+  /**
+   * Joins the party that invited an avatar; the newest invite wins if there are several.
+   */
+  async join(member) {
+    const current = await this.getParty(member.id);
+    if (current?.members.length > 1) return `🤝 ${member.name} is already in a party. \`!party leave\` first.`;
+
+    const parties = await this.collection.find({ invites: { $elemMatch: { id: member.id, expiresAt: { $gt: Date.now() } } } }).toArray();
+    const invited = parties
+      .map(party => ({ party, invite: party.invites.find(i => sameId(i.id, member.id)) }))
+      .sort((a, b) => b.invite.expiresAt - a.invite.expiresAt)[0];
+    if (!invited) return `🫠 Nobody has invited ${member.name} to a party.`;
+
+    const joined = await this.collection.findOneAndUpdate(
+      { _id: invited.party._id, [`members.${MAX_PARTY_SIZE - 1}`]: { $exists: false } },
+      { $push: { members: { id: member.id, name: member.name } }, $pull: { invites: { id: member.id } } },
+      { returnDocument: 'after' }
+    );
+    if (!joined) return '🚫 That party is full.';
+    if (current) {
+      // Nobody took up their own invites yet
+      await this.collection.deleteOne({ _id: current._id });
+    }
+    return `🤝 ${member.name} joins the party! ${this.describeParty(joined)}`;
+  }
+
+  /**
+   * Leaves the avatar's party. A party left with one member disbands.
+   */
+  async leave(member) {
+    const party = await this.getParty(member.id);
+    if (!party) return `🫠 ${member.name} isn't in a party.`;
+
+    const members = party.members.filter(m => !sameId(m.id, member.id));
+    if (members.length < 2) {
+      await this.collection.deleteOne({ _id: party._id });
+      return `👋 ${member.name} leaves, and the party disbands.`;
+    }
+
+    const leaderId = sameId(party.leaderId, member.id) ? members[0].id : party.leaderId;
+    await this.collection.updateOne({ _id: party._id }, { $set: { members, leaderId } });
+    return `👋 ${member.name} leaves the party.${sameId(leaderId, party.leaderId) ? '' : ` ${members[0].name} now leads it.`}`;
+  }
+
+  describeParty(party) {
+    return `🛡️ Party: ${party.members
+      .map(member => `${member.name}${sameId(member.id, party.leaderId) ? ' (leader)' : ''}`)
+      .join(', ')}`;
+  }
+}
@@ -0,0 +1,122 @@
+import progression from '../../progression.config.mjs';
+import { sendAsWebhook } from '../discordService.mjs';
+
+/**
+ * XP and levels, stored alongside the base stats in `dungeon_stats`.
+ * Levels raise base stats along the curve in progression.config.mjs,
+ * and level-ups are announced in the avatar's channel.
+ */
+export class ProgressionService {
+  constructor(dungeonService, config = progression) {
+    this.dungeonService = dungeonService;
+    this.logger = dungeonService.logger;
+    this.config = config;
+    this.rewards = config.rewards;
+  }
+
+  get collection() {
+    return this.dungeonService.db.collection('dungeon_stats');
+  }
+
+  /**
+   * Total xp needed to reach a level.
+   * @param {number} level
+   * @returns {number}
+   */
+  xpForLevel(level) {
+    const { base, exponent } = this.config.curve;
+    let total = 0;
+    for (let n = 1; n < level; n++) {
+      total += Math.round(base * Math.pow(n, exponent));
+    }
+    return total;
+  }
+
+  levelForXp(xp) {
+    let level = 1;
+    while (level < this.config.maxLevel && xp >= this.xpForLevel(level + 1)) {
+      level++;
+    }
+    return level;
+  }
+
+  /**
+   * Adds xp and applies any level-ups.
+   * @param {*} avatarId
+   * @param {number} amount
+   * @param {object} [options] - `channelId` to announce level-ups in (defaults to the avatar's channel).
+   * @returns {Promise<object|null>} - The new level and xp, or null if nothing was awarded.
+   */
+  async awardXp(avatarId, amount, options = {}) {
+    if (!avatarId || !amount) return null;
+
+    try {
+      const { avatarId: storedId } = await this.dungeonService.getBaseStats(avatarId);
+      const { xp, level, ...defaults } = this.dungeonService.defaultStats;
+      await this.collection.updateOne(
+        { avatarId: storedId },
+        { $inc: { xp: amount }, $setOnInsert: defaults },
+        { upsert: true }
+      );
+
+      const stats = await this.dungeonService.getBaseStats(storedId);
+      const newLevel = this.levelForXp(stats.xp);
+      if (newLevel <= stats.level) {
+        return { level: stats.level, xp: stats.xp, leveledUp: false };
+      }
+
+      // Raise base stats for every level gained, and heal to the new maximum
+      const gained = newLevel - stats.level;
+      const raised = { level: newLevel };
+      for (const [stat, perLevel] of Object.entries(this.config.statsPerLevel)) {
+        raised[stat] = (stats[stat] || 0) + perLevel * gained;
+      }
+      raised.hp = raised.maxHp ?? stats.maxHp;
+
+      // Only one award applies a given level-up
+      const result = await this.collection.updateOne(
+        { avatarId: storedId, level: stats.level === 1 ? { $in: [1, null] } : stats.level },
+        { $set: raised }
+      );
+      if (result.modifiedCount) {
+        await this.announceLevelUp(storedId, raised, options.channelId);
+      }
+
+      return { level: newLevel, xp: stats.xp, leveledUp: result.modifiedCount > 0 };
+    } catch (error) {
+      this.logger.error(`Error awarding xp to ${avatarId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Awards xp the first time an avatar reaches a location.
+   */
+  async recordVisit(avatarId, locationId, channelId = locationId) {
+    const { avatarId: storedId } = await this.dungeonService.getBaseStats(avatarId);
+    const result = await this.collection.updateOne(
+      { avatarId: storedId },
+      { $addToSet: { visitedLocations: locationId } },
+      { upsert: true }
+    );
+    if (result.modifiedCount || result.upsertedCount) {
+      return this.awardXp(storedId, this.rewards.newLocation, { channelId });
+    }
+    return null;
+  }
+
+  async announceLevelUp(avatarId, stats, channelId) {
+    const avatar = await this.dungeonService.db.collection('avatars').findOne({ _id: avatarId });
+    if (!avatar || !(channelId || avatar.channelId)) return;
+
+    const gains = Object.keys(this.config.statsPerLevel)
+      .map(stat => `${stat} ${stats[stat]}`)
+      .join(', ');
+    await sendAsWebhook(
+      channelId || avatar.channelId,
+      `🎉 **${avatar.name} reached level ${stats.level}!** (${gains})`,
+      avatar.name,
+      avatar.imageUrl
+    );
+  }
+}
@@ -0,0 +1,270 @@
+import { extractJSON } from '../utils.mjs';
+import { rngService } from '../rngService.mjs';
+
+// What each objective needs, and the xp it pays
+const OBJECTIVES = {
+  defeat: { verb: 'Defeat', xp: 100 },      // knock out the avatar named by `target`
+  visit: { verb: 'Visit', xp: 40 },         // move to the location named by `target`
+  bring: { verb: 'Bring', xp: 60 },         // drop or give the item `target` in the quest's location
+  remember: { verb: 'Remember', xp: 30 },   // remember a fact mentioning `target`
+};
+const MAX_OPEN_QUESTS = 3; // per location
+const ITEM_REWARD_CHANCE = 0.3;
+
+const mentions = (text, target) => `${text}`.toLowerCase().includes(`${target}`.toLowerCase());
+const sameId = (a, b) => `${a}` === `${b}`;
+
+/**
+ * Quests offered by each location, stored in the `quests` collection.
+ *
+ * A location offers a few open quests; an avatar `!accept`s one and it becomes theirs.
+ * Progress comes from the outcomes tools report to DungeonService.processAction.
+ */
+export class QuestService {
+  constructor(dungeonService) {
+    this.dungeonService = dungeonService;
+    this.logger = dungeonService.logger;
+    this.MAX_ACTIVE_QUESTS = 3; // per avatar
+  }
+
+  get collection() {
+    return this.dungeonService.db.collection('quests');
+  }
+
+  async initializeDatabase() {
+    await this.collection.createIndex({ locationId: 1, status: 1 });
+    await this.collection.createIndex({ acceptedBy: 1, status: 1 });
+  }
+
+  async getOpenQuests(locationId) {
+    return this.collection
+      .find({ locationId, status: 'open' })
+      .sort({ createdAt: 1 })
+      .toArray();
+  }
+
+  async getActiveQuests(avatarId) {
+    return this.collection
+      .find({ acceptedBy: avatarId, status: 'accepted' })
+      .sort({ acceptedAt: 1 })
+      .toArray();
+  }
+
+  /**
+   * Open quests in a location, generating one when the board is empty.
+   */
+  async getQuestBoard(locationId, locationName) {
+    const open = await this.getOpenQuests(locationId);
+    if (open.length) return open;
+
+    const quest = await this.generateQuest(locationId, locationName);
+    return quest ? [quest] : [];
+  }
+
+  /**
+   * Creates a quest suited to a location, using what is there: exits, items and avatars.
+   * @returns {Promise<object|null>}
+   */
+  async generateQuest(locationId, locationName) {
+    if ((await this.getOpenQuests(locationId)).length >= MAX_OPEN_QUESTS) return null;
+
+    const context = await this.getLocationContext(locationId);
+    const quest = await this.draftQuest(locationName, context) || this.templateQuest(context);
+    if (!quest) return null;
+
+    const doc = {
+      locationId,
+      locationName,
+      ...quest,
+      reward: this.rollReward(quest.objective.type),
+      progress: 0,
+      status: 'open',
+      acceptedBy: null,
+      createdAt: Date.now(),
+    };
+    const result = await this.collection.insertOne(doc);
+    return { ...doc, _id: result.insertedId };
+  }
+
+  async getLocationContext(locationId) {
+    const location = await this.dungeonService.db.collection('locations').findOne({ channelId: locationId });
+    const avatars = await this.dungeonService.avatarService.getAvatarsInChannel(locationId);
+    const monsters = await this.dungeonService.monsters.getMonstersInLocation(locationId);
+    return {
+      description: location?.description || '',
+      exits: (location?.exits || []).map(exit => exit.name),
+      avatars: [
+        ...monsters.map(monster => monster.name),
+        ...avatars.filter(avatar => avatar.status !== 'dead').map(avatar => avatar.name),
+      ],
+      items: this.dungeonService.items.definitions.map(item => item.name),
+    };
+  }
+
+  // Asks the model for a quest, keeping only one whose objective can be tracked
+  async draftQuest(locationName, context) {
+    try {
+      const response = await this.dungeonService.aiService.chat([
+        { role: 'system', content: 'You are a fantasy quest giver.' },
+        { role: 'user', content: `Invent a short quest offered in ${locationName}. ${context.description}
+          Exits lead to: ${context.exits.join(', ') || 'nowhere yet'}
+          Present: ${context.avatars.join(', ') || 'nobody'}
+          Known items: ${context.items.join(', ')}
+
+          The objective type must be one of ${Object.keys(OBJECTIVES).join(', ')}.
+          For defeat the target is someone present, for visit an exit, for bring a known item,
+          and for remember a single word the quester must remember.
+          ONLY respond with JSON:
+          {"title": "<short title>", "description": "<one sentence>", "objective": {"type": "<type>", "target": "<target>", "count": 1}}` }
+      ], { format: 'json' });
+
+      const { title, description, objective } = JSON.parse(extractJSON(response.trim()));
+      return this.validateQuest({ title, description, objective }, context);
+    } catch (error) {
+      this.logger.warn(`Quest drafting failed for ${locationName}: ${error.message}`);
+      return null;
+    }
+  }
+
+  validateQuest(quest, context) {
+    const { title, description, objective } = quest;
+    if (!title || !objective?.target || !OBJECTIVES[objective.type]) return null;
+
+    const allowed = {
+      defeat: context.avatars,
+      visit: context.exits,
+      bring: context.items,
+    }[objective.type];
+    if (allowed && !allowed.some(name => name.toLowerCase() === `${objective.target}`.toLowerCase())) {
+      return null;
+    }
+
+    return {
+      title: `${title}`.slice(0, 100),
+      description: `${description || ''}`.slice(0, 300),
+      objective: {
+        type: objective.type,
+        target: `${objective.target}`,
+        count: objective.type === 'visit' ? 1 : Math.min(3, Math.max(1, parseInt(objective.count, 10) || 1)),
+      },
+    };
+  }
+
+  // A plain quest built from the location itself, for when the model's draft doesn't fit
+  templateQuest(context, random = rngService.stream('quests').random) {
+    const options = [
+      ...context.exits.map(target => ({ type: 'visit', target, title: `The Road to ${target}` })),
+      ...context.avatars.map(target => ({ type: 'defeat', target, title: `A Score to Settle with ${target}` })),
+      ...context.items.map(target => ({ type: 'bring', target, title: `Wanted: ${target}` })),
+    ];
+    if (!options.length) return null;
+
+    const { type, target, title } = options[Math.floor(random() * options.length)];
+    return {
+      title,
+      description: `${OBJECTIVES[type].verb} ${target}.`,
+      objective: { type, target, count: 1 },
+    };
+  }
+
+  rollReward(type, random = rngService.stream('quests').random) {
+    const reward = { xp: OBJECTIVES[type].xp, itemKey: null };
+    if (random() < ITEM_REWARD_CHANCE) {
+      reward.itemKey = this.dungeonService.items.pickSpawnItem(random).key;
+    }
+    return reward;
+  }
+
+  /**
+   * Gives an open quest to an avatar.
+   * @returns {Promise<object|null>} - The quest, or null if someone else took it first.
+   */
+  async acceptQuest(questId, avatarId) {
+    return this.collection.findOneAndUpdate(
+      { _id: questId, status: 'open' },
+      { $set: { status: 'accepted', acceptedBy: avatarId, acceptedAt: Date.now() } },
+      { returnDocument: 'after' }
+    );
+  }
+
+  /**
+   * Advances the quests of an avatar and its party from the outcome of an action.
+   * @param {*} avatarId
+   * @param {object|null} outcome - What the action achieved: `defeated`, `visited`, `delivered` or `remembered`.
+   * @param {string} locationId - Where the action happened.
+   * @param {string} [actorName] - For the dungeon log.
+   * @returns {Promise<string[]>} - Lines announcing completed quests.
+   */
+  async trackProgress(avatarId, outcome, locationId, actorName = `${avatarId}`) {
+    if (!outcome) return [];
+
+    const party = await this.dungeonService.parties.getParty(avatarId);
+    const questers = party?.members || [{ id: avatarId, name: actorName }];
+    const quests = (await Promise.all(questers.map(member => this.getActiveQuests(member.id)))).flat();
+    const completed = [];
+    for (const quest of quests) {
+      if (!this.advances(quest, outcome, locationId)) continue;
+
+      const progress = quest.progress + 1;
+      const done = progress >= quest.objective.count;
+      const result = await this.collection.updateOne(
+        { _id: quest._id, status: 'accepted', progress: quest.progress },
+        { $set: { progress, ...(done ? { status: 'completed', completedAt: Date.now() } : {}) } }
+      );
+      if (result.modifiedCount && done) {
+        const quester = questers.find(member => sameId(member.id, quest.acceptedBy));
+        const line = await this.payReward(quest.acceptedBy, quest, locationId, quester?.name || actorName);
+        completed.push(sameId(quest.acceptedBy, avatarId) ? line : `🤝 ${line} (${quester?.name}'s quest)`);
+      }
+    }
+    return completed;
+  }
+
+  advances(quest, outcome, locationId) {
+    const { type, target } = quest.objective;
+    switch (type) {
+      case 'defeat':
+        return Boolean(outcome.defeated && mentions(outcome.defeated, target));
+      case 'visit':
+        return Boolean(outcome.visited && (sameId(outcome.visited.id, target) || mentions(outcome.visited.name, target)));
+      case 'bring':
+        return Boolean(outcome.delivered && sameId(locationId, quest.locationId)
+          && (outcome.delivered.key === target || mentions(outcome.delivered.name, target)));
+      case 'remember':
+        return Boolean(outcome.remembered && mentions(outcome.remembered, target));
+      default:
+        return false;
+    }
+  }
+
+  async payReward(avatarId, quest, locationId, actorName) {
+    const { progression, items, economy } = this.dungeonService;
+    await progression.awardXp(avatarId, quest.reward.xp, { channelId: locationId });
+    const coins = await economy.reward({ id: avatarId, name: actorName }, economy.rewards.quest, 'quest', locationId);
+
+    const rewards = [`+${quest.reward.xp} xp`, economy.formatCoins(coins)];
+    const item = quest.reward.itemKey && await items.findItem(quest.reward.itemKey);
+    if (item) {
+      await items.addItem(avatarId, item.key);
+      rewards.push(items.formatItem(item));
+    }
+
+    await this.dungeonService.dungeonLog.logEvent({
+      type: 'quest_completed',
+      actorId: avatarId,
+      actorName,
+      targetId: quest._id,
+      targetName: quest.title,
+      locationId,
+      outcome: { objective: quest.objective, xp: quest.reward.xp, coins, itemKey: item ? item.key : null },
+      result: rewards.join(', '),
+    });
+    return `🏆 Quest complete: **${quest.title}**! (${rewards.join(', ')})`;
+  }
+
+  describeQuest(quest) {
+    const { type, target, count } = quest.objective;
+    const progress = count > 1 ? ` (${quest.progress}/${count})` : '';
+    return `📜 **${quest.title}**: ${OBJECTIVES[type].verb} ${target}${progress} (${quest.reward.xp} xp${quest.reward.itemKey ? ' + an item' : ''})`;
+  }
+}
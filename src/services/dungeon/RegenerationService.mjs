@@ -0,0 +1,101 @@
+import regeneration from '../../regeneration.config.mjs';
+
+/**
+ * Hp regeneration, worked out whenever stats are read, so it needs no timers.
+ *
+ * `regenAt` in `dungeon_stats` marks when hp last changed; every hp write resets it.
+ * How fast hp returns depends on the type of location the avatar is in.
+ */
+export class RegenerationService {
+  constructor(dungeonService, config = regeneration) {
+    this.dungeonService = dungeonService;
+    this.logger = dungeonService.logger;
+    this.config = config;
+  }
+
+  get collection() {
+    return this.dungeonService.db.collection('dungeon_stats');
+  }
+
+  /**
+   * The kind of place a location is, from its flags or its name.
+   * @param {object|null} location - A stored location.
+   * @returns {string} - A key of `locationTypes`.
+   */
+  getLocationType(location) {
+    if (!location) return 'wilds';
+    if (location.graveyard) return 'graveyard';
+    if (location.instanceId) return 'dungeon';
+
+    const name = `${location.name || ''}`.toLowerCase();
+    const match = Object.entries(this.config.locationTypes)
+      .find(([, type]) => type.keywords.some(keyword => name.includes(keyword)));
+    return match ? match[0] : 'wilds';
+  }
+
+  getMultiplier(location) {
+    return this.config.locationTypes[this.getLocationType(location)]?.multiplier ?? 1;
+  }
+
+  // Where an avatar is standing, if it is anywhere
+  async getLocationOf(avatarId) {
+    const { db } = this.dungeonService;
+    const position = await db.collection('dungeon_positions').findOne({ avatarId });
+    const avatar = position ? null : await db.collection('avatars').findOne({ _id: avatarId }, { projection: { channelId: 1 } });
+    const locationId = position?.locationId || avatar?.channelId;
+    return locationId ? db.collection('locations').findOne({ channelId: locationId }) : null;
+  }
+
+  /**
+   * Adds the hp regained since `regenAt` to stored stats, saving it if any was gained.
+   * @param {object} stats - Base stats; updated in place.
+   * @returns {Promise<number>} - Hp regained.
+   */
+  async settle(stats, now = Date.now()) {
+    if (stats.hp <= 0 || stats.hp >= stats.maxHp) return 0;
+
+    const since = stats.regenAt;
+    if (since === undefined) {
+      // Stats from before regeneration start their clock now
+      await this.collection.updateOne({ avatarId: stats.avatarId, regenAt: { $exists: false } }, { $set: { regenAt: now } });
+      stats.regenAt = now;
+      return 0;
+    }
+
+    const location = await this.getLocationOf(stats.avatarId);
+    const perMs = this.config.hpPerMinute * this.getMultiplier(location) / 60000;
+    const gained = Math.min(stats.maxHp - stats.hp, Math.floor((now - since) * perMs));
+    if (gained < 1) return 0;
+
+    // Part of a point already under way carries over, unless hp is now full
+    const hp = stats.hp + gained;
+    const regenAt = hp >= stats.maxHp ? now : since + Math.ceil(gained / perMs);
+    const result = await this.collection.updateOne(
+      { avatarId: stats.avatarId, hp: stats.hp, regenAt: since },
+      { $set: { hp, regenAt } }
+    );
+    if (!result.modifiedCount) return 0; // someone else settled it first
+
+    stats.hp = hp;
+    stats.regenAt = regenAt;
+    return gained;
+  }
+
+  /**
+   * Rests for a while: restores hp at once, but the avatar can't act until it gets up.
+   * @returns {Promise<string>} - What happened.
+   */
+  async rest(avatarId, name, locationId) {
+    const location = await this.dungeonService.db.collection('locations').findOne({ channelId: locationId });
+    const multiplier = this.getMultiplier(location);
+    const stats = await this.dungeonService.getAvatarStats(avatarId);
+    const { hp: restHp, durationMs } = this.config.rest;
+
+    const hp = Math.min(stats.maxHp, stats.hp + Math.round(restHp * multiplier));
+    const restingUntil = Date.now() + durationMs;
+    await this.dungeonService.updateAvatarStats(avatarId, { hp, restingUntil });
+
+    const place = this.getLocationType(location);
+    return `💤 ${name} settles down to rest${place === 'wilds' ? '' : ` in the ${place}`} and recovers ${hp - stats.hp} hp (❣️ ${hp}/${stats.maxHp}). They'll be up <t:${Math.floor(restingUntil / 1000)}:R>.`;
+  }
+}
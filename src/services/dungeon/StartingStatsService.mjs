@@ -0,0 +1,102 @@
+import statsConfig from '../../stats.config.mjs';
+import { extractJSON } from '../utils.mjs';
+import { createRng } from '../utils/rng.mjs';
+import { rngService } from '../rngService.mjs';
+
+const MAX_WEIGHT = 10;
+
+/**
+ * Rolls the stats a new avatar starts with.
+ *
+ * The model's rarity sets a point budget. The model reads the personality and weighs
+ * how much each stat suits the character, then every point goes to a stat drawn by
+ * those weights. The roll is saved with the stats as `creation`: the seed replays it.
+ */
+export class StartingStatsService {
+  constructor(dungeonService, config = statsConfig) {
+    this.dungeonService = dungeonService;
+    this.logger = dungeonService.logger;
+    this.config = config;
+  }
+
+  get stats() {
+    return Object.keys(this.config.base);
+  }
+
+  // Models that aren't configured count as common
+  getRarity(model) {
+    const rarity = this.dungeonService.aiService.getModelConfig(model)?.rarity;
+    return rarity in this.config.budget ? rarity : 'common';
+  }
+
+  /**
+   * How well each stat suits a personality, from 0 to MAX_WEIGHT.
+   * @returns {Promise<object>} - A weight for every stat; even weights if the model can't say.
+   */
+  async weighPersonality(avatar) {
+    const even = Object.fromEntries(this.stats.map(stat => [stat, 1]));
+    if (!avatar.personality) return even;
+
+    try {
+      const response = await this.dungeonService.aiService.chat([
+        { role: 'system', content: 'You are a game master rolling up characters for a fantasy RPG.' },
+        { role: 'user', content: `${avatar.name}: ${avatar.personality}
+
+          Rate from 0 to ${MAX_WEIGHT} how strongly this character leans towards each stat: ${this.stats.join(', ')}.
+          (hp is toughness, speed is quickness in a fight, charisma is charm and haggling.)
+
+          ONLY respond with JSON:
+          {${this.stats.map(stat => `"${stat}": <number>`).join(', ')}}` }
+      ], { format: 'json' });
+
+      const proposed = JSON.parse(extractJSON(response.trim()));
+      const weights = Object.fromEntries(this.stats.map(stat =>
+        [stat, Math.min(MAX_WEIGHT, Math.max(0, Math.round(Number(proposed[stat]) || 0)))]));
+      return Object.values(weights).some(Boolean) ? weights : even;
+    } catch (error) {
+      this.logger.warn(`Could not weigh the personality of ${avatar.name}: ${error.message}`);
+      return even;
+    }
+  }
+
+  /**
+   * Spends a point budget one point at a time, each on a stat drawn by weight.
+   * @returns {object} - Points spent on each stat.
+   */
+  allocate(budget, weights, seed) {
+    const rng = createRng(`${seed}:stats`);
+    const { maxPoints } = this.config;
+    const points = Object.fromEntries(this.stats.map(stat => [stat, 0]));
+
+    for (let i = 0; i < budget; i++) {
+      const open = this.stats.filter(stat => points[stat] < maxPoints);
+      if (!open.length) break;
+      // A stat the personality has no leaning for still gets the odd point
+      const total = open.reduce((sum, stat) => sum + weights[stat] + 0.5, 0);
+      let draw = rng.random() * total;
+      const stat = open.find(s => (draw -= weights[s] + 0.5) < 0) ?? open[open.length - 1];
+      points[stat]++;
+    }
+    return points;
+  }
+
+  /**
+   * Rolls starting stats for a new avatar.
+   * @param {{name: string, personality?: string, model?: string}} avatar
+   * @returns {Promise<object>} - Stats ready to store, with the roll under `creation`.
+   */
+  async roll(avatar, seed = rngService.seed('stats')) {
+    const rarity = this.getRarity(avatar.model);
+    const budget = this.config.budget[rarity];
+    const weights = await this.weighPersonality(avatar);
+    const points = this.allocate(budget, weights, seed);
+
+    const stats = Object.fromEntries(this.stats.map(stat =>
+      [stat, this.config.base[stat] + points[stat] * this.config.perPoint[stat]]));
+    return {
+      ...stats,
+      maxHp: stats.hp,
+      creation: { rarity, budget, weights, points, seed, rolledAt: Date.now() },
+    };
+  }
+}
@@ -0,0 +1,264 @@
+import { ObjectId } from 'mongodb';
+import { sendAsWebhook } from '../discordService.mjs';
+import { createRng } from '../utils/rng.mjs';
+import { rngService } from '../rngService.mjs';
+
+const SIGNUP_PERIOD = 10 * 60 * 1000; // from opening until the first round
+const MAX_ENTRANTS = 16;
+const BOUT_YIELD_HP = 10;
+const ROUND_INTERVAL = 60 * 1000; // one round is fought per tick
+
+const sameId = (a, b) => `${a}` === `${b}`;
+
+/**
+ * Arena tournaments, stored in `dungeon_tournaments`.
+ *
+ * A tournament opens in a channel for signups, then runs a single-elimination bracket
+ * one round per tick. Bouts are duel encounters fought out automatically by the combat
+ * engine: fighters enter at full hp, yield at BOUT_YIELD_HP and are patched up afterwards.
+ * Results are posted to the arena channel.
+ */
+export class TournamentService {
+  constructor(dungeonService) {
+    this.dungeonService = dungeonService;
+    this.logger = dungeonService.logger;
+  }
+
+  get collection() {
+    return this.dungeonService.db.collection('dungeon_tournaments');
+  }
+
+  async initializeDatabase() {
+    await this.collection.createIndex({ status: 1, startsAt: 1 });
+    await this.collection.createIndex({ locationId: 1, status: 1 });
+  }
+
+  // The tournament taking signups or running in a channel
+  async getTournamentAt(locationId) {
+    return this.collection.findOne({ locationId, status: { $in: ['signup', 'running'] } });
+  }
+
+  /**
+   * Opens a tournament for signups in a channel.
+   * @returns {Promise<string>} - What happened.
+   */
+  async open(locationId, name = '') {
+    const existing = await this.getTournamentAt(locationId);
+    if (existing) return `🏟️ **${existing.name}** is already under way here.`;
+
+    const tournament = {
+      _id: new ObjectId(),
+      name: name.trim().slice(0, 60) || `The ${new Date().toLocaleString('en', { month: 'long' })} Games`,
+      locationId,
+      status: 'signup',
+      seed: rngService.seed('tournaments'),
+      entrants: [],
+      rounds: [],
+      createdAt: Date.now(),
+      startsAt: Date.now() + SIGNUP_PERIOD,
+    };
+    await this.collection.insertOne(tournament);
+    return `🏟️ **${tournament.name}** is open! Sign up with \`!arena join\` or /arena before it starts <t:${Math.floor(tournament.startsAt / 1000)}:R>.`;
+  }
+
+  /**
+   * Signs an avatar up for the tournament in a channel.
+   * @param {{id: *, name: string}} entrant
+   * @param {string} [signedUpBy] - Who signed it up, when it wasn't the avatar itself.
+   */
+  async signUp(locationId, entrant, signedUpBy = null) {
+    const tournament = await this.getTournamentAt(locationId);
+    if (!tournament) return '🫠 No tournament is open here. Open one with `!arena open [name]`.';
+    if (tournament.status !== 'signup') return `⏳ **${tournament.name}** has already begun.`;
+
+    const avatar = await this.dungeonService.db.collection('avatars').findOne({ _id: entrant.id });
+    if (avatar?.status === 'dead') return `👻 ${entrant.name} is dead and can't fight.`;
+
+    const added = await this.collection.updateOne(
+      {
+        _id: tournament._id,
+        status: 'signup',
+        'entrants.id': { $ne: entrant.id },
+        [`entrants.${MAX_ENTRANTS - 1}`]: { $exists: false },
+      },
+      { $push: { entrants: { ...entrant, signedUpBy } } }
+    );
+    if (!added.modifiedCount) {
+      return tournament.entrants.some(e => sameId(e.id, entrant.id))
+        ? `🤔 ${entrant.name} is already signed up.`
+        : `🚫 **${tournament.name}** is full.`;
+    }
+    return `📝 ${entrant.name} signs up for **${tournament.name}** (${tournament.entrants.length + 1} entrant(s)).`;
+  }
+
+  describe(tournament) {
+    const lines = [`🏟️ **${tournament.name}** (${tournament.status})`];
+    if (tournament.status === 'signup') {
+      lines.push(`Starts <t:${Math.floor(tournament.startsAt / 1000)}:R>. Entrants: ${tournament.entrants.map(e => e.name).join(', ') || 'none yet'}`);
+    }
+    tournament.rounds.forEach((round, index) => {
+      lines.push(`Round ${index + 1}: ${round.map(match => this.describeMatch(match)).join(' | ')}`);
+    });
+    if (tournament.champion) lines.push(`👑 Champion: ${tournament.champion.name}`);
+    return lines.join('\n');
+  }
+
+  describeMatch(match) {
+    if (match.bye) return `${match.fighters[0].name} (bye)`;
+    const [a, b] = match.fighters.map(f => (match.winner && sameId(f.id, match.winner.id) ? `**${f.name}**` : f.name));
+    return `${a} vs ${b}`;
+  }
+
+  // Pairs fighters in order, giving the last a bye when there's an odd number
+  buildRound(fighters) {
+    const round = [];
+    for (let i = 0; i < fighters.length; i += 2) {
+      const pair = fighters.slice(i, i + 2);
+      round.push(pair.length === 2
+        ? { fighters: pair, winner: null }
+        : { fighters: pair, winner: pair[0], bye: true });
+    }
+    return round;
+  }
+
+  /**
+   * Seeds the bracket from the signups, or calls the tournament off if too few came.
+   */
+  async start(tournament) {
+    if (tournament.entrants.length < 2) {
+      await this.collection.updateOne({ _id: tournament._id }, { $set: { status: 'cancelled', endedAt: Date.now() } });
+      return `🏟️ **${tournament.name}** is called off: not enough fighters signed up.`;
+    }
+
+    const rng = createRng(`${tournament.seed}:bracket`);
+    const fighters = tournament.entrants.map(({ id, name }) => ({ id, name }));
+    for (let i = fighters.length - 1; i > 0; i--) {
+      const j = rng.int(0, i);
+      [fighters[i], fighters[j]] = [fighters[j], fighters[i]];
+    }
+
+    tournament.status = 'running';
+    tournament.rounds = [this.buildRound(fighters)];
+    await this.collection.updateOne(
+      { _id: tournament._id, status: 'signup' },
+      { $set: { status: 'running', rounds: tournament.rounds, startedAt: Date.now() } }
+    );
+    return `🎺 **${tournament.name}** begins with ${fighters.length} fighters!\n${this.describe(tournament)}`;
+  }
+
+  /**
+   * Fights one bout in the arena. The fighters' hp is restored afterwards.
+   * @returns {Promise<object>} - The match, with its winner set.
+   */
+  async fightBout(tournament, match) {
+    const { encounters } = this.dungeonService;
+    const dead = await this.dungeonService.db.collection('avatars')
+      .find({ _id: { $in: match.fighters.map(f => f.id) }, status: 'dead' }).toArray();
+    if (dead.length) {
+      const survivor = match.fighters.find(f => !dead.some(d => sameId(d._id, f.id)));
+      return { ...match, winner: survivor || match.fighters[0], walkover: true, rounds: 0 };
+    }
+
+    const stats = await Promise.all(match.fighters.map(f => this.dungeonService.getBaseStats(f.id)));
+    await Promise.all(match.fighters.map((f, i) => this.dungeonService.updateAvatarStats(f.id, { hp: stats[i].maxHp })));
+
+    const encounter = await encounters.joinEncounter(
+      tournament.locationId,
+      match.fighters.map(f => ({ avatarId: f.id, name: f.name })),
+      { duel: { tournamentId: tournament._id, duelists: match.fighters.map(f => f.id), yieldHp: BOUT_YIELD_HP }, claim: true }
+    );
+    const { summary } = await encounters.fightOut(encounter);
+    await Promise.all(match.fighters.map((f, i) => this.dungeonService.updateAvatarStats(f.id, { hp: stats[i].hp })));
+
+    // Undecided bouts go to whoever dealt more damage, then to the better initiative
+    const [winner] = [...encounter.participants].sort((a, b) =>
+      (b.status === 'active') - (a.status === 'active') || b.damageDealt - a.damageDealt || b.initiative - a.initiative
+    );
+    return {
+      ...match,
+      winner: match.fighters.find(f => sameId(f.id, winner.avatarId)),
+      encounterId: encounter._id,
+      rounds: encounter.round,
+      summary,
+    };
+  }
+
+  /**
+   * Fights the current round and sets up the next, or crowns the champion.
+   * @returns {Promise<string|null>} - The results, or null if the arena is busy.
+   */
+  async playRound(tournament) {
+    if (await this.dungeonService.encounters.getActiveEncounter(tournament.locationId)) {
+      return null; // someone else is fighting in the arena; try again next tick
+    }
+
+    const index = tournament.rounds.length - 1;
+    const round = [];
+    for (const match of tournament.rounds[index]) {
+      round.push(match.winner ? match : await this.fightBout(tournament, match));
+    }
+    tournament.rounds[index] = round;
+
+    const lines = [`🏟️ **${tournament.name}**, round ${index + 1}:`];
+    for (const match of round) {
+      const loser = match.fighters.find(f => !sameId(f.id, match.winner.id));
+      lines.push(match.bye
+        ? `🎟️ ${match.winner.name} advances with a bye.`
+        : match.walkover
+          ? `🪦 ${match.winner.name} advances; ${loser.name} can no longer fight.`
+          : `⚔️ ${match.winner.name} beats ${loser.name} in ${match.rounds} round(s).`);
+    }
+
+    const winners = round.map(match => match.winner);
+    if (winners.length > 1) {
+      tournament.rounds.push(this.buildRound(winners));
+      await this.collection.updateOne({ _id: tournament._id }, { $set: { rounds: tournament.rounds } });
+      return lines.join('\n');
+    }
+
+    const [champion] = winners;
+    await this.collection.updateOne(
+      { _id: tournament._id },
+      { $set: { rounds: tournament.rounds, status: 'finished', champion, endedAt: Date.now() } }
+    );
+    const { progression, dungeonLog } = this.dungeonService;
+    await progression.awardXp(champion.id, progression.rewards.victory * tournament.rounds.length, { channelId: tournament.locationId });
+    const result = `👑 ${champion.name} is the champion of **${tournament.name}**!`;
+    await dungeonLog.logEvent({
+      type: 'tournament_finished',
+      seed: tournament.seed,
+      actorId: champion.id,
+      actorName: champion.name,
+      targetId: tournament._id,
+      targetName: tournament.name,
+      locationId: tournament.locationId,
+      outcome: {
+        tournamentId: tournament._id,
+        entrantIds: tournament.entrants.map(e => e.id),
+        rounds: tournament.rounds.length,
+        encounterIds: tournament.rounds.flat().map(match => match.encounterId).filter(Boolean),
+      },
+      result,
+    });
+    lines.push(result);
+    return lines.join('\n');
+  }
+
+  async scheduleRounds() {
+    await this.dungeonService.scheduler?.every('tournament-rounds', ROUND_INTERVAL, async () => {
+      const due = await this.collection.find({ $or: [
+        { status: 'signup', startsAt: { $lte: Date.now() } },
+        { status: 'running' },
+      ] }).toArray();
+
+      for (const tournament of due) {
+        const news = tournament.status === 'signup'
+          ? await this.start(tournament)
+          : await this.dungeonService.dungeonLog.correlate(() => this.playRound(tournament));
+        if (!news) continue;
+        await sendAsWebhook(tournament.locationId, news, 'Arena Master').catch(error =>
+          this.logger.warn(`Could not post tournament news: ${error.message}`));
+      }
+    });
+  }
+}
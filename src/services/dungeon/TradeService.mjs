@@ -0,0 +1,286 @@
+import { ObjectId } from 'mongodb';
+import { sendAsWebhook } from '../discordService.mjs';
+
+const OFFER_TIMEOUT = 10 * 60 * 1000; // unanswered offers are returned after this
+const MAX_PENDING_OFFERS = 3;
+
+const sameId = (a, b) => `${a}` === `${b}`;
+
+// Thrown inside a transaction to roll it back with a message for the players
+class TradeRefusal extends Error {}
+
+/**
+ * Trades between avatars, stored in `dungeon_trades`.
+ *
+ * Whatever is offered goes into escrow on the trade document as soon as the offer is
+ * made, so it can't be spent twice. Accepting swaps the escrow for what was asked in
+ * one Mongo transaction; declining, withdrawing or letting the offer lapse returns it.
+ * Goods are {items: [{itemKey, quantity}], coins}. Transactions need a replica set.
+ */
+export class TradeService {
+  constructor(dungeonService) {
+    this.dungeonService = dungeonService;
+    this.logger = dungeonService.logger;
+    this.enabled = false; // set at startup, once the server is known to support transactions
+  }
+
+  get db() {
+    return this.dungeonService.db;
+  }
+
+  get collection() {
+    return this.db.collection('dungeon_trades');
+  }
+
+  async initializeDatabase() {
+    await this.collection.createIndex({ status: 1, 'to.id': 1 });
+    await this.collection.createIndex({ status: 1, 'from.id': 1 });
+    await this.collection.createIndex({ status: 1, expiresAt: 1 });
+
+    this.enabled = await this.supportsTransactions();
+    if (!this.enabled) {
+      this.logger.warn('Trading is off: it needs MongoDB transactions, which only a replica set or sharded cluster supports.');
+    }
+  }
+
+  // Replica set members report their set name; sharded clusters answer as `isdbgrid`
+  async supportsTransactions() {
+    const hello = await this.db.admin().command({ hello: 1 }).catch(() => ({}));
+    return Boolean(hello.setName || hello.msg === 'isdbgrid');
+  }
+
+  /**
+   * Runs `work` in a transaction. A TradeRefusal rolls it back and becomes the reply.
+   * @returns {Promise<*>} - What `work` returned, or the refusal's message.
+   */
+  async transact(work) {
+    const session = this.db.client.startSession();
+    try {
+      return await session.withTransaction(() => work(session));
+    } catch (error) {
+      if (error instanceof TradeRefusal) return error.message;
+      throw error;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  /**
+   * Reads goods such as "2 healing potion, iron charm and 10 coins".
+   * @returns {Promise<{items: Array<{itemKey: string, quantity: number, item: object}>, coins: number}|null>} - Null if a part names no item.
+   */
+  async parseGoods(text) {
+    const goods = { items: [], coins: 0 };
+    const parts = `${text}`.split(/\s*,\s*|\s+and\s+/i).map(part => part.trim()).filter(Boolean);
+    if (parts.length === 1 && /^nothing$/i.test(parts[0])) return goods;
+
+    for (const part of parts) {
+      const [, count, rest] = part.match(/^(\d+)?\s*(.*)$/);
+      const quantity = count ? Number(count) : 1;
+      if (quantity < 1) return null;
+      if (/^(coins?|🪙)$/i.test(rest) && count) {
+        goods.coins += quantity;
+        continue;
+      }
+
+      const { items } = this.dungeonService;
+      const item = await items.findItem(rest) || await items.findItem(rest.replace(/s$/i, ''));
+      if (!item) return null;
+      const entry = goods.items.find(e => e.itemKey === item.key);
+      if (entry) entry.quantity += quantity;
+      else goods.items.push({ itemKey: item.key, quantity, item });
+    }
+    return goods;
+  }
+
+  isEmpty(goods) {
+    return !goods.coins && !goods.items.length;
+  }
+
+  describeGoods(goods) {
+    if (this.isEmpty(goods)) return 'nothing';
+    const { items, economy } = this.dungeonService;
+    const parts = goods.items.map(entry => items.formatItem(entry.item, entry.quantity));
+    if (goods.coins) parts.push(economy.formatCoins(goods.coins));
+    return parts.join(', ');
+  }
+
+  describeOffer(trade) {
+    return `${trade.from.name} offers ${trade.to.name} ${this.describeGoods(trade.offer)} for ${this.describeGoods(trade.ask)}`;
+  }
+
+  // Stored goods keep only keys and counts; item definitions are looked up again when shown
+  storedGoods(goods) {
+    return { items: goods.items.map(({ itemKey, quantity }) => ({ itemKey, quantity })), coins: goods.coins };
+  }
+
+  async withDefinitions(trade) {
+    const { items } = this.dungeonService;
+    const [offered, asked] = await Promise.all([items.withDefinitions(trade.offer.items), items.withDefinitions(trade.ask.items)]);
+    return { ...trade, offer: { ...trade.offer, items: offered }, ask: { ...trade.ask, items: asked } };
+  }
+
+  /**
+   * Open offers made to or by an avatar, newest first.
+   * @returns {Promise<{received: object[], sent: object[]}>}
+   */
+  async getPendingOffers(avatarId) {
+    const pending = await this.collection
+      .find({ status: 'pending', expiresAt: { $gt: Date.now() }, $or: [{ 'to.id': avatarId }, { 'from.id': avatarId }] })
+      .sort({ createdAt: -1 })
+      .toArray();
+    const trades = await Promise.all(pending.map(trade => this.withDefinitions(trade)));
+    return {
+      received: trades.filter(trade => sameId(trade.to.id, avatarId)),
+      sent: trades.filter(trade => sameId(trade.from.id, avatarId)),
+    };
+  }
+
+  // Takes goods from their owner, or refuses the whole transaction
+  async takeGoods(owner, goods, session) {
+    const { items, economy } = this.dungeonService;
+    for (const entry of goods.items) {
+      if (!await items.removeItem(owner.id, entry.itemKey, entry.quantity, { session })) {
+        throw new TradeRefusal(`🫠 ${owner.name} doesn't have ${items.formatItem(entry.item, entry.quantity)}.`);
+      }
+    }
+    if (goods.coins && !await economy.debit(owner.id, goods.coins, { session })) {
+      throw new TradeRefusal(`💸 ${owner.name} doesn't have ${economy.formatCoins(goods.coins)}.`);
+    }
+  }
+
+  async giveGoods(owner, goods, session) {
+    const { items, economy } = this.dungeonService;
+    for (const entry of goods.items) {
+      await items.addItem(owner.id, entry.itemKey, entry.quantity, { session });
+    }
+    if (goods.coins) await economy.credit(owner.id, goods.coins, { session });
+  }
+
+  /**
+   * Offers goods to another avatar, putting them into escrow until the offer is answered.
+   * @param {{id: *, name: string}} from
+   * @param {{id: *, name: string}} to
+   * @param {object} offer - Parsed goods, see parseGoods.
+   * @param {object} ask - Parsed goods wanted in return.
+   */
+  async offer(from, to, offer, ask, locationId) {
+    if (sameId(from.id, to.id)) return `🤔 ${from.name} haggles with themselves and loses.`;
+    if (this.isEmpty(offer)) return '🤔 Offer what? Put up at least one item or some coins.';
+
+    const open = await this.collection.countDocuments({ status: 'pending', 'from.id': from.id, expiresAt: { $gt: Date.now() } });
+    if (open >= MAX_PENDING_OFFERS) return `⏳ ${from.name} already has ${open} offers waiting for an answer.`;
+
+    const trade = {
+      _id: new ObjectId(),
+      from,
+      to,
+      offer: this.storedGoods(offer),
+      ask: this.storedGoods(ask),
+      locationId,
+      status: 'pending',
+      createdAt: Date.now(),
+      expiresAt: Date.now() + OFFER_TIMEOUT,
+    };
+    return this.transact(async session => {
+      await this.takeGoods(from, offer, session);
+      await this.collection.insertOne(trade, { session });
+      return `🤝 ${this.describeOffer({ ...trade, offer, ask })}. ${to.name} can \`!trade accept\` or \`!trade decline\` before <t:${Math.floor(trade.expiresAt / 1000)}:R>.`;
+    });
+  }
+
+  // The newest offer to an avatar, or the one from someone in particular
+  async findOffer(avatarId, fromName = '', role = 'to') {
+    const { received, sent } = await this.getPendingOffers(avatarId);
+    const offers = role === 'to' ? received : sent;
+    const other = role === 'to' ? 'from' : 'to';
+    const name = fromName.trim().toLowerCase();
+    return offers.find(trade => !name || trade[other].name.toLowerCase().includes(name)) || null;
+  }
+
+  /**
+   * Accepts an offer: the asked goods go to the offerer and the escrow to the acceptor, all or nothing.
+   * @returns {Promise<string|{message: string, outcome: object}>}
+   */
+  async accept(member, fromName = '') {
+    const trade = await this.findOffer(member.id, fromName);
+    if (!trade) return `🫠 Nobody is waiting on ${member.name} to take a trade${fromName ? ` from ${fromName}` : ''}.`;
+
+    const result = await this.transact(async session => {
+      const claimed = await this.collection.updateOne(
+        { _id: trade._id, status: 'pending' },
+        { $set: { status: 'completed', endedAt: Date.now() } },
+        { session }
+      );
+      if (!claimed.modifiedCount) throw new TradeRefusal(`🫠 The offer from ${trade.from.name} is no longer open.`);
+
+      await this.takeGoods(member, trade.ask, session);
+      await this.giveGoods(trade.from, trade.ask, session);
+      await this.giveGoods(member, trade.offer, session);
+
+      const { economy } = this.dungeonService;
+      if (trade.offer.coins) {
+        await economy.record({ type: 'trade', from: trade.from, to: member, amount: trade.offer.coins, reason: `${trade._id}`, locationId: trade.locationId }, { session });
+      }
+      if (trade.ask.coins) {
+        await economy.record({ type: 'trade', from: member, to: trade.from, amount: trade.ask.coins, reason: `${trade._id}`, locationId: trade.locationId }, { session });
+      }
+      return null;
+    });
+    if (result) return result;
+
+    const message = `🤝 ${member.name} accepts! ${trade.from.name} hands over ${this.describeGoods(trade.offer)} and gets ${this.describeGoods(trade.ask)}.`;
+    await this.dungeonService.dungeonLog.logEvent({
+      type: 'trade',
+      actorId: trade.from.id,
+      actorName: trade.from.name,
+      targetId: member.id,
+      targetName: member.name,
+      locationId: trade.locationId,
+      outcome: { tradeId: trade._id, offer: this.storedGoods(trade.offer), ask: this.storedGoods(trade.ask) },
+      result: message,
+    });
+    return { message, outcome: { tradeId: trade._id, target: trade.from } };
+  }
+
+  // Ends an open offer and returns the escrow to the offerer
+  async close(trade, status) {
+    return this.transact(async session => {
+      const claimed = await this.collection.updateOne(
+        { _id: trade._id, status: 'pending' },
+        { $set: { status, endedAt: Date.now() } },
+        { session }
+      );
+      if (!claimed.modifiedCount) return false;
+      await this.giveGoods(trade.from, trade.offer, session);
+      return true;
+    });
+  }
+
+  async decline(member, fromName = '') {
+    const trade = await this.findOffer(member.id, fromName);
+    if (!trade) return `🫠 Nobody is waiting on ${member.name} to take a trade${fromName ? ` from ${fromName}` : ''}.`;
+    if (!await this.close(trade, 'declined')) return `🫠 The offer from ${trade.from.name} is no longer open.`;
+    return `🙅 ${member.name} turns down ${trade.from.name}'s offer, and ${trade.from.name} takes back ${this.describeGoods(trade.offer)}.`;
+  }
+
+  async withdraw(member, toName = '') {
+    const trade = await this.findOffer(member.id, toName, 'from');
+    if (!trade) return `🫠 ${member.name} has no offer out${toName ? ` to ${toName}` : ''}.`;
+    if (!await this.close(trade, 'withdrawn')) return `🫠 The offer to ${trade.to.name} is no longer open.`;
+    return `↩️ ${member.name} withdraws the offer to ${trade.to.name} and takes back ${this.describeGoods(trade.offer)}.`;
+  }
+
+  // Lapsed offers go back to whoever made them
+  async scheduleExpiry() {
+    if (!this.enabled) return;
+    await this.dungeonService.scheduler?.every('trade-expiry', 60 * 1000, async () => {
+      const lapsed = await this.collection.find({ status: 'pending', expiresAt: { $lte: Date.now() } }).toArray();
+      for (const trade of lapsed) {
+        if (!await this.close(trade, 'expired')) continue;
+        await sendAsWebhook(trade.locationId, `⌛ ${trade.to.name} never answered ${trade.from.name}'s offer, so it goes back to ${trade.from.name}.`, 'Dungeon Master')
+          .catch(error => this.logger.warn(`Could not post trade news: ${error.message}`));
+      }
+    });
+  }
+}
@@ -0,0 +1,45 @@
+import { BaseTool } from './BaseTool.mjs';
+import { normalizeAbilityName } from '../AbilityService.mjs';
+
+export class AbilityTool extends BaseTool {
+  async execute(message, params, avatar) {
+    const abilities = this.dungeonService.abilities;
+
+    if (!params || !params.length) {
+      const known = await abilities.getAbilities(avatar?._id || message.author.id);
+      return known.length
+        ? `📖 ${message.author.username}'s abilities:\n${known.map(ability => abilities.describeAbility(ability)).join('\n')}`
+        : `📖 ${message.author.username} hasn't learned any abilities yet. Try one with !ability <name> [target].`;
+    }
+
+    const name = normalizeAbilityName(params[0]);
+    if (!name || this.dungeonService.tools.has(name)) {
+      return `🤔 ${params[0]} isn't an ability${name ? `; use !${name} instead` : ''}.`;
+    }
+    return this.dungeonService.creationTool.execute(message, params.slice(1), name, avatar);
+  }
+
+  getDescription() {
+    return 'List your abilities, or use one (trying a new name teaches you a new ability)';
+  }
+
+  getSyntax() {
+    return '!ability [name] [target]';
+  }
+
+  // Listing abilities is free; using one costs 2, like an attack
+  getActionCost(params) {
+    return params?.length ? 2 : 0;
+  }
+
+  getParameters() {
+    return {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'The ability to use, or a new one to try' },
+        target: { type: 'string', description: 'Who or what to use it on' }
+      },
+      required: []
+    };
+  }
+}
@@ -0,0 +1,50 @@
+import { BaseTool } from './BaseTool.mjs';
+
+export class AcceptTool extends BaseTool {
+  async execute(message, params, avatar) {
+    if (!params || !params.length) {
+      return '📋 Accept which quest? Use !quests to see what is on offer.';
+    }
+
+    const quests = this.dungeonService.quests;
+    const ownerId = avatar?._id || message.author.id;
+    const active = await quests.getActiveQuests(ownerId);
+    if (active.length >= quests.MAX_ACTIVE_QUESTS) {
+      return `🎒 ${message.author.username} already has ${active.length} quests. Finish one first!`;
+    }
+
+    // By number on the board, or by title
+    const choice = params.join(' ').replace(/^#/, '');
+    const open = await quests.getOpenQuests(message.channel.id);
+    const quest = /^\d+$/.test(choice)
+      ? open[parseInt(choice, 10) - 1]
+      : open.find(q => q.title.toLowerCase().includes(choice.toLowerCase()));
+    if (!quest) {
+      return `🫠 There is no quest "${choice}" here. Use !quests to see what is on offer.`;
+    }
+
+    const accepted = await quests.acceptQuest(quest._id, ownerId);
+    if (!accepted) {
+      return `⏳ Someone else took "${quest.title}" first.`;
+    }
+    return `🤝 ${message.author.username} accepts a quest! ${quests.describeQuest(accepted)}`;
+  }
+
+  getDescription() {
+    return 'Accept a quest offered in this location';
+  }
+
+  getSyntax() {
+    return '!accept <quest number or title>';
+  }
+
+  getParameters() {
+    return {
+      type: 'object',
+      properties: {
+        quest: { type: 'string', description: 'Number or title of the quest, as listed by quests' }
+      },
+      required: ['quest']
+    };
+  }
+}
@@ -0,0 +1,40 @@
+import { BaseTool } from './BaseTool.mjs';
+
+export class ArenaTool extends BaseTool {
+  async execute(message, params, avatar) {
+    const { tournaments } = this.dungeonService;
+    const member = { id: avatar?._id || message.author.id, name: message.author.username };
+    const action = params?.[0]?.toLowerCase();
+
+    if (action === 'open') return tournaments.open(message.channel.id, params.slice(1).join(' '));
+    if (action === 'join') return tournaments.signUp(message.channel.id, member);
+
+    const tournament = await tournaments.getTournamentAt(message.channel.id);
+    return tournament
+      ? tournaments.describe(tournament)
+      : '🏟️ The arena is quiet. Open a tournament with !arena open [name].';
+  }
+
+  getDescription() {
+    return 'Open an arena tournament here, sign up for it, or check its bracket; bouts are fought automatically';
+  }
+
+  getSyntax() {
+    return '!arena [open [name] | join | status]';
+  }
+
+  getActionCost(params) {
+    return ['open', 'join'].includes(params?.[0]?.toLowerCase()) ? 1 : 0;
+  }
+
+  getParameters() {
+    return {
+      type: 'object',
+      properties: {
+        action: { type: 'string', description: 'open, join or status' },
+        name: { type: 'string', description: 'A name for a new tournament' }
+      },
+      required: []
+    };
+  }
+}
@@ -1,5 +1,4 @@
 import { BaseTool } from './BaseTool.mjs';
-import { ObjectId } from 'mongodb';
 
 export class AttackTool extends BaseTool {
   async execute(message, params) {
@@ -19,6 +18,20 @@ export class AttackTool extends BaseTool {
   }
 
   async attack(message, targetName, attackerId) {
+    // Monsters lurking here come first
+    const monster = await this.dungeonService.monsters.findMonster(message.channel.id, targetName);
+    if (monster) {
+      const { message: result, knockedOut, attacked } = await this.takeTurn(
+        message.channel.id,
+        { avatarId: attackerId, name: message.author.username },
+        { avatarId: monster._id, name: monster.name, monsterKey: monster.key }
+      );
+      return {
+        message: result,
+        outcome: { target: { id: monster._id, name: monster.name }, ...(knockedOut ? { defeated: monster.name } : {}), ...(attacked ? {} : { refunded: true }) }
+      };
+    }
+
     const location = await this.dungeonService.getAvatarLocation(attackerId);
     const targetAvatar = await this.dungeonService.findAvatarInArea(targetName, location);
     
@@ -27,45 +40,34 @@ export class AttackTool extends BaseTool {
       return `⚰️ ${targetAvatar.name} is already dead! Have some respect for the fallen.`;
     }
 
-    const stats = await this.getStatsWithRetry(attackerId);
-    const targetStats = await this.getStatsWithRetry(targetAvatar._id);
-
-    const damage = Math.max(1, stats.attack - targetStats.defense);
-    targetStats.hp -= damage;
-
-    if (targetStats.hp <= 0) {
-      return await this.handleKnockout(message, targetAvatar, damage);
+    if (`${targetAvatar._id}` === `${attackerId}`) {
+      return `🤔 ${message.author.username} can't attack themselves.`;
     }
 
-    await this.updateStatsWithRetry(targetAvatar._id, targetStats);
-    return `⚔️ ${message.author.username} attacks ${targetAvatar.name} for ${damage} damage!`;
+    const { message: result, knockedOut, attacked } = await this.takeTurn(
+      message.channel.id,
+      { avatarId: attackerId, name: message.author.username },
+      { avatarId: targetAvatar._id, name: targetAvatar.name }
+    );
+    return {
+      message: result,
+      outcome: { target: { id: targetAvatar._id, name: targetAvatar.name }, ...(knockedOut ? { defeated: targetAvatar.name } : {}), ...(attacked ? {} : { refunded: true }) }
+    };
   }
 
-  async getStatsWithRetry(avatarId, retries = 3) {
-    for (let i = 0; i < retries; i++) {
-      try {
-        const stats = await this.dungeonService.getAvatarStats(avatarId);
-        if (!stats) {
-          return await this.dungeonService.createAvatarStats({
-            _id: new ObjectId(),
-            avatarId,
-            hp: 100,
-            attack: 10,
-            defense: 5
-          });
-        }
-        return stats;
-      } catch (error) {
-        if (i === retries - 1) throw error;
-        await new Promise(resolve => setTimeout(resolve, 100 * Math.pow(2, i)));
-      }
+  // Every attack is a turn in the channel's encounter; an attack that had to wait costs nothing
+  async takeTurn(locationId, attacker, defender) {
+    const turn = await this.dungeonService.encounters.attack(locationId, attacker, defender);
+    if (!turn.attacked) {
+      await this.dungeonService.actionPoints.refund(attacker.avatarId, this.getActionCost());
     }
+    return turn;
   }
 
   async updateStatsWithRetry(avatarId, stats, retries = 3) {
     for (let i = 0; i < retries; i++) {
       try {
-        // Update stats for the specific avatarId instead of creating new documents
+        // Only the fields passed in are written, so effect modifiers never become base stats
         return await this.dungeonService.updateAvatarStats(avatarId, {
           ...stats,
           avatarId // Ensure avatarId is included
@@ -84,24 +86,45 @@ export class AttackTool extends BaseTool {
       targetAvatar.status = 'dead';
       targetAvatar.deathTimestamp = Date.now();
       await this.dungeonService.avatarService.updateAvatar(targetAvatar);
-      return `💀 ${message.author.username} has dealt the final blow! ${targetAvatar.name} has fallen permanently! ☠️`;
+      const burial = await this.dungeonService.afterlife.handleDeath(targetAvatar, {
+        killerName: message.author.username,
+        locationId: message.channel?.id,
+      });
+      return `💀 ${message.author.username} has dealt the final blow! ${targetAvatar.name} has fallen! ☠️\n${burial}`;
     }
 
-    await this.updateStatsWithRetry(targetAvatar._id, {
-      hp: 100,
-      attack: 10,
-      defense: 5
-    });
+    // Knockouts restore hp but keep levels and xp
+    const { maxHp } = await this.dungeonService.getBaseStats(targetAvatar._id);
+    await this.updateStatsWithRetry(targetAvatar._id, { hp: maxHp });
+    await this.dungeonService.effects.clearEffects(targetAvatar._id);
     
     await this.dungeonService.avatarService.updateAvatar(targetAvatar);
     return `💥 ${message.author.username} knocked out ${targetAvatar.name} for ${damage} damage! ${targetAvatar.lives} lives remaining! 💫`;
   }
 
   getDescription() {
-    return 'Attack another avatar';
+    return 'Attack another avatar, starting or joining a turn-based fight';
   }
 
   getSyntax() {
     return '!attack <target>';
   }
+
+  getCooldown() {
+    return 10 * 1000;
+  }
+
+  getActionCost() {
+    return 2;
+  }
+
+  getParameters() {
+    return {
+      type: 'object',
+      properties: {
+        target: { type: 'string', description: 'Name of the avatar to attack' }
+      },
+      required: ['target']
+    };
+  }
 }
\ No newline at end of file
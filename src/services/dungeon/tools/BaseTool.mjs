@@ -1,3 +1,10 @@
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+};
+
 export class BaseTool {
   constructor(dungeonService) {
     this.dungeonService = dungeonService;
@@ -14,4 +21,91 @@ export class BaseTool {
   getSyntax() {
     throw new Error('Tool must implement getSyntax method');
   }
+
+  /**
+   * How long an avatar must wait before using the tool again.
+   * @returns {number} - Milliseconds.
+   */
+  getCooldown() {
+    return 0;
+  }
+
+  /**
+   * Action points the tool spends; free tools only look things up.
+   * @param {string[]} params
+   * @returns {number}
+   */
+  getActionCost(params) {
+    return 1;
+  }
+
+  /**
+   * JSON schema for the tool's arguments. Property order matches the params passed to execute().
+   * @returns {object}
+   */
+  getParameters() {
+    return { type: 'object', properties: {}, required: [] };
+  }
+
+  /**
+   * Describes the tool as a function for models that support tool calling.
+   * @param {string} name - The name the tool is registered under.
+   * @returns {object}
+   */
+  getToolDefinition(name) {
+    return {
+      type: 'function',
+      function: {
+        name,
+        description: this.getDescription(),
+        parameters: this.getParameters(),
+      },
+    };
+  }
+
+  /**
+   * Checks structured arguments against the tool's schema.
+   * @param {object} args - Arguments supplied by the model.
+   * @returns {string[]} - Validation errors, empty when the arguments are valid.
+   */
+  validateArguments(args) {
+    if (!args || typeof args !== 'object' || Array.isArray(args)) {
+      return ['arguments must be an object'];
+    }
+
+    const { properties = {}, required = [] } = this.getParameters();
+    const errors = [];
+
+    for (const key of required) {
+      if (args[key] === undefined || args[key] === null || args[key] === '') {
+        errors.push(`${key} is required`);
+      }
+    }
+
+    for (const [key, value] of Object.entries(args)) {
+      const property = properties[key];
+      if (!property) {
+        errors.push(`unknown argument ${key}`);
+      } else if (value !== undefined && value !== null && TYPE_CHECKS[property.type] && !TYPE_CHECKS[property.type](value)) {
+        errors.push(`${key} must be a ${property.type}`);
+      } else if (property.enum && !property.enum.includes(value)) {
+        errors.push(`${key} must be one of ${property.enum.join(', ')}`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Converts validated arguments into the params array execute() expects.
+   * Each argument stays whole, so multi-word names survive.
+   * @param {object} args
+   * @returns {string[]}
+   */
+  toParams(args) {
+    const { properties = {} } = this.getParameters();
+    return Object.keys(properties)
+      .filter(key => args[key] !== undefined && args[key] !== null)
+      .map(key => String(args[key]));
+  }
 }
\ No newline at end of file
@@ -0,0 +1,30 @@
+import { BaseTool } from './BaseTool.mjs';
+
+export class BuyTool extends BaseTool {
+  async execute(message, params, avatar) {
+    const buyer = { id: avatar?._id || message.author.id, name: message.author.username };
+    return this.dungeonService.economy.buy(buyer, params?.join(' ').trim(), message.channel.id);
+  }
+
+  getDescription() {
+    return 'Buy an item from the merchant here with coins, or see what they sell';
+  }
+
+  getSyntax() {
+    return '!buy [item]';
+  }
+
+  getActionCost(params) {
+    return params?.length ? 1 : 0;
+  }
+
+  getParameters() {
+    return {
+      type: 'object',
+      properties: {
+        item: { type: 'string', description: 'Name of the item to buy; leave out to see the wares' }
+      },
+      required: []
+    };
+  }
+}
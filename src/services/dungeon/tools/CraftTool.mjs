@@ -0,0 +1,44 @@
+import { BaseTool } from './BaseTool.mjs';
+
+export class CraftTool extends BaseTool {
+  async execute(message, params, avatar) {
+    const { crafting, trades } = this.dungeonService;
+    if (!params?.length) {
+      const recipes = await crafting.getRecipes();
+      const known = await Promise.all(recipes.map(recipe => crafting.describeRecipe(recipe)));
+      return `🛠️ Known recipes:\n${known.join('\n')}\nCombine anything else with !craft <items> to find out what it makes.`;
+    }
+
+    // Ingredients are written like trade goods: "2 berserker brew and iron charm"
+    const text = params.join(' ');
+    const ingredients = await trades.parseGoods(text);
+    if (!ingredients || ingredients.coins || !ingredients.items.length) {
+      return `🫠 Couldn't make out the items in "${text}". Use !craft <item>, <item> [and <item>].`;
+    }
+
+    const crafter = { id: avatar?._id || message.author.id, name: message.author.username };
+    return crafting.craft(crafter, ingredients.items, message.channel.id);
+  }
+
+  getDescription() {
+    return 'Combine items you carry into a new item; combinations nobody has tried yet make something new. Without items, lists known recipes';
+  }
+
+  getSyntax() {
+    return '!craft [<item>, <item> [and <item>]]';
+  }
+
+  getActionCost(params) {
+    return params?.length ? 2 : 0;
+  }
+
+  getParameters() {
+    return {
+      type: 'object',
+      properties: {
+        items: { type: 'string', description: 'The items to combine, e.g. "2 healing potion, iron charm"; leave out to list known recipes' }
+      },
+      required: []
+    };
+  }
+}
@@ -1,57 +1,55 @@
 import { BaseTool } from './BaseTool.mjs';
-import { OpenRouterService } from '../../openrouterService.mjs';
 
 export class CreationTool extends BaseTool {
-  constructor(dungeonService) {
-    super(dungeonService);
-    this.cache = new Map(); // Cache for generated descriptions
-    this.aiService = new OpenRouterService(); // Initialize AIService here
-  }
+  // Abilities named through !ability: learned on first use, then applied the same way every time
+  async execute(message, params, command, avatar) {
+    const abilities = this.dungeonService.abilities;
+    const actor = { id: avatar?._id || message.author.id, name: message.author.username };
+
+    const targetName = params.join(' ');
+    const target = targetName ? await this.findTarget(message, targetName, actor.id) : null;
+    if (targetName && !target) {
+      return `🫠 ${targetName} isn't here.`;
+    }
 
-  async execute(message, params, command) {
-    const cacheKey = `${command}_${params.join('_')}`;
-    
-    if (this.cache.has(cacheKey)) {
-      return this.cache.get(cacheKey);
+    const { ability, learned } = await abilities.getOrLearnAbility(actor.id, command, actor.name);
+    const result = await abilities.useAbility(actor, ability, target, message.channel.id);
+    if (!result.ok) {
+      return result.message;
     }
 
-    const prompt = this.buildPrompt(message, command, params);
-    const narrative = await this.generateNarrative(prompt);
-    
-    // Cache the result
-    this.cache.set(cacheKey, narrative);
-    
-    return narrative;
+    const narrative = await this.generateNarrative(this.buildPrompt(message, ability, target, result.message));
+    return {
+      message: `${learned ? `📖 ${actor.name} learns a new ability: ${abilities.describeAbility(ability)}\n` : ''}${narrative}\n${result.message}`,
+      // useAbility has already logged the ability event
+      outcome: { ability: ability.name, target, logged: true }
+    };
   }
 
-  buildPrompt(message, command, params) {
-    return `In a fantasy RPG setting, describe the effects of a character named ${message.author.username} 
-    using a special ability called "${command}" ${params.length ? `targeting ${params.join(' ')}` : ''}.
+  async findTarget(message, targetName, actorId) {
+    const monster = await this.dungeonService.monsters.findMonster(message.channel.id, targetName);
+    if (monster) return { id: monster._id, name: monster.name };
+
+    const location = await this.dungeonService.getAvatarLocation(actorId);
+    const avatar = await this.dungeonService.findAvatarInArea(targetName, location);
+    return avatar ? { id: avatar._id, name: avatar.name } : null;
+  }
+
+  buildPrompt(message, ability, target, outcome) {
+    return `In a fantasy RPG setting, describe ${message.author.username} 
+    using their ability "${ability.displayName}" (${ability.description}) ${target ? `on ${target.name}` : ''}.
+    What happened: ${outcome}
     Keep the response under 100 words and focus on narrative impact.
-    Include some chance of failure or partial success.
     Make it feel like part of a larger adventure story.`;
   }
 
   async generateNarrative(prompt) {
     try {
-      const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${process.env.OPENROUTER_KEY}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          model: process.env.OPENROUTER_MODEL,
-          messages: [
-            { role: "system", content: "You are a creative fantasy RPG narrator." },
-            { role: "user", content: prompt }
-          ],
-          temperature: 0.7
-        })
-      });
-
-      const data = await response.json();
-      return data.choices[0].message.content;
+      const narrative = await this.dungeonService.aiService.chat([
+        { role: "system", content: "You are a creative fantasy RPG narrator." },
+        { role: "user", content: prompt }
+      ], { temperature: 0.7 });
+      return narrative || "The mysterious power fizzles unexpectedly...";
     } catch (error) {
       this.dungeonService.logger.error(`Error generating narrative: ${error.message}`);
       return "The mysterious power fizzles unexpectedly...";
@@ -59,10 +57,14 @@ export class CreationTool extends BaseTool {
   }
 
   getDescription() {
-    return 'Handle custom abilities and actions';
+    return 'Use a custom ability, learning it on first use';
   }
 
   getSyntax() {
-    return '!<custom-action> [target]';
+    return '!ability <name> [target]';
+  }
+
+  getActionCost() {
+    return 2;
   }
-}
\ No newline at end of file
+}
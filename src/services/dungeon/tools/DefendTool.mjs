@@ -1,30 +1,36 @@
 import { BaseTool } from './BaseTool.mjs';
 
 export class DefendTool extends BaseTool {
+  constructor(dungeonService) {
+    super(dungeonService);
+    // Boosts from before effects existed were written into base stats; their jobs still remove them
+    dungeonService.scheduler?.define('defend-expire', ({ avatarId, defenseBoost }) =>
+      this.removeBoost(avatarId, defenseBoost));
+  }
+
   async execute(message) {
     const avatarId = message.author.id;
-    const stats = await this.dungeonService.getAvatarStats(avatarId);
-    
     const defenseBoost = 5;
     const boostDuration = 60000; // 1 minute
 
-    // Store original defense to ensure correct removal
-    const originalDefense = stats.defense;
-    stats.defense += defenseBoost;
-    await this.dungeonService.updateAvatarStats(avatarId, stats);
-    
-    setTimeout(async () => {
-      const currentStats = await this.dungeonService.getAvatarStats(avatarId);
-      // Only remove boost if defense hasn't been modified by other effects
-      if (currentStats.defense === stats.defense) {
-        currentStats.defense = originalDefense;
-        await this.dungeonService.updateAvatarStats(avatarId, currentStats);
-      }
-    }, boostDuration);
+    await this.dungeonService.effects.addEffect(avatarId, {
+      type: 'buff',
+      stat: 'defense',
+      amount: defenseBoost,
+      durationMs: boostDuration,
+      source: 'defend',
+      sourceId: avatarId,
+      stacking: 'refresh'
+    });
 
     return `🛡️ ${message.author.username} takes a defensive stance! Defense increased by ${defenseBoost} for 1 minute.`;
   }
 
+  async removeBoost(avatarId, defenseBoost) {
+    const baseStats = await this.dungeonService.getBaseStats(avatarId);
+    await this.dungeonService.updateAvatarStats(avatarId, { defense: baseStats.defense - defenseBoost });
+  }
+
   getDescription() {
     return 'Increase defense temporarily';
   }
@@ -32,4 +38,8 @@ export class DefendTool extends BaseTool {
   getSyntax() {
     return '!defend';
   }
+
+  getCooldown() {
+    return 30 * 1000;
+  }
 }
\ No newline at end of file
@@ -0,0 +1,61 @@
+import { BaseTool } from './BaseTool.mjs';
+
+const ACTIONS = ['join', 'onward', 'leave', 'status'];
+
+export class DelveTool extends BaseTool {
+  async execute(message, params, avatar) {
+    if (!message.channel.guild) {
+      return 'This command can only be used in a guild!';
+    }
+
+    const delves = this.dungeonService.delves;
+    const member = { id: avatar?._id || message.author.id, name: message.author.username };
+    const action = ACTIONS.includes(params?.[0]?.toLowerCase()) ? params[0].toLowerCase() : null;
+    const instance = await delves.getActiveInstance(member.id);
+
+    if (action === 'join') {
+      const here = await delves.getInstanceAt(message.channel.id);
+      if (!here) return '🫠 There is no delve to join here. Join from inside one of its rooms.';
+      if (instance && !here._id.equals(instance._id)) return `🤔 ${member.name} is already delving into ${instance.name}.`;
+      return delves.join(here, member);
+    }
+
+    if (!instance) {
+      if (action) return `🫠 ${member.name} isn't on a delve. Start one with !delve [theme].`;
+      return delves.startDelve(message.channel, member, params?.join(' ') || '');
+    }
+
+    switch (action) {
+      case 'onward':
+        return delves.advance(instance, member, message.channel);
+      case 'leave':
+        return delves.leave(instance, member);
+      default: {
+        const room = instance.rooms[instance.currentRoom];
+        return `🕳️ ${member.name} is in ${instance.name}, room ${instance.currentRoom + 1}: <#${room.id}>. Party: ${instance.party.map(m => m.name).join(', ')}. Use !delve onward once the room is clear.`;
+      }
+    }
+  }
+
+  getDescription() {
+    return 'Delve into a new dungeon instance, or join, press onward through or leave your current one';
+  }
+
+  getSyntax() {
+    return '!delve [theme | join | onward | leave | status]';
+  }
+
+  getActionCost(params) {
+    return params?.[0] === 'status' ? 0 : 3;
+  }
+
+  getParameters() {
+    return {
+      type: 'object',
+      properties: {
+        action: { type: 'string', description: 'A theme for a new dungeon, or join, onward, leave or status' }
+      },
+      required: []
+    };
+  }
+}
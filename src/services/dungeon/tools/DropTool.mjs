@@ -0,0 +1,39 @@
+import { BaseTool } from './BaseTool.mjs';
+
+export class DropTool extends BaseTool {
+  async execute(message, params, avatar) {
+    if (!params || !params.length) {
+      return '🫳 Drop what? Specify an item!';
+    }
+
+    const items = this.dungeonService.items;
+    const item = await items.findItem(params.join(' '));
+    if (!item || !await items.removeItem(avatar?._id || message.author.id, item.key)) {
+      return `🫠 ${message.author.username} isn't carrying ${params.join(' ')}.`;
+    }
+
+    await items.addLocationItem(message.channel.id, item.key);
+    return {
+      message: `🫳 ${message.author.username} drops ${items.formatItem(item)}.`,
+      outcome: { delivered: item }
+    };
+  }
+
+  getDescription() {
+    return 'Drop an item you carry in this location';
+  }
+
+  getSyntax() {
+    return '!drop <item>';
+  }
+
+  getParameters() {
+    return {
+      type: 'object',
+      properties: {
+        item: { type: 'string', description: 'Name of the item to drop' }
+      },
+      required: ['item']
+    };
+  }
+}
\ No newline at end of file
@@ -0,0 +1,50 @@
+import { BaseTool } from './BaseTool.mjs';
+
+export class DuelTool extends BaseTool {
+  async execute(message, params, avatar) {
+    const { duels } = this.dungeonService;
+    const member = { id: avatar?._id || message.author.id, name: message.author.username };
+    const action = params?.[0]?.toLowerCase();
+
+    if (action === 'accept') return duels.accept(member, message.channel.id);
+    if (action === 'decline') return duels.decline(member);
+    if (!params?.[0]) return '🧤 Duel whom? Use !duel <name> [yield hp].';
+
+    // A trailing number sets the hp at which the loser yields
+    const yieldHp = /^\d+$/.test(params[params.length - 1]) && params.length > 1 ? Number(params[params.length - 1]) : undefined;
+    const targetName = (yieldHp === undefined ? params : params.slice(0, -1)).join(' ');
+
+    const location = await this.dungeonService.getAvatarLocation(member.id);
+    const target = await this.dungeonService.findAvatarInArea(targetName, location);
+    if (!target) return `🫠 Target [${targetName}] not found in this area.`;
+    if (target.status === 'dead') return `⚰️ ${target.name} is dead and in no state to duel.`;
+
+    return {
+      message: await duels.challenge(member, { id: target._id, name: target.name }, message.channel.id, yieldHp),
+      outcome: { target: { id: target._id, name: target.name } },
+    };
+  }
+
+  getDescription() {
+    return 'Challenge another avatar to a duel that ends when one drops to the agreed hp, costing no lives; or accept or decline a challenge';
+  }
+
+  getSyntax() {
+    return '!duel <name> [yield hp] | accept | decline';
+  }
+
+  getCooldown() {
+    return 30 * 1000;
+  }
+
+  getParameters() {
+    return {
+      type: 'object',
+      properties: {
+        target: { type: 'string', description: 'Name of the avatar to challenge, or accept or decline' },
+        yieldHp: { type: 'integer', description: 'The hp at which the loser yields' }
+      },
+      required: ['target']
+    };
+  }
+}
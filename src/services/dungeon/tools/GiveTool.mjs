@@ -0,0 +1,75 @@
+import { BaseTool } from './BaseTool.mjs';
+
+export class GiveTool extends BaseTool {
+  async execute(message, params, avatar) {
+    if (!params || params.length < 2) {
+      return '🎁 Give what to whom? Use !give <target> <item>.';
+    }
+
+    const items = this.dungeonService.items;
+    const { targetName, item } = await this.splitParams(params);
+    if (!item) {
+      return `🫠 No such item in "${params.join(' ')}".`;
+    }
+
+    const ownerId = avatar?._id || message.author.id;
+    const recipient = await this.findRecipient(message, targetName, ownerId);
+    if (!recipient) {
+      return `🫠 ${targetName} isn't here.`;
+    }
+
+    if (`${recipient.id}` === `${ownerId}`) {
+      return `🤔 ${message.author.username} already has it.`;
+    }
+    if (!await items.removeItem(ownerId, item.key)) {
+      return `🫠 ${message.author.username} isn't carrying ${item.name}.`;
+    }
+
+    await items.addItem(recipient.id, item.key);
+    return {
+      message: `🎁 ${message.author.username} gives ${items.formatItem(item)} to ${recipient.name}.`,
+      outcome: { delivered: item, target: recipient }
+    };
+  }
+
+  // "Mossy Wick healing potion": the item is the longest trailing phrase that names one
+  async splitParams(params) {
+    for (let i = 1; i < params.length; i++) {
+      const item = await this.dungeonService.items.findItem(params.slice(i).join(' '));
+      if (item) return { targetName: params.slice(0, i).join(' '), item };
+    }
+    return { targetName: params[0], item: null };
+  }
+
+  // Avatars in the area first, then members of the guild
+  async findRecipient(message, targetName, ownerId) {
+    const location = await this.dungeonService.getAvatarLocation(ownerId);
+    const avatar = await this.dungeonService.findAvatarInArea(targetName, location);
+    if (avatar) return { id: avatar._id, name: avatar.name };
+
+    const members = await message.channel.guild?.members
+      .fetch({ query: targetName.replace(/^@/, ''), limit: 1 })
+      .catch(() => null);
+    const member = members?.first();
+    return member ? { id: member.user.id, name: member.displayName } : null;
+  }
+
+  getDescription() {
+    return 'Give an item you carry to another avatar or person';
+  }
+
+  getSyntax() {
+    return '!give <target> <item>';
+  }
+
+  getParameters() {
+    return {
+      type: 'object',
+      properties: {
+        target: { type: 'string', description: 'Name of the avatar or person to give the item to' },
+        item: { type: 'string', description: 'Name of the item to give' }
+      },
+      required: ['target', 'item']
+    };
+  }
+}
\ No newline at end of file
@@ -0,0 +1,33 @@
+import { BaseTool } from './BaseTool.mjs';
+
+export class InventoryTool extends BaseTool {
+  async execute(message, params, avatar) {
+    const ownerId = avatar?._id || message.author.id;
+    const items = this.dungeonService.items;
+    const inventory = await items.getInventory(ownerId);
+    const { economy } = this.dungeonService;
+    const coins = await economy.getBalance(ownerId);
+    const lying = await items.getLocationItems(message.channel.id);
+
+    const carried = inventory.length
+      ? inventory.map(entry => items.formatItem(entry.item, entry.quantity)).join(', ')
+      : 'nothing';
+    const nearby = lying.length
+      ? `\n👀 Lying here: ${lying.map(entry => items.formatItem(entry.item, entry.quantity)).join(', ')}`
+      : '';
+
+    return `🎒 ${message.author.username} is carrying ${carried}, and ${economy.formatCoins(coins)}.${nearby}`;
+  }
+
+  getDescription() {
+    return 'List the items and coins you carry and the items lying here';
+  }
+
+  getSyntax() {
+    return '!inventory';
+  }
+
+  getActionCost() {
+    return 0;
+  }
+}
\ No newline at end of file
@@ -0,0 +1,58 @@
+import { BaseTool } from './BaseTool.mjs';
+
+export class LookTool extends BaseTool {
+  async execute(message, params, avatar) {
+    const locationId = message.channel.id;
+    const location = await this.dungeonService.db.collection('locations').findOne({ channelId: locationId });
+
+    const exits = location?.exits || [];
+    const avatars = await this.dungeonService.avatarService.getAvatarsInChannel(locationId);
+    const present = avatars.filter(other => other.status !== 'dead');
+    const ghosts = avatars.filter(other => other.status === 'dead');
+    const lying = await this.dungeonService.items.getLocationItems(locationId);
+    const monsters = await this.dungeonService.monsters.getMonstersInLocation(locationId);
+
+    const lines = [`👀 **${location?.name || message.channel.name}**`];
+    if (location?.description) {
+      lines.push(location.description);
+    }
+    const { regeneration } = this.dungeonService;
+    const multiplier = regeneration.getMultiplier(location);
+    if (multiplier !== 1) {
+      lines.push(multiplier > 1
+        ? `🛏️ A restful ${regeneration.getLocationType(location)}: wounds heal ${multiplier}x faster here.`
+        : `🩸 Wounds heal slowly here.`);
+    }
+    lines.push(exits.length
+      ? `🚪 Exits: ${exits.map(exit => `<#${exit.locationId}>`).join(', ')}`
+      : '🚪 No paths lead from here yet; head somewhere new to forge one.');
+    lines.push(`🧍 Here: ${present.length ? present.map(other => `${other.emoji || ''} ${other.name}`.trim()).join(', ') : 'nobody'}`);
+    if (ghosts.length) {
+      lines.push(`👻 Ghosts: ${ghosts.map(ghost => ghost.name).join(', ')}`);
+    }
+    if (monsters.length) {
+      lines.push(`⚔️ Lurking: ${monsters.map(monster => `${monster.emoji} ${monster.name}`).join(', ')}`);
+    }
+    const shop = await this.dungeonService.economy.getShop(locationId);
+    if (shop) {
+      lines.push(this.dungeonService.economy.describeShop(shop));
+    }
+    if (lying.length) {
+      lines.push(`📦 Lying here: ${lying.map(entry => this.dungeonService.items.formatItem(entry.item, entry.quantity)).join(', ')}`);
+    }
+
+    return lines.join('\n');
+  }
+
+  getDescription() {
+    return 'Look around: the exits from here, who is present, any monsters and what is lying about';
+  }
+
+  getSyntax() {
+    return '!look';
+  }
+
+  getActionCost() {
+    return 0;
+  }
+}
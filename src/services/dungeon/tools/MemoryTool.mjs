@@ -8,7 +8,7 @@ export class MemoryTool extends BaseTool {
     }
 
     const memory = params.join(' ');
-    const memoryService = new MemoryService(this.logger);
+    const memoryService = new MemoryService(this.dungeonService.logger, this.dungeonService.db);
     await memoryService.addMemory(avatar._id, memory);
 
     return `🧠 Memory stored: "${memory}"`;
@@ -21,4 +21,14 @@ export class MemoryTool extends BaseTool {
   getSyntax() {
     return '!remember <fact>';
   }
+
+  getParameters() {
+    return {
+      type: 'object',
+      properties: {
+        fact: { type: 'string', description: 'The fact to remember' }
+      },
+      required: ['fact']
+    };
+  }
 }
\ No newline at end of file
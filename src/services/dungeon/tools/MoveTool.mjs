@@ -8,7 +8,7 @@ export class MoveTool extends BaseTool {
     if (!dungeonService.client) {
       throw new Error('Discord client is required for MoveTool');
     }
-    this.locationService = new LocationService(dungeonService.client, dungeonService.aiService);
+    this.locationService = new LocationService(dungeonService.client, dungeonService.aiService, dungeonService.db);
   }
 
   async execute(message, params, avatar) {
@@ -30,32 +30,57 @@ export class MoveTool extends BaseTool {
     }
 
     try {
-      const currentLocation = await this.dungeonService.getAvatarLocation(avatar._id);
-      const newLocation = await this.locationService.findOrCreateLocation(
-        message.channel.guild, 
-        destination,
-        message.channel
-      );
+      const guild = message.channel.guild;
+      const currentLocation = await this.dungeonService.getAvatarLocation(avatar._id)
+        || { id: message.channel.id, name: message.channel.name, channel: message.channel };
 
+      // Exits lead to adjacent locations; anywhere else needs a teleport
+      let newLocation = await this.locationService.findExit(guild, currentLocation.id, destination);
+      let teleport = null;
       if (!newLocation) {
-        return "Failed to find or create that location!";
+        newLocation = await this.locationService.findOrCreateLocation(guild, destination, message.channel);
+        if (!newLocation) {
+          return "Failed to find or create that location!";
+        }
+
+        if (newLocation.created) {
+          await this.locationService.linkLocations(currentLocation, newLocation);
+        } else if (newLocation.channel.id !== currentLocation.id) {
+          teleport = await this.useTeleport(avatar._id);
+          if (!teleport) {
+            return `🚧 ${newLocation.channel.name} can't be reached from here. ${await this.describeExits(currentLocation.id)}`;
+          }
+        }
+      }
+
+      if (currentLocation.channel?.id === newLocation.channel.id) {
+        return "You're already there!";
       }
 
       // Handle departure message
-      if (currentLocation?.channel) {  // Add null check and channel check
-        if (currentLocation.channel.id === newLocation.channel.id) {
-          return "You're already there!";
-        }
+      if (currentLocation.channel) {
         try {
           const departureMessage = await this.locationService.generateDepartureMessage(avatar, currentLocation, newLocation);
-          return departureMessage;
+          await sendAsWebhook(
+            currentLocation.channel.id,
+            departureMessage,
+            currentLocation.name,
+            currentLocation.imageUrl);
         } catch (error) {
           console.error('Error sending departure message:', error);
         }
       }
 
+      // Companions standing here come along
+      const companions = await this.dungeonService.parties.getCompanionsAt(avatar._id, currentLocation.id);
+
       // Update position and set maximum attention in new location
       await this.dungeonService.updateAvatarPosition(avatar._id, newLocation.channel.id);
+      await this.dungeonService.progression.recordVisit(avatar._id, newLocation.channel.id);
+      for (const companion of companions) {
+        await this.dungeonService.moveAvatar(companion.id, newLocation.channel.id);
+        await this.dungeonService.progression.recordVisit(companion.id, newLocation.channel.id);
+      }
 
       // Generate and send arrival message
       try {
@@ -73,18 +98,69 @@ export class MoveTool extends BaseTool {
         console.error('Error sending arrival message:', error);
       }
 
-      return `${avatar.name} moved to ${newLocation.channel.name}!`;
+      const together = companions.length ? ` with ${companions.map(companion => companion.name).join(', ')}` : '';
+      return {
+        message: teleport
+          ? `🌀 ${avatar.name} ${teleport} to ${newLocation.channel.name}${together}!`
+          : `${avatar.name} moved to ${newLocation.channel.name}${together}!`,
+        outcome: { visited: { id: newLocation.channel.id, name: newLocation.channel.name } }
+      };
     } catch (error) {
       console.error('Error in MoveTool execute:', error);
       return "Failed to move: " + error.message;
     }
   }
 
+  /**
+   * Spends a teleport if the avatar has one: an active teleport effect
+   * (from an ability) or a teleport item, which is used up if consumable.
+   * @returns {Promise<string|null>} - How the avatar travels, or null if it can't teleport.
+   */
+  async useTeleport(avatarId) {
+    const stats = await this.dungeonService.getAvatarStats(avatarId);
+    if (stats.effects.some(effect => effect.stat === 'teleport')) {
+      return 'vanishes and reappears';
+    }
+
+    const items = this.dungeonService.items;
+    const inventory = await items.getInventory(avatarId);
+    const entry = inventory.find(({ item }) => item.teleport);
+    if (!entry || (entry.item.consumable && !await items.removeItem(avatarId, entry.item.key))) {
+      return null;
+    }
+    return `uses ${items.formatItem(entry.item)} and is whisked away`;
+  }
+
+  async describeExits(locationId) {
+    const exits = await this.locationService.getExits(locationId);
+    return exits.length
+      ? `🚪 Exits: ${exits.map(exit => `<#${exit.locationId}>`).join(', ')}`
+      : '🚪 There are no paths from here yet; head somewhere new to forge one.';
+  }
+
   getDescription() {
-    return 'Move to a different area';
+    return 'Move through an exit to an adjacent area, or explore somewhere new';
   }
 
   getSyntax() {
-    return '!move <location>';
+    return '!move <exit or new location>';
+  }
+
+  getCooldown() {
+    return 30 * 1000;
+  }
+
+  getActionCost() {
+    return 2;
+  }
+
+  getParameters() {
+    return {
+      type: 'object',
+      properties: {
+        destination: { type: 'string', description: 'An exit from here, or the name of a new place to explore' }
+      },
+      required: ['destination']
+    };
   }
 }
\ No newline at end of file
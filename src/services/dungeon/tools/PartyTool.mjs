@@ -0,0 +1,58 @@
+import { BaseTool } from './BaseTool.mjs';
+
+export class PartyTool extends BaseTool {
+  async execute(message, params, avatar) {
+    const { parties } = this.dungeonService;
+    const member = { id: avatar?._id || message.author.id, name: message.author.username };
+    const action = params?.[0]?.toLowerCase();
+
+    switch (action) {
+      case 'invite': {
+        const targetName = params.slice(1).join(' ');
+        if (!targetName) return '📨 Invite whom? Use !party invite <name>.';
+
+        const location = await this.dungeonService.getAvatarLocation(member.id);
+        const target = await this.dungeonService.findAvatarInArea(targetName, location);
+        if (!target) return `🫠 Target [${targetName}] not found in this area.`;
+        if (target.status === 'dead') return `⚰️ ${target.name} is dead and can't travel with anyone.`;
+        return {
+          message: await parties.invite(member, { id: target._id, name: target.name }),
+          outcome: { target: { id: target._id, name: target.name } },
+        };
+      }
+      case 'join':
+        return parties.join(member);
+      case 'leave':
+        return parties.leave(member);
+      default: {
+        const party = await parties.getParty(member.id);
+        return party?.members.length > 1
+          ? parties.describeParty(party)
+          : `🫠 ${member.name} travels alone. Use !party invite <name> to find companions.`;
+      }
+    }
+  }
+
+  getDescription() {
+    return 'Invite someone here to your party, join a party that invited you, or leave yours; a party travels, fights and quests together';
+  }
+
+  getSyntax() {
+    return '!party [invite <name> | join | leave]';
+  }
+
+  getActionCost(params) {
+    return params?.[0] ? 1 : 0;
+  }
+
+  getParameters() {
+    return {
+      type: 'object',
+      properties: {
+        action: { type: 'string', description: 'invite, join or leave; leave out to see your party' },
+        name: { type: 'string', description: 'Who to invite' }
+      },
+      required: []
+    };
+  }
+}
@@ -0,0 +1,42 @@
+import { BaseTool } from './BaseTool.mjs';
+
+export class PayTool extends BaseTool {
+  async execute(message, params, avatar) {
+    const amount = Number(params?.[params.length - 1]);
+    if (!params || params.length < 2 || !Number.isInteger(amount)) {
+      return '💰 Pay whom, and how much? Use !pay <target> <amount>.';
+    }
+
+    // People can be paid too, the same way they are given items
+    const targetName = params.slice(0, -1).join(' ');
+    const payee = await this.dungeonService.tools.get('give').findRecipient(message, targetName);
+    if (!payee) {
+      return `🫠 ${targetName} isn't here.`;
+    }
+
+    const payer = { id: avatar?._id || message.author.id, name: message.author.username };
+    return {
+      message: await this.dungeonService.economy.pay(payer, payee, amount, message.channel.id),
+      outcome: { target: payee },
+    };
+  }
+
+  getDescription() {
+    return 'Pay coins to another avatar or person';
+  }
+
+  getSyntax() {
+    return '!pay <target> <amount>';
+  }
+
+  getParameters() {
+    return {
+      type: 'object',
+      properties: {
+        target: { type: 'string', description: 'Name of the avatar or person to pay' },
+        amount: { type: 'integer', description: 'How many coins' }
+      },
+      required: ['target', 'amount']
+    };
+  }
+}
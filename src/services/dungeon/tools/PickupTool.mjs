@@ -0,0 +1,36 @@
+import { BaseTool } from './BaseTool.mjs';
+
+export class PickupTool extends BaseTool {
+  async execute(message, params, avatar) {
+    if (!params || !params.length) {
+      return '🤲 Pick up what? Specify an item!';
+    }
+
+    const items = this.dungeonService.items;
+    const item = await items.findItem(params.join(' '));
+    if (!item || !await items.takeLocationItem(message.channel.id, item.key)) {
+      return `🫠 There is no ${params.join(' ')} here.`;
+    }
+
+    await items.addItem(avatar?._id || message.author.id, item.key);
+    return `🤲 ${message.author.username} picks up ${items.formatItem(item)}.`;
+  }
+
+  getDescription() {
+    return 'Pick up an item lying in this location';
+  }
+
+  getSyntax() {
+    return '!pickup <item>';
+  }
+
+  getParameters() {
+    return {
+      type: 'object',
+      properties: {
+        item: { type: 'string', description: 'Name of the item to pick up' }
+      },
+      required: ['item']
+    };
+  }
+}
\ No newline at end of file
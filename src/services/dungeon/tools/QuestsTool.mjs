@@ -0,0 +1,36 @@
+import { BaseTool } from './BaseTool.mjs';
+
+export class QuestsTool extends BaseTool {
+  async execute(message, params, avatar) {
+    const quests = this.dungeonService.quests;
+    const board = await quests.getQuestBoard(message.channel.id, message.channel.name);
+    const active = await quests.getActiveQuests(avatar?._id || message.author.id);
+
+    const lines = [];
+    if (board.length) {
+      lines.push(`📋 Quests on offer in ${message.channel.name}:`);
+      lines.push(...board.map((quest, i) => `${i + 1}. ${quests.describeQuest(quest)}${quest.description ? ` - ${quest.description}` : ''}`));
+      lines.push('Use !accept <number> to take one.');
+    } else {
+      lines.push(`📋 Nobody in ${message.channel.name} needs anything right now.`);
+    }
+    if (active.length) {
+      lines.push(`🗺️ ${message.author.username}'s quests:`);
+      lines.push(...active.map(quest => quests.describeQuest(quest)));
+    }
+
+    return lines.join('\n');
+  }
+
+  getDescription() {
+    return 'List the quests offered here and the ones you have accepted';
+  }
+
+  getSyntax() {
+    return '!quests';
+  }
+
+  getActionCost() {
+    return 0;
+  }
+}
@@ -0,0 +1,32 @@
+import { BaseTool } from './BaseTool.mjs';
+
+export class RestTool extends BaseTool {
+  async execute(message, params, avatar) {
+    const avatarId = avatar?._id || message.author.id;
+    const { encounters, regeneration } = this.dungeonService;
+
+    // No napping in the middle of a fight
+    const encounter = await encounters.getActiveEncounter(message.channel.id);
+    if (encounter && encounters.getActiveParticipants(encounter).some(p => `${p.avatarId}` === `${avatarId}`)) {
+      return `⚔️ ${message.author.username} can't rest in the middle of a fight!`;
+    }
+
+    return regeneration.rest(avatarId, message.author.username, message.channel.id);
+  }
+
+  getDescription() {
+    return 'Rest for a minute to recover hp, more in taverns and sanctums; you cannot act while resting';
+  }
+
+  getSyntax() {
+    return '!rest';
+  }
+
+  getCooldown() {
+    return this.dungeonService.regeneration.config.rest.cooldownMs;
+  }
+
+  getActionCost() {
+    return 0;
+  }
+}
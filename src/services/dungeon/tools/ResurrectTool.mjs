@@ -0,0 +1,48 @@
+import { BaseTool } from './BaseTool.mjs';
+import { escapeRegExp } from '../../utils.mjs';
+
+export class ResurrectTool extends BaseTool {
+  async execute(message, params, avatar) {
+    const name = params?.join(' ').trim();
+    if (!name) {
+      return '🕯️ Resurrect whom? Use !resurrect <name>.';
+    }
+
+    const fallen = await this.dungeonService.db.collection('avatars').findOne({
+      name: new RegExp(`^${escapeRegExp(name)}$`, 'i'),
+      status: 'dead'
+    });
+    if (!fallen) {
+      return `🤔 There is no fallen ${name} to call back.`;
+    }
+
+    const supporter = { id: avatar?._id || message.author.id, name: message.author.username };
+    return this.dungeonService.afterlife.performRitual(supporter, fallen);
+  }
+
+  getDescription() {
+    return 'Start or join the ritual to bring a fallen avatar back from the graveyard; it costs hp and needs several supporters';
+  }
+
+  getSyntax() {
+    return '!resurrect <name>';
+  }
+
+  getCooldown() {
+    return 10 * 60 * 1000;
+  }
+
+  getActionCost() {
+    return 5;
+  }
+
+  getParameters() {
+    return {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'Name of the fallen avatar' }
+      },
+      required: ['name']
+    };
+  }
+}
@@ -0,0 +1,30 @@
+import { BaseTool } from './BaseTool.mjs';
+
+export class SellTool extends BaseTool {
+  async execute(message, params, avatar) {
+    if (!params?.length) {
+      return '💰 Sell what? Use !sell <item>.';
+    }
+
+    const seller = { id: avatar?._id || message.author.id, name: message.author.username };
+    return this.dungeonService.economy.sell(seller, params.join(' '), message.channel.id);
+  }
+
+  getDescription() {
+    return 'Sell an item you carry to the merchant here for coins';
+  }
+
+  getSyntax() {
+    return '!sell <item>';
+  }
+
+  getParameters() {
+    return {
+      type: 'object',
+      properties: {
+        item: { type: 'string', description: 'Name of the item to sell' }
+      },
+      required: ['item']
+    };
+  }
+}
@@ -0,0 +1,86 @@
+import { BaseTool } from './BaseTool.mjs';
+
+export class TradeTool extends BaseTool {
+  async execute(message, params, avatar) {
+    const { trades } = this.dungeonService;
+    if (!trades.enabled) {
+      return '🚫 Trading is closed here: it needs MongoDB running as a replica set.';
+    }
+    const member = { id: avatar?._id || message.author.id, name: message.author.username };
+    const action = params?.[0]?.toLowerCase();
+    const rest = (params || []).slice(1).join(' ');
+
+    switch (action) {
+      case 'offer':
+        return this.offer(message, member, rest);
+      case 'accept':
+        return trades.accept(member, rest);
+      case 'decline':
+        return trades.decline(member, rest);
+      case 'withdraw':
+        return trades.withdraw(member, rest);
+      default: {
+        const { received, sent } = await trades.getPendingOffers(member.id);
+        if (!received.length && !sent.length) {
+          return `🫠 No trades are waiting on ${member.name}. Use !trade offer <avatar> <goods> [for <goods>].`;
+        }
+        return [
+          ...received.map(trade => `📥 ${trades.describeOffer(trade)}`),
+          ...sent.map(trade => `📤 ${trades.describeOffer(trade)}`),
+        ].join('\n');
+      }
+    }
+  }
+
+  // "Mossy Wick 2 healing potion, 10 coins for iron charm": the avatar is the shortest leading phrase the goods parse after
+  async offer(message, member, text) {
+    const usage = '🤝 Offer what to whom? Use !trade offer <avatar> <goods> [for <goods>].';
+    const words = text.split(/\s+/).filter(Boolean);
+    if (words.length < 2) return usage;
+
+    const { trades } = this.dungeonService;
+    for (let i = 1; i < words.length; i++) {
+      const [offered, asked = 'nothing'] = words.slice(i).join(' ').split(/\s+for\s+/i);
+      const offer = await trades.parseGoods(offered);
+      const ask = offer && await trades.parseGoods(asked);
+      if (!ask) continue;
+
+      const targetName = words.slice(0, i).join(' ');
+      const location = await this.dungeonService.getAvatarLocation(member.id);
+      const target = await this.dungeonService.findAvatarInArea(targetName, location);
+      if (!target) return `🫠 Target [${targetName}] not found in this area.`;
+      if (target.status === 'dead') return `⚰️ ${target.name} is dead and has no use for trinkets.`;
+
+      const to = { id: target._id, name: target.name };
+      return {
+        message: await trades.offer(member, to, offer, ask, message.channel.id),
+        outcome: { target: to },
+      };
+    }
+    return `🫠 Couldn't make out the goods in "${text}". ${usage}`;
+  }
+
+  getDescription() {
+    return 'Offer items and coins to an avatar here in exchange for theirs, or accept, decline or withdraw an offer; offered goods are held until the offer is answered';
+  }
+
+  getSyntax() {
+    return '!trade [offer <avatar> <goods> [for <goods>] | accept [name] | decline [name] | withdraw [name]]';
+  }
+
+  getActionCost(params) {
+    return params?.[0] && this.dungeonService.trades.enabled ? 1 : 0;
+  }
+
+  getParameters() {
+    return {
+      type: 'object',
+      properties: {
+        action: { type: 'string', description: 'offer, accept, decline or withdraw; leave out to see open offers' },
+        target: { type: 'string', description: 'The avatar to offer to, or whose offer to answer' },
+        terms: { type: 'string', description: 'For offers: what you give and, after "for", what you want, e.g. "healing potion, 10 coins for iron charm"' }
+      },
+      required: []
+    };
+  }
+}
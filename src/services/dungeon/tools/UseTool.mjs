@@ -0,0 +1,77 @@
+import { BaseTool } from './BaseTool.mjs';
+
+export class UseTool extends BaseTool {
+  async execute(message, params, avatar) {
+    if (!params || !params.length) {
+      return '✋ Use what? Specify an item!';
+    }
+
+    const items = this.dungeonService.items;
+    const ownerId = avatar?._id || message.author.id;
+    const { item, targetName } = await this.splitParams(params);
+    if (!item || !await items.hasItem(ownerId, item.key)) {
+      return `🫠 ${message.author.username} isn't carrying ${params.join(' ')}.`;
+    }
+    if (!item.use) {
+      return `🤔 ${items.formatItem(item)} can't be used like that${item.gates ? `; it lets its holder ${item.gates}` : ''}.`;
+    }
+
+    let target = { id: ownerId, name: message.author.username };
+    if (targetName) {
+      const location = await this.dungeonService.getAvatarLocation(ownerId);
+      const targetAvatar = await this.dungeonService.findAvatarInArea(targetName, location);
+      if (!targetAvatar) return `🫠 ${targetName} isn't here.`;
+      target = { id: targetAvatar._id, name: targetAvatar.name };
+    }
+
+    if (item.consumable && !await items.removeItem(ownerId, item.key)) {
+      return `🫠 ${message.author.username} isn't carrying ${item.name}.`;
+    }
+
+    const results = [];
+    if (item.use.heal) {
+      const stats = await this.dungeonService.getAvatarStats(target.id);
+      const hp = Math.min(stats.maxHp, stats.hp + item.use.heal);
+      await this.dungeonService.updateAvatarStats(target.id, { hp });
+      results.push(`❣️ ${target.name} recovers ${hp - stats.hp} hp.`);
+    }
+    if (item.use.effect) {
+      await this.dungeonService.effects.addEffect(target.id, {
+        ...item.use.effect,
+        source: item.key,
+        sourceId: ownerId
+      });
+      results.push(`✨ ${target.name} feels the ${item.name} take hold.`);
+    }
+
+    return `${item.emoji || '📦'} ${message.author.username} uses ${item.name}${targetName ? ` on ${target.name}` : ''}! ${results.join(' ')}`;
+  }
+
+  // "healing potion Mossy Wick": the item is the longest leading phrase that names one
+  async splitParams(params) {
+    for (let i = params.length; i > 0; i--) {
+      const item = await this.dungeonService.items.findItem(params.slice(0, i).join(' '));
+      if (item) return { item, targetName: params.slice(i).join(' ') };
+    }
+    return { item: null, targetName: '' };
+  }
+
+  getDescription() {
+    return 'Use an item you carry, on yourself or another avatar';
+  }
+
+  getSyntax() {
+    return '!use <item> [target]';
+  }
+
+  getParameters() {
+    return {
+      type: 'object',
+      properties: {
+        item: { type: 'string', description: 'Name of the item to use' },
+        target: { type: 'string', description: 'Avatar to use it on; defaults to yourself' }
+      },
+      required: ['item']
+    };
+  }
+}
\ No newline at end of file
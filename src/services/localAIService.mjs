@@ -0,0 +1,91 @@
+import OpenAI from 'openai';
+
+// Tool arguments arrive as a JSON string; malformed JSON is left for validation to reject
+function parseArguments(json) {
+  try {
+    return JSON.parse(json || '{}');
+  } catch {
+    return null;
+  }
+}
+
+// Talks to any OpenAI-compatible server (llama.cpp, LM Studio, vLLM, ...)
+export class LocalAIService {
+  constructor(baseURL = process.env.LOCAL_AI_BASE_URL, apiKey = process.env.LOCAL_AI_API_KEY) {
+    this.model = process.env.LOCAL_AI_MODEL || 'local-model';
+    this.openai = new OpenAI({
+      apiKey: apiKey || 'local',
+      baseURL: baseURL || 'http://127.0.0.1:8080/v1',
+    });
+  }
+
+  // Method to generate a completion from the local endpoint
+  async generateCompletion(prompt, options = {}) {
+    const { model = this.model, format, ...rest } = options;
+    try {
+      const response = await this.openai.completions.create({
+        model,
+        prompt,
+        ...rest,
+      });
+      if (!response || !response.choices || response.choices.length === 0) {
+        console.error('Invalid response from local AI during completion generation.');
+        return null;
+      }
+      return response.choices[0].text.trim();
+    } catch (error) {
+      console.error('Error while generating completion from local AI:', error);
+      return null;
+    }
+  }
+
+  // Method to have a chat with the local endpoint
+  async chat(messages, options = {}) {
+    const { model = this.model, format, ...rest } = options;
+    try {
+      const response = await this.openai.chat.completions.create({
+        model,
+        messages: messages.filter(T => T.content),
+        response_format: format === 'json' ? { type: 'json_object' } : undefined,
+        ...rest,
+      });
+      if (!response || !response.choices || response.choices.length === 0) {
+        console.error('Invalid response from local AI during chat.');
+        return null;
+      }
+      return response.choices[0].message.content.trim() || '...';
+    } catch (error) {
+      console.error('Error while chatting with local AI:', error);
+      return null;
+    }
+  }
+
+  // Chat with function definitions; returns the reply text and any tool calls
+  async chatWithTools(messages, tools, options = {}) {
+    const { model = this.model, format, ...rest } = options;
+    try {
+      const response = await this.openai.chat
+        .completions.create({
+          model,
+          messages: messages.filter(T => T.content),
+          tools,
+          ...rest,
+        });
+      if (!response || !response.choices || response.choices.length === 0) {
+        console.error('Invalid response from local AI during chat.');
+        return null;
+      }
+      const { content, tool_calls } = response.choices[0].message;
+      return {
+        content: (content || '').trim(),
+        toolCalls: (tool_calls || []).map(call => ({
+          name: call.function.name,
+          arguments: parseArguments(call.function.arguments),
+        })),
+      };
+    } catch (error) {
+      console.error('Error while chatting with local AI:', error);
+      return null;
+    }
+  }
+}
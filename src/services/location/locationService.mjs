@@ -1,18 +1,17 @@
 import Fuse from 'fuse.js';
-import { OpenRouterService } from '../openrouterService.mjs';
+import { AIService } from '../aiService.mjs';
 import { uploadImage } from '../s3imageService.mjs';
 import { sendAsWebhook } from '../discordService.mjs';
-import { MongoClient } from 'mongodb';
 import Replicate from 'replicate';
 import fs from 'fs/promises';
 
 export class LocationService {
-  constructor(discordClient, aiService = null) {
+  constructor(discordClient, aiService = null, db = null) {
     if (!discordClient) {
       throw new Error('Discord client is required for LocationService');
     }
     this.client = discordClient;
-    this.aiService = aiService || new OpenRouterService(); // Allow injection or create new
+    this.aiService = aiService || new AIService(); // Allow injection or create new
     this.fuseOptions = {
       threshold: 0.4,
       keys: ['name']
@@ -28,17 +27,7 @@ export class LocationService {
     this.SUMMARY_THRESHOLD = 100; // Messages before generating summary
     this.MAX_STORED_MESSAGES = 50; // Keep last 50 messages for context
 
-    this.db = null;
-    this.initDatabase();
-  }
-
-  async initDatabase() {
-    try {
-      const client = await MongoClient.connect(process.env.MONGO_URI);
-      this.db = client.db('cosyworld2');
-    } catch (error) {
-      console.error('Failed to connect to MongoDB:', error);
-    }
+    this.db = db;
   }
 
   // Function to download image
@@ -173,9 +162,26 @@ export class LocationService {
       // Try to find existing location
       const matches = fuse.search(cleanLocationName, { limit: 1 });
       if (matches.length > 0) {
-        return matches[0].item;
+        return { ...matches[0].item, id: matches[0].item.channel.id, created: false };
       }
 
+      return await this.createLocation(guild, cleanLocationName, sourceChannel);
+    } catch (error) {
+      console.error('Error in findOrCreateLocation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Creates a location thread with a generated description and image.
+   * @param {Guild} guild
+   * @param {string} cleanLocationName - Used as is.
+   * @param {Channel} [sourceChannel] - Where to open the thread; defaults to the first channel with threads.
+   * @param {object} [fields] - Extra fields for the stored location, such as a dungeon `instanceId`.
+   * @returns {Promise<object>} - The new location.
+   */
+  async createLocation(guild, cleanLocationName, sourceChannel = null, fields = {}) {
+    try {
       // Use the source channel if provided, otherwise find/create #locations
       let parentChannel = sourceChannel;
       if (!parentChannel || !parentChannel.threads) {
@@ -229,6 +235,7 @@ export class LocationService {
               name: cleanLocationName,
               description: evocativeDescription,
               imageUrl: locationImage,
+              ...fields,
               createdAt: new Date(),
               updatedAt: new Date()
             }
@@ -242,15 +249,61 @@ export class LocationService {
         name: cleanLocationName,
         channel: thread,
         description: evocativeDescription,
-        imageUrl: locationImage
+        imageUrl: locationImage,
+        created: true
       };
 
     } catch (error) {
-      console.error('Error in findOrCreateLocation:', error);
+      console.error('Error in createLocation:', error);
       throw error;
     }
   }
 
+  /**
+   * Named exits leading out of a location.
+   * @param {string} locationId - Channel or thread ID.
+   * @returns {Promise<Array<{locationId: string, name: string}>>}
+   */
+  async getExits(locationId) {
+    if (!this.db) return [];
+    const location = await this.db.collection('locations').findOne({ channelId: locationId });
+    return location?.exits || [];
+  }
+
+  /**
+   * Joins two locations with an exit in each direction.
+   * @param {{id: string, name: string}} from
+   * @param {{id: string, name: string}} to
+   */
+  async linkLocations(from, to) {
+    if (!this.db || from.id === to.id) return;
+
+    const link = (a, b) => this.db.collection('locations').updateOne(
+      { channelId: a.id },
+      {
+        $addToSet: { exits: { locationId: b.id, name: b.name } },
+        $setOnInsert: { name: a.name, createdAt: new Date() }
+      },
+      { upsert: true }
+    );
+    await Promise.all([link(from, to), link(to, from)]);
+  }
+
+  /**
+   * Finds the exit out of a location that best matches a destination name.
+   * @returns {Promise<object|null>} - The destination location, or null if no exit matches.
+   */
+  async findExit(guild, locationId, destination) {
+    const exits = await this.getExits(locationId);
+    const exitById = exits.find(exit => destination.includes(exit.locationId));
+    const [match] = exitById ? [{ item: exitById }] : new Fuse(exits, this.fuseOptions).search(destination, { limit: 1 });
+    if (!match) return null;
+
+    const channel = await guild.channels.fetch(match.item.locationId).catch(() => null);
+    if (!channel) return null;
+    return { id: channel.id, name: channel.name, channel, created: false };
+  }
+
   async getAllLocations(guild) {
     const locations = [];
     
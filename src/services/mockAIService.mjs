@@ -0,0 +1,52 @@
+// Deterministic stand-in for the hosted models, used for offline runs.
+// The same conversation always produces the same reply.
+
+const REPLIES = [
+  '*looks around thoughtfully* what a curious place this is 🌙',
+  'hmm, i was just thinking the same thing ✨',
+  '*stretches* the dungeon feels quiet today 🕯️',
+  'tell me more, friend 👀',
+  '*hums a little tune* 🎶',
+];
+
+const NAMES = ['Mossy Wick', 'Ember Thistle', 'Quill Hollow', 'Juniper Vale', 'Pebble Moon'];
+const EMOJIS = ['🍄', '🔥', '🪶', '🌿', '🌙'];
+
+function hash(text) {
+  let h = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+export class MockAIService {
+  constructor() {
+    this.model = 'mock';
+  }
+
+  reply(prompt, wantsJson) {
+    const seed = hash(prompt || '');
+    if (wantsJson) {
+      const index = seed % NAMES.length;
+      return JSON.stringify({
+        name: NAMES[index],
+        description: `A small wanderer who smells faintly of ${['rain', 'smoke', 'ink', 'pine', 'starlight'][index]}.`,
+        personality: 'curious, gentle and a little mischievous',
+        emoji: EMOJIS[index],
+      });
+    }
+    return REPLIES[seed % REPLIES.length];
+  }
+
+  async generateCompletion(prompt, options = {}) {
+    return this.reply(prompt, options.format === 'json');
+  }
+
+  async chat(messages, options = {}) {
+    const prompt = messages.map(m => m.content || '').join('\n');
+    const last = messages[messages.length - 1]?.content || '';
+    return this.reply(prompt, options.format === 'json' || /\bjson\b/i.test(last));
+  }
+}
@@ -1,17 +1,31 @@
-import ollama from 'ollama';
+import { Ollama } from 'ollama';
 
 export class OllamaService {
-  constructor() {
-    this.model = 'llama3.2';
+  constructor(host = process.env.OLLAMA_HOST) {
+    this.model = process.env.OLLAMA_MODEL || 'llama3.2';
+    this.ollama = new Ollama({ host });
+  }
+
+  // Translate the shared chat options into Ollama's request shape
+  buildRequest(options = {}) {
+    const { model = this.model, format, temperature, stop, max_tokens } = options;
+    return {
+      model,
+      format,
+      options: {
+        temperature,
+        stop: stop ? [].concat(stop) : undefined,
+        num_predict: max_tokens,
+      },
+    };
   }
 
   // Method to generate a completion from Ollama
   async generateCompletion(prompt, options = {}) {
     try {
-      const response = await ollama.generate({
-        model: this.model,
+      const response = await this.ollama.generate({
+        ...this.buildRequest(options),
         prompt,
-        ...options,
       });
       if (!response || !response.response || response.response.length === 0) {
         console.error('Invalid response from Ollama during completion generation.');
@@ -27,10 +41,9 @@ export class OllamaService {
   // Method to have a chat with Ollama
   async chat(messages, options = {}) {
     try {
-      const response = await ollama.chat({
-        model: this.model,
+      const response = await this.ollama.chat({
+        ...this.buildRequest(options),
         messages,
-        ...options,
       });
       if (!response || !response.message || !response.message.content) {
         console.error('Invalid response from Ollama during chat.');
@@ -42,4 +55,29 @@ export class OllamaService {
       return null;
     }
   }
+
+  // Chat with function definitions; returns the reply text and any tool calls
+  async chatWithTools(messages, tools, options = {}) {
+    try {
+      const response = await this.ollama.chat({
+        ...this.buildRequest(options),
+        messages,
+        tools,
+      });
+      if (!response || !response.message) {
+        console.error('Invalid response from Ollama during chat.');
+        return null;
+      }
+      return {
+        content: (response.message.content || '').trim(),
+        toolCalls: (response.message.tool_calls || []).map(call => ({
+          name: call.function.name,
+          arguments: call.function.arguments,
+        })),
+      };
+    } catch (error) {
+      console.error('Error while chatting with Ollama:', error);
+      return null;
+    }
+  }
 }
\ No newline at end of file
@@ -1,5 +1,13 @@
 import OpenAI from 'openai';
-import models from '../models.config.mjs';
+
+// Tool arguments arrive as a JSON string; malformed JSON is left for validation to reject
+function parseArguments(json) {
+  try {
+    return JSON.parse(json || '{}');
+  } catch {
+    return null;
+  }
+}
 
 export class OpenRouterService {
   constructor(apiKey) {
@@ -12,48 +20,16 @@ export class OpenRouterService {
         'X-Title': 'rativerse',      // Optional. Shows in rankings on openrouter.ai.
       },
     });
-    this.modelConfig = models;
-  }
-
-  async selectRandomModel() {
-    const rarityRanges = [
-      { rarity: 'common', min: 1, max: 12 },        // Common: 1-12 (60%)
-      { rarity: 'uncommon', min: 13, max: 17 },    // Uncommon: 13-17 (25%)
-      { rarity: 'rare', min: 18, max: 19 },        // Rare: 18-19 (10%)
-      { rarity: 'legendary', min: 20, max: 20 },   // Legendary: 20 (5%)
-    ];
-
-    // Roll a d20
-    const roll = Math.ceil(Math.random() * 20);
-
-    // Determine rarity based on the roll
-    const selectedRarity = rarityRanges.find(range => roll >= range.min && roll <= range.max)?.rarity;
-
-    // Filter models by the selected rarity
-    const availableModels = this.modelConfig.filter(model => model.rarity === selectedRarity);
-
-    // Return a random model from the selected rarity group or fallback to default
-    if (availableModels.length > 0) {
-      const randomIndex = Math.floor(Math.random() * availableModels.length);
-      return availableModels[randomIndex].model;
-    }
-
-    // Fallback to default if no models are found
-    return this.model;
-  }
-
-
-  modelIsAvailable(model) {
-    return this.modelConfig.some(m => m.model === model);
   }
 
   // Method to generate a completion from OpenRouter
   async generateCompletion(prompt, options = {}) {
+    const { model = this.model, format, ...rest } = options;
     try {
       const response = await this.openai.completions.create({
-        model: this.model,
+        model,
         prompt,
-        ...options,
+        ...rest,
       });
       if (!response || !response.choices || response.choices.length === 0) {
         console.error('Invalid response from OpenRouter during completion generation.');
@@ -67,25 +43,52 @@ export class OpenRouterService {
   }
 
   // Method to have a chat with OpenRouter
-  async chat(messages, options = { model: 'meta-llama/llama-3.2-1b-instruct' }) {
-
-    // verify that the model is available
-    let model = options.model || this.model;
-    if (!this.modelIsAvailable(model)) {
-      console.error('Invalid model provided to chat:', model);
-      model = this.model;
+  async chat(messages, options = {}) {
+    const { model = this.model, format, ...rest } = options;
+    try {
+      const response = await this.openai.chat
+        .completions.create({
+          model,
+          messages: messages.filter(T => T.content),
+          ...rest,
+        });
+      if (!response || !response.choices || response.choices.length === 0) {
+        console.error('Invalid response from OpenRouter during chat.');
+        return null;
+      }
+      return response.choices[0].message.content.trim() || '...';
+    } catch (error) {
+      console.error('Error while chatting with OpenRouter:', error);
+      return null;
     }
+  }
 
-    const response = await this.openai.chat
-      .completions.create({
-        model,
-        messages: messages.filter(T => T.content),
-        ...options,
-      });
-    if (!response || !response.choices || response.choices.length === 0) {
-      console.error('Invalid response from OpenRouter during chat.');
+  // Chat with function definitions; returns the reply text and any tool calls
+  async chatWithTools(messages, tools, options = {}) {
+    const { model = this.model, format, ...rest } = options;
+    try {
+      const response = await this.openai.chat
+        .completions.create({
+          model,
+          messages: messages.filter(T => T.content),
+          tools,
+          ...rest,
+        });
+      if (!response || !response.choices || response.choices.length === 0) {
+        console.error('Invalid response from OpenRouter during chat.');
+        return null;
+      }
+      const { content, tool_calls } = response.choices[0].message;
+      return {
+        content: (content || '').trim(),
+        toolCalls: (tool_calls || []).map(call => ({
+          name: call.function.name,
+          arguments: parseArguments(call.function.arguments),
+        })),
+      };
+    } catch (error) {
+      console.error('Error while chatting with OpenRouter:', error);
       return null;
     }
-    return response.choices[0].message.content.trim() || '...';
   }
 }
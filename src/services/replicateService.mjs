@@ -100,10 +100,16 @@ export class ReplicateService {
       logger.info('Sending prompt to Replicate:', prompt);
 
       // Define input based on your model's requirements
-      const input = { prompt, ...options.input };
+      const input = {
+        prompt,
+        temperature: options.temperature,
+        max_tokens: options.max_tokens,
+        stop_sequences: options.stop ? [].concat(options.stop).join(',') : undefined,
+        ...options.input,
+      };
 
       // Run the model
-      const output = await this.replicate.run(this.defaultModel, { input });
+      const output = await this.replicate.run(options.model || this.defaultModel, { input });
 
       if (!output) {
         logger.error('Invalid response from Replicate during chat.');
@@ -112,8 +118,9 @@ export class ReplicateService {
 
       logger.info('Received response from Replicate:', output);
 
-      // Assuming the model returns a string. Adjust if your model returns a different format.
-      const assistantResponse = typeof output === 'string' ? output.trim() : JSON.stringify(output).trim();
+      // Language models stream their output as an array of tokens
+      const assistantResponse = Array.isArray(output) ? output.join('').trim()
+        : typeof output === 'string' ? output.trim() : JSON.stringify(output).trim();
 
       return assistantResponse;
     } catch (error) {
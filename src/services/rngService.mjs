@@ -0,0 +1,65 @@
+import { randomUUID } from 'node:crypto';
+import { createRng } from './utils/rng.mjs';
+
+/**
+ * Named random number streams for everything the game leaves to chance.
+ *
+ * Each stream is seeded from the master seed and its name, so a stream's draws don't
+ * depend on how busy the others are. Set RNG_SEED to get the same draws on every run.
+ * Outcomes worth auditing take a fresh seed with seed() or forEvent() and store it with
+ * the outcome (in `dungeon_log`, on the encounter, on the avatar...); createRng(seed)
+ * then replays exactly the same rolls.
+ */
+export class RngService {
+  constructor(masterSeed = process.env.RNG_SEED || randomUUID()) {
+    this.masterSeed = `${masterSeed}`;
+    this.streams = new Map();
+  }
+
+  // The generator behind a stream, created on first use
+  stream(name) {
+    if (!this.streams.has(name)) {
+      this.streams.set(name, createRng(`${this.masterSeed}:${name}`));
+    }
+    return this.streams.get(name);
+  }
+
+  /**
+   * A fresh seed for one event, drawn from a stream.
+   * @param {string} name - The stream, e.g. encounters or model-rarity.
+   * @returns {number} - A 32-bit seed to store with the event.
+   */
+  seed(name) {
+    return this.stream(name).int(0, 0xFFFFFFFF);
+  }
+
+  /**
+   * A generator for one event; its `seed` replays it.
+   * @param {string} name - The stream the seed is drawn from.
+   */
+  forEvent(name) {
+    return createRng(this.seed(name));
+  }
+
+  // Drop-in for Math.random(), drawing from a stream
+  random(name) {
+    return this.stream(name).random();
+  }
+
+  pick(name, items) {
+    return this.stream(name).pick(items);
+  }
+
+  // A shuffled copy (Fisher-Yates)
+  shuffle(name, items) {
+    const rng = this.stream(name);
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = rng.int(0, i);
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+  }
+}
+
+export const rngService = new RngService();
@@ -0,0 +1,192 @@
+// services/schedulerService.mjs
+
+import os from 'os';
+import { nextCronDate } from './utils/cron.mjs';
+
+/**
+ * Runs named jobs stored in the `scheduled_jobs` collection.
+ *
+ * Recurring jobs have an interval (ms) or a cron expression; one-off jobs run once at a time.
+ * Jobs survive restarts: a job that came due while the bot was down runs once on startup.
+ * Each run is claimed atomically, so a job never runs twice at once, even across processes.
+ */
+export class SchedulerService {
+  constructor(db, logger, options = {}) {
+    this.db = db;
+    this.logger = logger;
+    this.collection = db.collection('scheduled_jobs');
+    this.handlers = new Map(); // handler name -> async (data, job) => {}
+    this.POLL_INTERVAL = options.pollInterval || 1000;
+    this.LOCK_TIMEOUT = options.lockTimeout || 15 * 60 * 1000; // reclaim jobs from crashed runs
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.timer = null;
+    this.running = false;
+  }
+
+  async initialize() {
+    await this.collection.createIndex({ name: 1 }, { unique: true });
+    await this.collection.createIndex({ nextRunAt: 1 });
+  }
+
+  /**
+   * Registers the code that runs a job. Jobs without a handler in this process are left alone.
+   * @param {string} name - The handler name.
+   * @param {Function} handler - Called with the job's data and the job document.
+   */
+  define(name, handler) {
+    this.handlers.set(name, handler);
+  }
+
+  getNextRunAt(schedule, from = new Date()) {
+    if (typeof schedule === 'number') {
+      return new Date(from.getTime() + schedule);
+    }
+    return nextCronDate(schedule, from);
+  }
+
+  /**
+   * Creates or updates a recurring job. An unchanged schedule keeps its next run time.
+   * @param {string} name - Unique job name.
+   * @param {number|string} schedule - Interval in milliseconds, or a cron expression.
+   * @param {Function} [handler] - Defines the handler under the job's name.
+   * @param {object} [options] - `data` for the handler; `immediate` to run a new job right away.
+   */
+  async every(name, schedule, handler = null, options = {}) {
+    if (handler) this.define(name, handler);
+
+    const existing = await this.collection.findOne({ name });
+    if (existing && existing.schedule === schedule) {
+      if (options.data !== undefined) {
+        await this.collection.updateOne({ name }, { $set: { data: options.data } });
+      }
+      return existing;
+    }
+
+    const job = {
+      name,
+      handler: name,
+      schedule,
+      data: options.data ?? existing?.data ?? null,
+      nextRunAt: options.immediate && !existing ? new Date() : this.getNextRunAt(schedule),
+      updatedAt: new Date(),
+    };
+    await this.collection.updateOne(
+      { name },
+      { $set: job, $setOnInsert: { createdAt: new Date(), runCount: 0, lastRunAt: null } },
+      { upsert: true }
+    );
+    return job;
+  }
+
+  /**
+   * Schedules a one-off job, replacing any pending job with the same name.
+   * @param {string} name - Unique job name.
+   * @param {Date|number} runAt - When to run.
+   * @param {object} options - `handler` name (defaults to the job name) and `data`.
+   */
+  async at(name, runAt, options = {}) {
+    const job = {
+      name,
+      handler: options.handler || name,
+      schedule: null,
+      data: options.data ?? null,
+      nextRunAt: new Date(runAt),
+      updatedAt: new Date(),
+    };
+    await this.collection.updateOne(
+      { name },
+      { $set: job, $setOnInsert: { createdAt: new Date(), runCount: 0, lastRunAt: null } },
+      { upsert: true }
+    );
+    return job;
+  }
+
+  async cancel(name) {
+    const result = await this.collection.deleteOne({ name });
+    return result.deletedCount > 0;
+  }
+
+  async getJobs() {
+    return this.collection
+      .find({}, { projection: { data: 0 } })
+      .sort({ nextRunAt: 1 })
+      .toArray();
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this.logger.info('⏰ Scheduler started');
+    this.scheduleTick(0);
+  }
+
+  stop() {
+    this.running = false;
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  scheduleTick(delay = this.POLL_INTERVAL) {
+    if (!this.running) return;
+    this.timer = setTimeout(() => this.tick(), delay);
+  }
+
+  // Runs every due job, one at a time, then waits for the next poll
+  async tick() {
+    try {
+      let job;
+      while (this.running && (job = await this.claimDueJob())) {
+        await this.runJob(job);
+      }
+    } catch (error) {
+      this.logger.error(`Scheduler error: ${error.message}`);
+    }
+    this.scheduleTick();
+  }
+
+  async claimDueJob() {
+    const now = new Date();
+    return this.collection.findOneAndUpdate(
+      {
+        handler: { $in: [...this.handlers.keys()] },
+        nextRunAt: { $lte: now },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $exists: false } }, { lockedUntil: { $lte: now } }],
+      },
+      { $set: { lockedBy: this.workerId, lockedUntil: new Date(now.getTime() + this.LOCK_TIMEOUT) } },
+      { sort: { nextRunAt: 1 }, returnDocument: 'after' }
+    );
+  }
+
+  async runJob(job) {
+    const startedAt = new Date();
+    let lastError = null;
+
+    try {
+      await this.handlers.get(job.handler)(job.data, job);
+    } catch (error) {
+      lastError = error.message;
+      this.logger.error(`Job ${job.name} failed: ${error.message}`);
+    }
+
+    if (job.schedule === null || job.schedule === undefined) {
+      await this.collection.deleteOne({ _id: job._id, lockedBy: this.workerId });
+      return;
+    }
+
+    // Missed runs are not replayed; the next run is counted from now
+    await this.collection.updateOne(
+      { _id: job._id, lockedBy: this.workerId },
+      {
+        $set: {
+          lastRunAt: startedAt,
+          lastDuration: Date.now() - startedAt.getTime(),
+          lastError,
+          nextRunAt: this.getNextRunAt(job.schedule),
+          lockedBy: null,
+          lockedUntil: null,
+        },
+        $inc: { runCount: 1 },
+      }
+    );
+  }
+}
@@ -0,0 +1,120 @@
+// services/slashCommands.mjs
+
+import { REST, Routes, SlashCommandBuilder } from 'discord.js';
+
+const AUTOCOMPLETE_LIMIT = 25; // Discord accepts at most 25 choices
+
+/**
+ * Application commands exposed by the bot.
+ * Avatar options autocomplete from the avatar roster and resolve to avatar IDs.
+ */
+export const slashCommands = [
+  new SlashCommandBuilder()
+    .setName('summon')
+    .setDescription('Summon an existing avatar to this channel, or create a new one.')
+    .addStringOption(option => option
+      .setName('avatar')
+      .setDescription('The avatar to summon, or a description of a new one.')
+      .setAutocomplete(true)
+      .setRequired(false)),
+  new SlashCommandBuilder()
+    .setName('breed')
+    .setDescription('Breed two avatars to create a new one with combined traits.')
+    .addStringOption(option => option
+      .setName('avatar1')
+      .setDescription('The first avatar to breed.')
+      .setAutocomplete(true)
+      .setRequired(true))
+    .addStringOption(option => option
+      .setName('avatar2')
+      .setDescription('The second avatar to breed.')
+      .setAutocomplete(true)
+      .setRequired(true)),
+  new SlashCommandBuilder()
+    .setName('attack')
+    .setDescription('Attack another avatar in the same channel.')
+    .addStringOption(option => option
+      .setName('avatar')
+      .setDescription('The avatar to attack.')
+      .setAutocomplete(true)
+      .setRequired(true)),
+  new SlashCommandBuilder()
+    .setName('profile')
+    .setDescription('Show the profile and dungeon stats of an avatar.')
+    .addStringOption(option => option
+      .setName('avatar')
+      .setDescription('The avatar to inspect.')
+      .setAutocomplete(true)
+      .setRequired(true)),
+  new SlashCommandBuilder()
+    .setName('resurrect')
+    .setDescription('Start or join the ritual to bring a fallen avatar back from the graveyard.')
+    .addStringOption(option => option
+      .setName('avatar')
+      .setDescription('The fallen avatar.')
+      .setAutocomplete(true)
+      .setRequired(true)),
+  new SlashCommandBuilder()
+    .setName('arena')
+    .setDescription('Arena tournaments in this channel.')
+    .addSubcommand(subcommand => subcommand
+      .setName('open')
+      .setDescription('Open a tournament here for signups.')
+      .addStringOption(option => option
+        .setName('name')
+        .setDescription('A name for the tournament.')
+        .setRequired(false)))
+    .addSubcommand(subcommand => subcommand
+      .setName('signup')
+      .setDescription('Sign an avatar up for the tournament here.')
+      .addStringOption(option => option
+        .setName('avatar')
+        .setDescription('The avatar to enter.')
+        .setAutocomplete(true)
+        .setRequired(true)))
+    .addSubcommand(subcommand => subcommand
+      .setName('status')
+      .setDescription('Show the bracket of the tournament here.')),
+  new SlashCommandBuilder()
+    .setName('inventory')
+    .setDescription('Show the items and coins you carry.'),
+];
+
+/**
+ * Registers the application commands with Discord.
+ * @param {string} clientId - The Discord application (client) ID.
+ * @param {string} token - The bot token.
+ */
+export async function registerSlashCommands(clientId, token) {
+  const rest = new REST({ version: '10' }).setToken(token);
+  await rest.put(Routes.applicationCommands(clientId), {
+    body: slashCommands.map(command => command.toJSON()),
+  });
+}
+
+/**
+ * Builds autocomplete choices for an avatar option.
+ * Names starting with the query are listed before names that merely contain it.
+ * @param {Array} avatars - Array of all avatars.
+ * @param {string} query - The text typed so far.
+ * @returns {Array<{name: string, value: string}>} - The autocomplete choices.
+ */
+export function getAvatarChoices(avatars, query = '') {
+  const needle = query.trim().toLowerCase();
+  const named = avatars.filter(avatar => avatar?._id && avatar.name);
+  const matches = needle
+    ? named.filter(avatar => avatar.name.toLowerCase().includes(needle))
+    : named;
+
+  return matches
+    .sort((a, b) => {
+      const aPrefix = a.name.toLowerCase().startsWith(needle) ? 0 : 1;
+      const bPrefix = b.name.toLowerCase().startsWith(needle) ? 0 : 1;
+      return aPrefix - bPrefix || a.name.localeCompare(b.name);
+    })
+    .slice(0, AUTOCOMPLETE_LIMIT)
+    .map(avatar => ({
+      name: `${avatar.emoji ? `${avatar.emoji} ` : ''}${avatar.name}`.slice(0, 100),
+      value: avatar._id.toString(),
+    }));
+}
@@ -13,6 +13,15 @@ export function sanitizeInput(input) {
   }
   
 
+/**
+ * Escapes a string for use inside a regular expression.
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeRegExp(text) {
+  return `${text}`.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
   /**
  * Extracts JSON substring from a given string.
  *
@@ -0,0 +1,102 @@
+// cron.mjs
+
+// minute hour day-of-month month day-of-week
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'weekday', min: 0, max: 6 },
+];
+
+const MAX_LOOKAHEAD = 5 * 366 * 24 * 60; // minutes
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step in cron ${name}: ${part}`);
+    }
+
+    let start = min;
+    let end = max;
+    if (range !== '*') {
+      const [from, to] = range.split('-').map(Number);
+      start = from;
+      end = to === undefined ? (stepText === undefined ? from : max) : to;
+    }
+
+    // Sunday may be written as 7
+    const limit = name === 'weekday' ? 7 : max;
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < min || end > limit || start > end) {
+      throw new Error(`Invalid cron ${name}: ${part}`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value > max ? min : value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parses a five-field cron expression (minute hour day month weekday).
+ * Supports `*`, numbers, ranges (`1-5`), lists (`1,15`) and steps (`*\/10`, `0-30/5`).
+ * @param {string} expression
+ * @returns {object} - The allowed values per field.
+ */
+export function parseCron(expression) {
+  const parts = `${expression}`.trim().split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Cron expression must have ${FIELDS.length} fields: ${expression}`);
+  }
+
+  const cron = {};
+  FIELDS.forEach((field, i) => {
+    cron[field.name] = parseField(parts[i], field);
+  });
+  // Like standard cron, a restricted day and weekday match when either does
+  cron.anyDay = parts[2] === '*' || parts[4] === '*';
+  return cron;
+}
+
+function matchesDay(cron, date) {
+  const day = cron.day.has(date.getDate());
+  const weekday = cron.weekday.has(date.getDay());
+  return cron.anyDay ? day && weekday : day || weekday;
+}
+
+/**
+ * Finds the next time after `from` that matches a cron expression, in local time.
+ * @param {string} expression
+ * @param {Date} [from]
+ * @returns {Date}
+ */
+export function nextCronDate(expression, from = new Date()) {
+  const cron = parseCron(expression);
+  const date = new Date(from);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  for (let i = 0; i < MAX_LOOKAHEAD; i++) {
+    if (!cron.month.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0);
+    } else if (!matchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0);
+    } else if (!cron.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0);
+    } else if (!cron.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+
+  throw new Error(`Cron expression never matches: ${expression}`);
+}
@@ -0,0 +1,59 @@
+// rng.mjs
+
+/**
+ * Hashes a string or number into a 32-bit seed.
+ * @param {string|number} value
+ * @returns {number}
+ */
+export function hashSeed(value) {
+  const text = `${value}`;
+  let h = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Creates a seedable random number generator (mulberry32).
+ * The same seed always produces the same sequence, so dice rolls can be replayed.
+ * Fresh seeds come from the RngService (see rngService.mjs).
+ * @param {string|number} seed
+ */
+export function createRng(seed) {
+  let state = typeof seed === 'number' ? seed >>> 0 : hashSeed(seed);
+
+  const random = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  // Integer between min and max, inclusive
+  const int = (min, max) => min + Math.floor(random() * (max - min + 1));
+
+  return {
+    seed,
+    random,
+    int,
+    roll: (sides = 20) => int(1, sides),
+    pick: items => items[Math.floor(random() * items.length)],
+
+    /**
+     * Rolls dice notation such as `d20`, `2d6` or `1d8+2`.
+     * @param {string} notation
+     * @returns {{total: number, rolls: number[]}}
+     */
+    dice(notation) {
+      const match = `${notation}`.replace(/\s+/g, '').match(/^(\d*)d(\d+)([+-]\d+)?$/i);
+      if (!match) throw new Error(`Invalid dice notation: ${notation}`);
+      const count = Number(match[1] || 1);
+      const sides = Number(match[2]);
+      const rolls = Array.from({ length: count }, () => int(1, sides));
+      return { total: rolls.reduce((sum, n) => sum + n, 0) + Number(match[3] || 0), rolls };
+    },
+  };
+}
@@ -0,0 +1,29 @@
+// Starting stats for new avatars, bought with points.
+// Every avatar starts from `base`. The rarity of its model sets its point `budget`, and each
+// point buys `perPoint` of one stat, up to `maxPoints` in any one stat. The personality
+// decides which stats the points tend to go to.
+const stats = {
+  "base": {
+    "attack": 6,
+    "defense": 3,
+    "hp": 80,
+    "speed": 2,
+    "charisma": 2
+  },
+  "perPoint": {
+    "attack": 1,
+    "defense": 1,
+    "hp": 5,
+    "speed": 1,
+    "charisma": 1
+  },
+  "maxPoints": 10,
+  "budget": {
+    "common": 16,
+    "uncommon": 20,
+    "rare": 25,
+    "legendary": 30
+  }
+};
+
+export default stats;